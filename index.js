@@ -1,37 +1,124 @@
 const { Telegraf, Scenes, session, Markup } = require('telegraf');
-const { MongoClient, ObjectId } = require('mongodb');
+const { ObjectId } = require('mongodb');
+const crypto = require('crypto');
+const http = require('http');
+const { EventEmitter } = require('events');
 require('dotenv').config();
+const { createStorage } = require('./storage');
 
 const bot = new Telegraf(process.env.TELEGRAM_TOKEN);
-let db, usersCollection, groupsCollection, referralsCollection, giveawaysCollection, previouslyJoinedCollection;
+let storage, usersCollection, groupsCollection, referralsCollection, giveawaysCollection, previouslyJoinedCollection, inviteLinksCollection, joinChallengesCollection, moderationLogCollection, referralCountersCollection,
+    eventDeliveriesCollection, eventDeadLettersCollection;
 
-async function connectToMongoDB() {
+// chat_member updates are not delivered unless explicitly requested
+const ALLOWED_UPDATES = ['message', 'callback_query', 'chat_member', 'my_chat_member', 'chat_join_request'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// STORAGE_BACKEND picks 'mongo' (default, MONGODB_URI) or 'memory' (nothing persists)
+async function connectToStorage() {
     try {
-        const client = new MongoClient(process.env.MONGODB_URI);
-        await client.connect();
-        console.log('Connected to MongoDB');
+        storage = createStorage(process.env.STORAGE_BACKEND || 'mongo', { uri: process.env.MONGODB_URI });
+        await storage.connect();
+        console.log(`Connected to ${storage.name} storage`);
         
-        db = client.db('telegramReferralBot');
-        usersCollection = db.collection('users');
-        groupsCollection = db.collection('groups');
-        referralsCollection = db.collection('referrals');
-        giveawaysCollection = db.collection('giveaways');
-		previouslyJoinedCollection = db.collection('previouslyJoined');
+        usersCollection = storage.collection('users');
+        groupsCollection = storage.collection('groups');
+        referralsCollection = storage.collection('referrals');
+        giveawaysCollection = storage.collection('giveaways');
+		previouslyJoinedCollection = storage.collection('previouslyJoined');
+        inviteLinksCollection = storage.collection('inviteLinks');
+        joinChallengesCollection = storage.collection('joinChallenges');
+        moderationLogCollection = storage.collection('moderationLog');
+        referralCountersCollection = storage.collection('referralCounters');
+        eventDeliveriesCollection = storage.collection('eventDeliveries');
+        eventDeadLettersCollection = storage.collection('eventDeadLetters');
         
         await usersCollection.createIndex({ userId: 1 }, { unique: true });
         await groupsCollection.createIndex({ groupId: 1 }, { unique: true });
         await referralsCollection.createIndex({ referrerId: 1 });
         await referralsCollection.createIndex({ referredId: 1 });
         await previouslyJoinedCollection.createIndex({ userId: 1, groupId: 1 }, { unique: true });
+        await inviteLinksCollection.createIndex({ inviteLink: 1 }, { unique: true });
+        await inviteLinksCollection.createIndex({ groupId: 1, referrerId: 1 });
+        await joinChallengesCollection.createIndex({ status: 1, expiresAt: 1 });
+        await joinChallengesCollection.createIndex({ groupId: 1, userId: 1 });
+        await giveawaysCollection.createIndex({ groupId: 1, endedAt: -1 });
+        await referralsCollection.createIndex({ groupId: 1, held: 1, flagged: 1 });
+        await moderationLogCollection.createIndex({ groupId: 1, at: -1 });
+        await giveawaysCollection.createIndex({ 'finalStandings.userId': 1, endedAt: -1 });
+        await usersCollection.createIndex({ ancestors: 1 });
+        await usersCollection.createIndex({ networkCredit: -1 });
+        await referralCountersCollection.createIndex({ scope: 1, groupId: 1, period: 1, userId: 1 }, { unique: true });
+        await referralCountersCollection.createIndex({ scope: 1, groupId: 1, period: 1, count: -1, userId: 1 });
+        await referralCountersCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        await eventDeliveriesCollection.createIndex({ nextAttemptAt: 1 });
+        await eventDeadLettersCollection.createIndex({ failedAt: -1 });
 		
         console.log('Database setup complete');
     } catch (error) {
-        console.error('MongoDB connection error:', error);
+        console.error('Storage connection error:', error);
         process.exit(1);
     }
 }
 
-async function getOrCreateUser(userId, username, firstName, lastName) {
+// Defaults for group settings (also fills in settings added after a group was created)
+const DEFAULT_GROUP_SETTINGS = {
+    welcomeMessage: null,  // null uses the default text in the group's language
+    leaderboardSize: 10,
+    defaultDuration: '7d',
+    defaultMaxWinners: 10,
+    retentionHours: 72,  // Referrals are clawed back if the invitee leaves within this window
+    requireJoinApproval: false,
+    announceReferralJoins: true,
+    announceGiveawayResults: true,
+    language: 'en'
+};
+
+function getGroupSettings(group) {
+    return { ...DEFAULT_GROUP_SETTINGS, ...group?.settings };
+}
+
+// Groups created before the welcome text was localized stored the English default
+const LEGACY_WELCOME_MESSAGE = 'Welcome to the group! You were invited by {referrer}.';
+
+function getWelcomeMessage(settings) {
+    const custom = settings.welcomeMessage !== LEGACY_WELCOME_MESSAGE && settings.welcomeMessage;
+    return custom || t(normalizeLanguage(settings.language) || DEFAULT_LANGUAGE, 'settings.defaultWelcomeMessage');
+}
+
+// Localization
+// Private chats use the language picked with /language, then the user's Telegram
+// language; groups use their language setting.
+const LOCALES = {
+    en: require('./locales/en'),
+    id: require('./locales/id')
+};
+const DEFAULT_LANGUAGE = 'en';
+
+// Looks up a message (falling back to English) and fills in its {placeholders}
+function t(lang, key, params = {}) {
+    const template = LOCALES[lang]?.[key] ?? LOCALES[DEFAULT_LANGUAGE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => name in params ? String(params[name]) : match);
+}
+
+// Maps Telegram language codes like "id" or "en-US" to a catalog; null if unsupported
+function normalizeLanguage(code) {
+    const base = (code || '').split('-')[0].toLowerCase();
+    return LOCALES[base] ? base : null;
+}
+
+function getUserLanguage(user, languageCode = null) {
+    return normalizeLanguage(user?.language) ||
+        normalizeLanguage(languageCode || user?.languageCode) ||
+        DEFAULT_LANGUAGE;
+}
+
+function getGroupLanguage(group) {
+    return normalizeLanguage(getGroupSettings(group).language) || DEFAULT_LANGUAGE;
+}
+
+async function getOrCreateUser(userId, username, firstName, lastName, languageCode = null) {
     const user = await usersCollection.findOne({ userId });
     
     if (user) {
@@ -42,6 +129,7 @@ async function getOrCreateUser(userId, username, firstName, lastName) {
             username,
             firstName,
             lastName,
+            languageCode,
             registeredAt: new Date(),
             totalReferrals: 0,
             personalReferralLink: null,
@@ -49,6 +137,7 @@ async function getOrCreateUser(userId, username, firstName, lastName) {
         };
         
         await usersCollection.insertOne(newUser);
+        emitBotEvent('user.registered', { userId, username, firstName, lastName, languageCode, registeredAt: newUser.registeredAt });
         return newUser;
     }
 }
@@ -65,10 +154,7 @@ async function getOrCreateGroup(groupId, title) {
             createdAt: new Date(),
             totalMembers: 0,
             referralLink: null,
-            settings: {
-                welcomeMessage: 'Welcome to the group! You were invited by {referrer}.',
-                leaderboardSize: 10
-            },
+            settings: { ...DEFAULT_GROUP_SETTINGS },
             activeGiveaway: null
         };
         
@@ -136,14 +222,257 @@ async function generateReferralLink(ctx, type, entityId) {
     }
 }
 
-async function trackReferral(referrerId, referredId, groupId = null) {
+// Named per-referrer invite link, so joins can be attributed from chat_member updates
+async function getOrCreateInviteLink(telegram, groupId, referrerId, referrerName) {
+    const existing = await inviteLinksCollection.findOne({ groupId, referrerId });
+    if (existing) {
+        return existing.inviteLink;
+    }
+    
+    // Invite link names are limited to 32 characters
+    const name = `Ref: ${referrerName || referrerId}`.substring(0, 32);
+    const group = await groupsCollection.findOne({ groupId });
+    const chatInviteLink = await telegram.createChatInviteLink(groupId, {
+        name,
+        creates_join_request: getGroupSettings(group).requireJoinApproval
+    });
+    
+    await inviteLinksCollection.insertOne({
+        inviteLink: chatInviteLink.invite_link,
+        groupId,
+        referrerId,
+        name,
+        createdAt: new Date()
+    });
+    
+    return chatInviteLink.invite_link;
+}
+
+// Invitees who were handed a referrer's invite link but haven't joined yet
+async function recordPendingReferral(referrerId, referredId, groupId, inviteLink) {
+    await referralsCollection.updateOne(
+        { type: 'pending_group_referral', referrerId, referredId, groupId, status: 'pending' },
+        { $set: { inviteLink }, $setOnInsert: { timestamp: new Date() } },
+        { upsert: true }
+    );
+}
+
+// Marks the referrer's pending record for this invitee as completed; returns it, or null
+async function completePendingReferral(referrerId, referredId, groupId) {
+    return referralsCollection.findOneAndUpdate(
+        { type: 'pending_group_referral', referrerId, referredId, groupId, status: 'pending' },
+        { $set: { status: 'completed', completedAt: new Date() } }
+    );
+}
+
+// Join request challenges
+const JOIN_CHALLENGE_TIMEOUT_MS = 5 * 60 * 1000;
+
+function generateJoinChallenge() {
+    const a = Math.floor(Math.random() * 9) + 1;
+    const b = Math.floor(Math.random() * 9) + 1;
+    const answer = a + b;
+    
+    // Three distinct wrong answers around the correct one
+    const options = new Set([answer]);
+    while (options.size < 4) {
+        const offset = Math.floor(Math.random() * 7) - 3;
+        if (answer + offset > 0) options.add(answer + offset);
+    }
+    
+    return {
+        question: `${a} + ${b}`,
+        answer,
+        options: [...options].sort(() => Math.random() - 0.5)
+    };
+}
+
+async function createJoinChallenge(telegram, joinRequest, inviteLink) {
+    const challenge = generateJoinChallenge();
+    const groupId = joinRequest.chat.id;
+    const userId = joinRequest.from.id;
+    
+    const result = await joinChallengesCollection.insertOne({
+        groupId,
+        userId,
+        referrerId: inviteLink.referrerId,
+        inviteLink: inviteLink.inviteLink,
+        answer: challenge.answer,
+        status: 'pending',
+        createdAt: new Date(),
+        expiresAt: new Date(Date.now() + JOIN_CHALLENGE_TIMEOUT_MS)
+    });
+    
+    const buttons = challenge.options.map(option =>
+        Markup.button.callback(`${option}`, `join_challenge:${result.insertedId}:${option}`)
+    );
+    
+    const user = await usersCollection.findOne({ userId });
+    const lang = getUserLanguage(user, joinRequest.from.language_code);
+    
+    // user_chat_id lets the bot message the user even if they never started it
+    try {
+        await telegram.sendMessage(
+            joinRequest.user_chat_id,
+            t(lang, 'challenge.question', {
+                group: escapeMarkdown(joinRequest.chat.title),
+                minutes: JOIN_CHALLENGE_TIMEOUT_MS / 60000,
+                question: challenge.question
+            }),
+            { parse_mode: 'Markdown', ...Markup.inlineKeyboard([buttons]) }
+        );
+    } catch (error) {
+        // The invitee never saw the challenge, so don't let it time out against them;
+        // the request stays open for the group admins
+        await joinChallengesCollection.updateOne(
+            { _id: result.insertedId, status: 'pending' },
+            { $set: { status: 'undelivered', resolvedAt: new Date() } }
+        );
+        throw error;
+    }
+}
+
+// Approve or decline the join request; only approved joins reach trackReferral
+async function resolveJoinChallenge(telegram, challenge, passed, reason = null) {
+    if (passed) {
+        await telegram.approveChatJoinRequest(challenge.groupId, challenge.userId);
+        return;
+    }
+    
+    try {
+        await telegram.declineChatJoinRequest(challenge.groupId, challenge.userId);
+    } catch (error) {
+        // The request may already have been handled by an admin
+        console.error('Error declining join request:', error);
+    }
+    
+    // Add an invalid referral record for logging purposes
+    const invalidReferral = {
+        type: 'group_referral',
+        referrerId: challenge.referrerId,
+        referredId: challenge.userId,
+        groupId: challenge.groupId,
+        timestamp: new Date(),
+        valid: false,  // Mark as invalid
+        reason
+    };
+    await referralsCollection.insertOne(invalidReferral);
+    emitBotEvent('referral.recorded', referralEventData(invalidReferral));
+}
+
+async function sweepJoinChallenges() {
+    try {
+        const expired = await joinChallengesCollection.find({
+            status: 'pending',
+            expiresAt: { $lte: new Date() }
+        }).toArray();
+        
+        for (const challenge of expired) {
+            // Claim atomically so only one instance declines the request
+            const claimed = await joinChallengesCollection.findOneAndUpdate(
+                { _id: challenge._id, status: 'pending' },
+                { $set: { status: 'expired', resolvedAt: new Date() } }
+            );
+            if (claimed) {
+                await resolveJoinChallenge(bot.telegram, challenge, false, 'challenge_timeout');
+            }
+        }
+    } catch (error) {
+        console.error('Error sweeping join challenges:', error);
+    }
+}
+
+// Record that a user has joined a group (regardless of referral)
+async function recordGroupJoin(userId, groupId, joinedAt = new Date()) {
+    try {
+        await previouslyJoinedCollection.updateOne(
+            { userId, groupId },
+            { $setOnInsert: { firstJoinedAt: joinedAt } },
+            { upsert: true }
+        );
+    } catch (error) {
+        console.error('Error recording group member:', error);
+    }
+}
+
+// Fraud scoring
+// Each rule adds its weight to the referral's score when it matches. Referrals at or
+// above FRAUD_HOLD_SCORE are held for review instead of counting; at or above
+// FRAUD_FLAG_SCORE they count but are flagged.
+const FRAUD_FLAG_SCORE = 30;
+const FRAUD_HOLD_SCORE = 60;
+const NEW_ACCOUNT_USER_ID = 7000000000;  // IDs above this were issued in 2024 or later
+const BURST_WINDOW_MS = 10 * 60 * 1000;
+const BURST_LIMIT = 5;
+const NAME_PATTERN_WINDOW_MS = DAY_MS;
+const NAME_PATTERN_LIMIT = 3;
+
+// Lowercased letters only, so "Anna 123" and "anna_77" share a pattern
+function getNamePattern(member) {
+    const name = `${member.first_name || ''}${member.last_name || ''}`.toLowerCase().replace(/[^\p{L}]/gu, '');
+    return name.length >= 3 ? name : null;
+}
+
+const FRAUD_RULES = [
+    { name: 'is_bot', weight: 100, test: ({ member }) => member.is_bot },
+    { name: 'no_username', weight: 15, test: ({ member }) => !member.username },
+    {
+        name: 'no_profile_photo',
+        weight: 15,
+        test: async ({ member }) => {
+            const photos = await bot.telegram.getUserProfilePhotos(member.id, 0, 1);
+            return photos.total_count === 0;
+        }
+    },
+    { name: 'new_account', weight: 20, test: ({ member }) => member.id > NEW_ACCOUNT_USER_ID },
+    {
+        name: 'referrer_burst',
+        weight: 25,
+        test: async ({ referrerId }) => await referralsCollection.countDocuments({
+            referrerId,
+            type: { $in: ['group_referral', 'user'] },
+            timestamp: { $gte: new Date(Date.now() - BURST_WINDOW_MS) }
+        }) >= BURST_LIMIT
+    },
+    {
+        name: 'shared_name_pattern',
+        weight: 25,
+        test: async ({ referrerId, namePattern }) => !!namePattern && await referralsCollection.countDocuments({
+            referrerId,
+            namePattern,
+            timestamp: { $gte: new Date(Date.now() - NAME_PATTERN_WINDOW_MS) }
+        }) >= NAME_PATTERN_LIMIT - 1
+    }
+];
+
+async function scoreReferral(referrerId, member) {
+    const input = { referrerId, member, namePattern: getNamePattern(member) };
+    let score = 0;
+    const rules = [];
+    
+    for (const rule of FRAUD_RULES) {
+        try {
+            if (await rule.test(input)) {
+                score += rule.weight;
+                rules.push(rule.name);
+            }
+        } catch (error) {
+            // A failing signal (e.g. a Telegram API error) just doesn't count
+            console.error(`Error evaluating fraud rule ${rule.name}:`, error);
+        }
+    }
+    
+    return { score, rules, namePattern: input.namePattern };
+}
+
+async function trackReferral(referrerId, referredId, groupId = null, joinedAt = new Date(), member = null) {
     try {
         // Check if this user was already referred (to prevent multiple counts)
         const existingReferral = await referralsCollection.findOne({
             referredId,
             referrerId,
             ...(groupId ? { groupId } : {}),
-            valid: true  // Only consider valid referrals
+            $or: [{ valid: true }, { held: true }]  // Only consider valid or held referrals
         });
         
         // NEW CHECK: If this is a group referral, check if user was previously in this group
@@ -151,14 +480,14 @@ async function trackReferral(referrerId, referredId, groupId = null) {
             const previouslyJoined = await previouslyJoinedCollection.findOne({
                 userId: referredId,
                 groupId,
-                firstJoinedAt: { $lt: new Date(Date.now() - 1000) } // At least 1 second ago to avoid race conditions
+                firstJoinedAt: { $lt: new Date(joinedAt.getTime() - 1000) } // At least 1 second before this join to avoid race conditions
             });
             
             if (previouslyJoined) {
                 console.log(`User ${referredId} previously joined group ${groupId}, not counting referral`);
                 
                 // Add an invalid referral record for logging purposes
-                await referralsCollection.insertOne({
+                const invalidReferral = {
                     type: groupId ? 'group_referral' : 'user',
                     referrerId,
                     referredId,
@@ -166,12 +495,14 @@ async function trackReferral(referrerId, referredId, groupId = null) {
                     timestamp: new Date(),
                     valid: false,  // Mark as invalid
                     reason: 'previously_joined'
-                });
+                };
+                await referralsCollection.insertOne(invalidReferral);
+                emitBotEvent('referral.recorded', referralEventData(invalidReferral));
                 
                 return false; // User has been in this group before
             }
             
-            // DO NOT record join here - it's already handled in new_chat_members event
+            // DO NOT record join here - it's already handled in the join handlers
             // This prevents the race condition
         }
         
@@ -179,15 +510,36 @@ async function trackReferral(referrerId, referredId, groupId = null) {
             return false; // Already counted this referral
         }
         
+        // Score the referral on the signals we can see locally
+        const fraud = member ? await scoreReferral(referrerId, member) : { score: 0, rules: [], namePattern: null };
+        const held = fraud.score >= FRAUD_HOLD_SCORE;
+        
+        if (fraud.rules.length > 0) {
+            console.log(`Referral of ${referredId} by ${referrerId} scored ${fraud.score} (${fraud.rules.join(', ')})`);
+        }
+        
         // Record the new referral
-        await referralsCollection.insertOne({
+        const referral = {
             type: groupId ? 'group_referral' : 'user',
             referrerId,
             referredId,
             ...(groupId ? { groupId } : {}),
             timestamp: new Date(),
-            valid: true
-        });
+            valid: !held,
+            ...(held ? { held: true, reason: 'suspected_fraud' } : {}),
+            flagged: fraud.score >= FRAUD_FLAG_SCORE,
+            fraudScore: fraud.score,
+            fraudRules: fraud.rules,
+            namePattern: fraud.namePattern
+        };
+        const { insertedId } = await referralsCollection.insertOne(referral);
+        emitBotEvent('referral.recorded', referralEventData(referral));
+        
+        if (held) {
+            return false; // Held for review, not counted
+        }
+        
+        await bumpReferralCounters(referral, 1);
         
         // Update referrer's total count
         await usersCollection.updateOne(
@@ -195,6 +547,14 @@ async function trackReferral(referrerId, referredId, groupId = null) {
             { $inc: { totalReferrals: 1 } }
         );
         
+        // Personal referrals also grow the referral tree and credit the upline
+        if (!groupId) {
+            const credits = await addToReferralTree(referrerId, referredId);
+            if (credits.length > 0) {
+                await referralsCollection.updateOne({ _id: insertedId }, { $set: { networkCredits: credits } });
+            }
+        }
+        
         // If this is for a giveaway, check and update
         if (groupId) {
             const group = await groupsCollection.findOne({ groupId });
@@ -210,74 +570,529 @@ async function trackReferral(referrerId, referredId, groupId = null) {
     }
 }
 
-async function getLeaderboard(type, entityId = null, limit = 10) {
+// Referral tree (personal links)
+// Users store their upline as `ancestors`, direct referrer first, so a whole downline is
+// one query. REFERRAL_LEVEL_WEIGHTS sets the credit per level: "1,0.5,0.25" gives the
+// direct referrer 1, their referrer 0.5 and the one above that 0.25.
+const MAX_TREE_DEPTH = 10;
+const REFERRAL_LEVEL_WEIGHTS = parseLevelWeights(process.env.REFERRAL_LEVEL_WEIGHTS);
+
+function parseLevelWeights(value) {
+    const weights = (value || '1').split(',').map(weight => parseFloat(weight.trim()));
+    if (weights.some(weight => !Number.isFinite(weight) || weight < 0)) {
+        console.error(`Invalid REFERRAL_LEVEL_WEIGHTS "${value}", crediting direct referrers only`);
+        return [1];
+    }
+    return weights.slice(0, MAX_TREE_DEPTH);
+}
+
+function isMultiLevelEnabled() {
+    return REFERRAL_LEVEL_WEIGHTS.length > 1;
+}
+
+// Places the referred user under their referrer and credits the upline; returns the credits given
+async function addToReferralTree(referrerId, referredId) {
+    const referrer = await usersCollection.findOne({ userId: referrerId });
+    const referrerAncestors = referrer?.ancestors || [];
+    if (referrerAncestors.includes(referredId)) return [];  // Would create a cycle
+    
+    // Only the first referrer places a user in the tree
+    const ancestors = [referrerId, ...referrerAncestors].slice(0, MAX_TREE_DEPTH);
+    const result = await usersCollection.updateOne(
+        { userId: referredId, referredBy: { $exists: false } },
+        { $set: { referredBy: referrerId, ancestors, joinedTreeAt: new Date() } }
+    );
+    if (!result.modifiedCount) return [];
+    
+    const credits = ancestors
+        .map((userId, index) => ({ userId, level: index + 1, weight: REFERRAL_LEVEL_WEIGHTS[index] || 0 }))
+        .filter(credit => credit.weight > 0);
+    
+    for (const credit of credits) {
+        await usersCollection.updateOne({ userId: credit.userId }, { $inc: { networkCredit: credit.weight } });
+    }
+    
+    return credits;
+}
+
+// Invalidate a group referral when the invitee leaves within the retention window
+async function clawbackReferral(referredId, groupId) {
     try {
-        let query = { valid: true };  // Only count valid referrals
-        let timeFilter = {};
+        const group = await groupsCollection.findOne({ groupId });
+        if (!group) return false;
         
-        if (type === 'global') {
-            // No additional filters
-        } else if (type === 'group') {
-            query.groupId = entityId;
+        const retentionHours = getGroupSettings(group).retentionHours;
+        const windowStart = new Date(Date.now() - retentionHours * 60 * 60 * 1000);
+        
+        const referral = await referralsCollection.findOneAndUpdate(
+            {
+                type: 'group_referral',
+                referredId,
+                groupId,
+                valid: true,
+                timestamp: { $gte: windowStart }
+            },
+            { $set: { valid: false, reason: 'churned', churnedAt: new Date() } }
+        );
+        
+        if (!referral) return false;
+        
+        console.log(`User ${referredId} left group ${groupId}, clawing back referral from ${referral.referrerId}`);
+        
+        await bumpReferralCounters(referral, -1, 1);
+        await usersCollection.updateOne(
+            { userId: referral.referrerId },
+            { $inc: { totalReferrals: -1 } }
+        );
+        
+        if (group.activeGiveaway) {
+            await updateGiveawayProgress(groupId, referral.referrerId);
+        }
+        
+        return true;
+    } catch (error) {
+        console.error('Error clawing back referral:', error);
+        return false;
+    }
+}
+
+// Referral counters
+// One document per scope ('global', or 'group' with groupId), period and referrer, holding
+// counted and churned referrals. Periods are 'all', the current UTC day, week (from Monday)
+// and month, and 'giveaway:<id>' while a giveaway runs. Day, week and month counters expire
+// a day after their period ends. bumpReferralCounters keeps them in step with the referral
+// log; rebuildReferralCounters recomputes them from it.
+function getCounterPeriods(date) {
+    const d = new Date(date);
+    const dayStart = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+    const weekStart = dayStart - ((d.getUTCDay() + 6) % 7) * DAY_MS;
+    const monthStart = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+    const nextMonthStart = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+    const dateKey = time => new Date(time).toISOString().substring(0, 10);
+    
+    return [
+        { name: 'all', period: 'all', start: null, expiresAt: null },
+        { name: 'day', period: `day:${dateKey(dayStart)}`, start: new Date(dayStart), expiresAt: new Date(dayStart + 2 * DAY_MS) },
+        { name: 'week', period: `week:${dateKey(weekStart)}`, start: new Date(weekStart), expiresAt: new Date(weekStart + 8 * DAY_MS) },
+        { name: 'month', period: `month:${dateKey(monthStart).substring(0, 7)}`, start: new Date(monthStart), expiresAt: new Date(nextMonthStart + DAY_MS) }
+    ];
+}
+
+// Apply a change in a referral's counted/churned state to every counter it belongs to
+async function bumpReferralCounters(referral, countDelta, churnedDelta = 0) {
+    try {
+        const targets = getCounterPeriods(referral.timestamp).map(({ period, expiresAt }) => ({ period, expiresAt }));
+        const scopes = [{ scope: 'global', groupId: null }];
+        
+        if (referral.groupId) {
+            scopes.push({ scope: 'group', groupId: referral.groupId });
             
-            // Check if there's an active giveaway to filter by its period
-            const group = await groupsCollection.findOne({ groupId: entityId });
-            if (group && group.activeGiveaway) {
-                const giveaway = await giveawaysCollection.findOne({ _id: group.activeGiveaway });
-                if (giveaway) {
-                    timeFilter = { timestamp: { $gte: giveaway.startedAt, $lte: new Date() } };
-                }
+            const group = await groupsCollection.findOne({ groupId: referral.groupId });
+            const giveaway = group?.activeGiveaway ? await giveawaysCollection.findOne({ _id: group.activeGiveaway }) : null;
+            if (giveaway && giveaway.startedAt <= referral.timestamp) {
+                targets.push({ period: `giveaway:${giveaway._id}`, expiresAt: null, groupOnly: true });
             }
         }
         
-        // Combine query and time filter
-        const fullQuery = { ...query, ...timeFilter };
-        
-        const pipeline = [
-            { $match: fullQuery },
-            { $group: {
-                _id: "$referrerId",
-                count: { $sum: 1 }
-            }},
-            { $sort: { count: -1 } },
-            { $limit: limit }
-        ];
-        
-        const leaderboardData = await referralsCollection.aggregate(pipeline).toArray();
-        
-        // Fetch user details for each entry
-        const enrichedLeaderboard = [];
-        for (const entry of leaderboardData) {
-            const user = await usersCollection.findOne({ userId: entry._id });
-            if (user) {
-                enrichedLeaderboard.push({
-                    userId: user.userId,
-                    name: user.firstName || user.username || 'Anonymous',
-                    referrals: entry.count
-                });
+        const operations = [];
+        for (const { scope, groupId } of scopes) {
+            for (const { period, expiresAt, groupOnly } of targets) {
+                if (groupOnly && scope !== 'group') continue;
+                operations.push({ updateOne: {
+                    filter: { scope, groupId, period, userId: referral.referrerId },
+                    update: {
+                        $inc: { count: countDelta, churned: churnedDelta },
+                        $set: { updatedAt: new Date(), ...(expiresAt ? { expiresAt } : {}) }
+                    },
+                    upsert: true
+                }});
             }
         }
         
-        return enrichedLeaderboard;
+        try {
+            await referralCountersCollection.bulkWrite(operations, { ordered: false });
+        } catch (error) {
+            // Two first bumps of the same counter can both try to insert it; the loser
+            // hits the unique index and goes through again as a plain update
+            const writeErrors = [].concat(error.writeErrors || []);
+            if (!writeErrors.length || writeErrors.some(writeError => writeError.code !== 11000)) throw error;
+            await referralCountersCollection.bulkWrite(writeErrors.map(writeError => operations[writeError.index]), { ordered: false });
+        }
+    } catch (error) {
+        console.error('Error updating referral counters:', error);
+    }
+}
+
+function referralCounterStages(scope, period, expiresAt) {
+    return [
+        { $group: {
+            _id: { groupId: scope === 'group' ? '$groupId' : null, userId: '$referrerId' },
+            count: { $sum: { $cond: ['$valid', 1, 0] } },
+            churned: { $sum: { $cond: ['$valid', 0, 1] } }
+        }},
+        { $project: {
+            _id: 0,
+            scope: { $literal: scope },
+            groupId: '$_id.groupId',
+            period: { $literal: period },
+            userId: '$_id.userId',
+            count: 1,
+            churned: 1,
+            ...(expiresAt ? { expiresAt: { $literal: expiresAt } } : {})
+        }}
+    ];
+}
+
+// Recompute counters from the referral log, for one group or (groupId null) everything.
+// The new counters are built under temporary periods and swapped in at the end, so the
+// leaderboards keep showing the old ones meanwhile. Changes that land while it runs may
+// still be lost, so run it when the bot is quiet.
+async function rebuildReferralCounters(groupId = null) {
+    const scopeFilter = groupId ? { scope: 'group', groupId } : {};
+    const buildPrefix = `rebuild:${new ObjectId()}:`;
+    
+    const counted = { $or: [{ valid: true }, { reason: 'churned' }] };
+    const jobs = [];
+    const scopes = groupId ?
+        [{ scope: 'group', match: { groupId } }] :
+        [{ scope: 'global', match: {} }, { scope: 'group', match: { groupId: { $exists: true, $ne: null } } }];
+    
+    for (const { scope, match } of scopes) {
+        for (const { period, start, expiresAt } of getCounterPeriods(new Date())) {
+            jobs.push({ scope, period, expiresAt, match: { ...counted, ...match, ...(start ? { timestamp: { $gte: start } } : {}) } });
+        }
+    }
+    
+    const giveaways = await giveawaysCollection.find({ isActive: true, ...(groupId ? { groupId } : {}) }).toArray();
+    for (const giveaway of giveaways) {
+        jobs.push({
+            scope: 'group',
+            period: `giveaway:${giveaway._id}`,
+            expiresAt: null,
+            match: { ...counted, groupId: giveaway.groupId, timestamp: { $gte: giveaway.startedAt } }
+        });
+    }
+    
+    const buildPeriods = [];
+    for (const job of jobs) {
+        const buildPeriod = buildPrefix + job.period;
+        const counters = await referralsCollection.aggregate([
+            { $match: job.match },
+            ...referralCounterStages(job.scope, buildPeriod, job.expiresAt)
+        ]).toArray();
+        if (counters.length === 0) continue;
+        
+        await referralCountersCollection.insertMany(counters.map(counter => ({ ...counter, updatedAt: new Date() })));
+        buildPeriods.push({ buildPeriod, period: job.period });
+    }
+    
+    // Swap: overwrite the live counters with the built ones, then drop every live counter
+    // the rebuild did not produce (and the build copies) by their older updatedAt
+    const swappedAt = new Date();
+    let written = 0;
+    try {
+        for (const { buildPeriod, period } of buildPeriods) {
+            const counters = await referralCountersCollection.find({ period: buildPeriod }).toArray();
+            await referralCountersCollection.bulkWrite(counters.map(({ _id, ...counter }) => ({ replaceOne: {
+                filter: { scope: counter.scope, groupId: counter.groupId, period, userId: counter.userId },
+                replacement: { ...counter, period, updatedAt: swappedAt },
+                upsert: true
+            }})), { ordered: false });
+            written += counters.length;
+        }
+        await referralCountersCollection.deleteMany({ ...scopeFilter, updatedAt: { $not: { $gte: swappedAt } } });
+    } finally {
+        await referralCountersCollection.deleteMany({ period: { $in: buildPeriods.map(build => build.buildPeriod) } });
+    }
+    
+    console.log(`Rebuilt ${written} referral counters${groupId ? ` for group ${groupId}` : ''}`);
+    return written;
+}
+
+// Leaderboard windows: the current day, week or month (UTC), all time, or the active giveaway's period (groups only)
+const LEADERBOARD_WINDOWS = ['giveaway', 'day', 'week', 'month', 'all'];
+
+// Groups with an active giveaway rank its period by default, everything else all time
+async function getDefaultLeaderboardWindow(type, entityId) {
+    if (type !== 'group') return 'all';
+    const group = await groupsCollection.findOne({ groupId: entityId });
+    return group && group.activeGiveaway ? 'giveaway' : 'all';
+}
+
+// Counter documents making up a leaderboard
+async function getLeaderboardFilter(type, entityId, window) {
+    if (type === 'group' && window === 'giveaway') {
+        const group = await groupsCollection.findOne({ groupId: entityId });
+        const giveaway = group && group.activeGiveaway ?
+            await giveawaysCollection.findOne({ _id: group.activeGiveaway }) : null;
+        if (giveaway) {
+            return {
+                scope: 'group',
+                groupId: entityId,
+                period: `giveaway:${giveaway._id}`,
+                count: { $gt: 0 },
+                userId: { $nin: getDisqualifiedIds(giveaway) }
+            };
+        }
+    }
+    
+    const current = getCounterPeriods(new Date()).find(period => period.name === window);
+    return {
+        scope: type === 'group' ? 'group' : 'global',
+        groupId: type === 'group' ? entityId : null,
+        period: current ? current.period : 'all',
+        count: { $gt: 0 }
+    };
+}
+
+// type is 'global', 'group' (entityId = groupId) or 'network' (weighted downline credit)
+async function getLeaderboard(type, entityId = null, limit = 10, { window = null, offset = 0, lang = DEFAULT_LANGUAGE } = {}) {
+    try {
+        if (type === 'network') {
+            const users = await usersCollection.find({ networkCredit: { $gt: 0 } })
+                .sort({ networkCredit: -1, userId: 1 })
+                .skip(offset)
+                .limit(limit)
+                .toArray();
+            
+            return users.map((user, index) => ({
+                userId: user.userId,
+                position: offset + index + 1,
+                name: user.firstName || user.username || t(lang, 'anonymous'),
+                referrals: Math.round(user.networkCredit * 100) / 100,
+                churned: 0
+            }));
+        }
+        
+        const filter = await getLeaderboardFilter(type, entityId, window || await getDefaultLeaderboardWindow(type, entityId));
+        const leaderboardData = await referralCountersCollection.aggregate([
+            { $match: filter },
+            { $sort: { count: -1, userId: 1 } },
+            { $skip: offset },
+            { $limit: limit },
+            { $lookup: { from: 'users', localField: 'userId', foreignField: 'userId', as: 'user' } },
+            { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } }
+        ]).toArray();
+        
+        return leaderboardData.map((entry, index) => ({
+            userId: entry.userId,
+            position: offset + index + 1,
+            name: entry.user ? (entry.user.firstName || entry.user.username || t(lang, 'anonymous')) : t(lang, 'anonymous'),
+            referrals: entry.count,
+            churned: Math.max(0, entry.churned)
+        }));
     } catch (error) {
         console.error('Error getting leaderboard:', error);
         return [];
     }
 }
 
+// Total ranked users and where userId stands (position null if not ranked)
+async function getLeaderboardStanding(type, entityId, userId, window = null) {
+    if (type === 'network') {
+        const user = await usersCollection.findOne({ userId, networkCredit: { $gt: 0 } });
+        const total = await usersCollection.countDocuments({ networkCredit: { $gt: 0 } });
+        if (!user) return { total, position: null, referrals: 0 };
+        
+        const above = await usersCollection.countDocuments({
+            $or: [
+                { networkCredit: { $gt: user.networkCredit } },
+                { networkCredit: user.networkCredit, userId: { $lt: userId } }
+            ]
+        });
+        return { total, position: above + 1, referrals: Math.round(user.networkCredit * 100) / 100 };
+    }
+    
+    const filter = await getLeaderboardFilter(type, entityId, window || await getDefaultLeaderboardWindow(type, entityId));
+    const total = await referralCountersCollection.countDocuments(filter);
+    const me = await referralCountersCollection.findOne({ $and: [filter, { userId }] });
+    if (!me) return { total, position: null, referrals: 0 };
+    
+    // Same ordering as getLeaderboard: more referrals first, then lower user ID
+    const above = await referralCountersCollection.countDocuments({
+        $and: [filter, { $or: [{ count: { $gt: me.count } }, { count: me.count, userId: { $lt: userId } }] }]
+    });
+    
+    return { total, position: above + 1, referrals: me.count };
+}
+
 // Giveaway functions
-async function createGiveaway(groupId, creatorId, settings) {
+const DURATION_UNITS = [
+    { suffix: 'd', label: 'day', ms: 24 * 60 * 60 * 1000 },
+    { suffix: 'h', label: 'hour', ms: 60 * 60 * 1000 },
+    { suffix: 'm', label: 'minute', ms: 60 * 1000 }
+];
+
+// Parses durations like 3d, 24h or 30m; returns null if invalid
+function parseDuration(durationStr) {
+    for (const unit of DURATION_UNITS) {
+        const match = (durationStr || '').match(new RegExp(`(\\d+)${unit.suffix}`));
+        const amount = match ? parseInt(match[1]) : 0;
+        if (amount > 0) {
+            return {
+                ms: amount * unit.ms,
+                display: `${amount} ${unit.label}${amount !== 1 ? 's' : ''}`
+            };
+        }
+    }
+    return null;
+}
+
+function formatUnit(amount, unit, lang = DEFAULT_LANGUAGE) {
+    return t(lang, `unit.${unit.label}.${new Intl.PluralRules(lang).select(amount)}`, { count: amount });
+}
+
+function formatDurationMs(ms, lang = DEFAULT_LANGUAGE) {
+    const unit = DURATION_UNITS.find(u => ms % u.ms === 0) || DURATION_UNITS[DURATION_UNITS.length - 1];
+    return formatUnit(Math.round(ms / unit.ms), unit, lang);
+}
+
+function formatTimeLeft(date, lang = DEFAULT_LANGUAGE) {
+    const timeDiffMs = Math.max(0, new Date(date).getTime() - new Date().getTime());
+    
+    // Calculate remaining time in days, hours, minutes
+    const daysLeft = Math.floor(timeDiffMs / (1000 * 60 * 60 * 24));
+    const hoursLeft = Math.floor((timeDiffMs % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
+    const minutesLeft = Math.floor((timeDiffMs % (1000 * 60 * 60)) / (1000 * 60));
+    
+    // Format time left string
+    const [day, hour, minute] = DURATION_UNITS;
+    const parts = [];
+    if (daysLeft > 0) {
+        parts.push(formatUnit(daysLeft, day, lang));
+    }
+    if (hoursLeft > 0 || daysLeft > 0) {
+        parts.push(formatUnit(hoursLeft, hour, lang));
+    }
+    parts.push(formatUnit(minutesLeft, minute, lang));
+    
+    return parts.join(' ');
+}
+
+// Accepts a delay like 2h or a UTC time like 2026-11-01T18:00; returns null if invalid
+function parseStartTime(value) {
+    if (/^\d+[dhm]$/.test(value)) {
+        // Zero offsets such as "0h" don't parse as a duration
+        const offset = parseDuration(value);
+        return offset ? new Date(Date.now() + offset.ms) : null;
+    }
+    
+    const hasTimezone = /(z|[+-]\d\d:?\d\d)$/i.test(value);
+    const time = Date.parse(hasTimezone ? value : `${value}Z`);
+    return Number.isNaN(time) ? null : new Date(time);
+}
+
+// Splits giveaway arguments into positional values and key=value options
+function parseGiveawayArgs(text) {
+    const prizeMatch = text.match(/"([^"]+)"/);
+    const args = text.replace(/"([^"]+)"/, '').trim().split(/\s+/).filter(Boolean);
+    const options = {};
+    const positional = [];
+    
+    for (const arg of args) {
+        const match = arg.match(/^(\w+)=(.+)$/);
+        if (match) {
+            options[match[1].toLowerCase()] = match[2];
+        } else if (arg === 'draw') {
+            options.draw = true;
+        } else {
+            positional.push(arg);
+        }
+    }
+    
+    return { prize: prizeMatch ? prizeMatch[1] : null, positional, options };
+}
+
+function shortGiveawayId(giveaway) {
+    return giveaway._id.toString().slice(-6);
+}
+
+function formatGiveawayStartedMessage(giveaway, lang = DEFAULT_LANGUAGE, chatType = null) {
+    const settings = giveaway.settings;
+    const durationMs = new Date(giveaway.endDate).getTime() - new Date(giveaway.startedAt).getTime();
+    
+    return t(lang, 'giveaway.started', {
+        prizeSeparator: settings.prizeTiers ? '\n' : ' ',
+        prizes: escapeMarkdown(formatPrizeTiers(settings, lang)),
+        duration: formatDurationMs(durationMs, lang),
+        target: hasReferralTarget(settings) ? settings.targetReferrals : t(lang, 'giveaway.unlimited'),
+        maxWinners: settings.maxWinners,
+        selection: describeWinnerSelection(settings, lang),
+        commitment: settings.drawMode === 'weighted' && giveaway.drawCommitment ?
+            t(lang, 'giveaway.drawCommitment', { hash: giveaway.drawCommitment }) : '',
+        howToJoin: t(lang, chatType === 'channel' ? 'giveaway.howToJoin.channel' : 'giveaway.howToJoin.group')
+    });
+}
+
+// Announces a started giveaway in its chat; channel posts get a button to fetch an invite link,
+// since subscribers can't send /groupreferral there
+async function postGiveawayStarted(group, giveaway) {
+    const lang = getGroupLanguage(group);
+    let keyboard = {};
+    if (group?.chatType === 'channel') {
+        const botUsername = bot.botInfo?.username || (await bot.telegram.getMe()).username;
+        keyboard = Markup.inlineKeyboard([
+            [Markup.button.url(t(lang, 'giveaway.getInviteLink'), `https://t.me/${botUsername}?start=channelref_${giveaway.groupId}`)]
+        ]);
+    }
+    
+    return bot.telegram.sendMessage(giveaway.groupId, formatGiveawayStartedMessage(giveaway, lang, group?.chatType),
+        { parse_mode: 'Markdown', ...keyboard });
+}
+
+// The draw seed is fixed when a giveaway starts and only its hash is published then, so the
+// seed revealed by /drawproof can be checked against a value announced before anyone referred
+function createDrawSeed() {
+    const drawSeed = crypto.randomBytes(16).toString('hex');
+    return { drawSeed, drawCommitment: crypto.createHash('sha256').update(drawSeed).digest('hex') };
+}
+
+// Takes the group's single active giveaway slot; false if another giveaway holds it
+async function claimGiveawaySlot(groupId, giveawayId) {
+    const slot = await groupsCollection.updateOne(
+        { groupId, activeGiveaway: null },
+        { $set: { activeGiveaway: giveawayId } }
+    );
+    return slot.modifiedCount > 0;
+}
+
+async function createGiveaway(groupId, creatorId, settings, startsAt = null) {
     try {
         const defaultSettings = {
             targetReferrals: 20,
             maxWinners: 10,
             durationDays: 3,
             prizes: ['Prize to be announced'],
+            prizeTiers: null,  // [{ fromRank, toRank, prize }], overrides prizes
+            drawMode: 'top',  // 'top' referrers win, or 'weighted' random draw
+            // With a finite targetReferrals only qualifiers can win: 'top' takes them in
+            // the order they qualified, 'weighted' draws among them (one ticket each)
             endDate: null
         };
         
         const giveawaySettings = { ...defaultSettings, ...settings };
         
+        if (startsAt) {
+            // Started later by the scheduler, which also claims the group's active slot
+            const scheduledGiveaway = {
+                groupId,
+                creatorId,
+                settings: giveawaySettings,
+                createdAt: new Date(),
+                startsAt,
+                participants: {},
+                qualifiers: [],
+                isActive: false,
+                isScheduled: true,
+                winners: []
+            };
+            
+            const result = await giveawaysCollection.insertOne(scheduledGiveaway);
+            scheduleGiveawayStart(result.insertedId, startsAt);
+            
+            return scheduledGiveaway;
+        }
+        
         // Calculate end date based on durationDays if endDate not provided
         const endDate = giveawaySettings.endDate || (() => {
             const date = new Date();
@@ -285,32 +1100,38 @@ async function createGiveaway(groupId, creatorId, settings) {
             return date;
         })();
         
+        // Claim the group's single active slot first: a scheduled start or another admin may
+        // have taken it since the caller checked
+        const giveawayId = new ObjectId();
+        if (!await claimGiveawaySlot(groupId, giveawayId)) {
+            console.log(`Group ${groupId} already has an active giveaway`);
+            return null;
+        }
+        
         const giveaway = {
+            _id: giveawayId,
             groupId,
             creatorId,
             settings: giveawaySettings,
             startedAt: new Date(),
+            ...createDrawSeed(),
             endDate,
             participants: {},
+            qualifiers: [],
             isActive: true,
             winners: []
         };
         
-        const result = await giveawaysCollection.insertOne(giveaway);
-        
-        // Link giveaway to group
-        await groupsCollection.updateOne(
-            { groupId },
-            { $set: { activeGiveaway: result.insertedId } }
-        );
-        
-        // Calculate milliseconds until end date
-        const timeoutMs = Math.max(0, endDate.getTime() - new Date().getTime());
+        try {
+            await giveawaysCollection.insertOne(giveaway);
+        } catch (error) {
+            await groupsCollection.updateOne({ groupId, activeGiveaway: giveawayId }, { $set: { activeGiveaway: null } });
+            throw error;
+        }
         
-        // Schedule automatic end
-        setTimeout(() => {
-            endGiveaway(groupId, result.insertedId);
-        }, timeoutMs);
+        // Schedule automatic end (the periodic sweep covers restarts)
+        scheduleGiveawayEnd(groupId, giveawayId, endDate);
+        emitBotEvent('giveaway.started', giveawayEventData(giveaway));
         
         return giveaway;
     } catch (error) {
@@ -326,14 +1147,16 @@ async function updateGiveawayProgress(groupId, referrerId) {
         
         const giveaway = await giveawaysCollection.findOne({ _id: group.activeGiveaway });
         if (!giveaway || !giveaway.isActive) return false;
+        if (getDisqualifiedIds(giveaway).includes(referrerId)) return false;
         
-        // Count VALID referrals made during giveaway period
-        const referralsCount = await referralsCollection.countDocuments({
-            referrerId,
+        // Valid referrals made during the giveaway period, kept by bumpReferralCounters
+        const counter = await referralCountersCollection.findOne({
+            scope: 'group',
             groupId,
-            valid: true,  // Only count valid referrals
-            timestamp: { $gte: giveaway.startedAt, $lte: new Date() }
+            period: `giveaway:${giveaway._id}`,
+            userId: referrerId
         });
+        const referralsCount = Math.max(0, counter?.count || 0);
         
         // Update participant's progress
         await giveawaysCollection.updateOne(
@@ -341,6 +1164,10 @@ async function updateGiveawayProgress(groupId, referrerId) {
             { $set: { [`participants.${referrerId}`]: referralsCount } }
         );
         
+        if (hasReferralTarget(giveaway.settings)) {
+            await updateQualification(giveaway, referrerId, referralsCount);
+        }
+        
         return true;
     } catch (error) {
         console.error('Error updating giveaway progress:', error);
@@ -348,60 +1175,290 @@ async function updateGiveawayProgress(groupId, referrerId) {
     }
 }
 
-async function endGiveaway(groupId, giveawayId) {
-    try {
-        const giveaway = await giveawaysCollection.findOne({ _id: giveawayId });
-        if (!giveaway || !giveaway.isActive) return null;
+// Parses prize tiers like "1: $50; 2-3: $20; 4-10: sticker pack".
+// Returns { tiers: null } for a plain prize description.
+function parsePrizeTiers(text, lang = DEFAULT_LANGUAGE) {
+    const segments = text.split(';').map(segment => segment.trim()).filter(Boolean);
+    const tierPattern = /^(\d+)(?:\s*[-–]\s*(\d+))?\s*:\s*(.+)$/;
+    
+    if (!segments.length || !tierPattern.test(segments[0])) {
+        return { tiers: null };
+    }
+    
+    const tiers = [];
+    for (const segment of segments) {
+        const match = segment.match(tierPattern);
+        if (!match) {
+            return { error: t(lang, 'prizeTiers.unreadable', { segment }) };
+        }
         
-        // Get leaderboard data for this group during the giveaway period
-        const pipeline = [
-            { $match: { 
-                groupId, 
-                valid: true,  // Only count valid referrals
-                timestamp: { $gte: giveaway.startedAt, $lte: new Date() } 
-            }},
-            { $group: {
-                _id: "$referrerId",
-                count: { $sum: 1 }
-            }},
-            { $sort: { count: -1 } },
-            { $limit: giveaway.settings.maxWinners }
-        ];
-        
-        const leaderboardData = await referralsCollection.aggregate(pipeline).toArray();
-        
-        // Prepare winners list from leaderboard data
-        const winners = [];
-        for (const entry of leaderboardData) {
-            if (entry.count > 0) {  // Include everyone who has at least 1 referral
-                winners.push({
-                    userId: entry._id,
-                    referrals: entry.count
-                });
-            }
+        const fromRank = parseInt(match[1]);
+        const toRank = match[2] ? parseInt(match[2]) : fromRank;
+        if (fromRank < 1 || toRank < fromRank) {
+            return { error: t(lang, 'prizeTiers.invalidRange', { segment }) };
+        }
+        
+        tiers.push({ fromRank, toRank, prize: match[3].trim() });
+    }
+    
+    tiers.sort((a, b) => a.fromRank - b.fromRank);
+    for (let i = 1; i < tiers.length; i++) {
+        if (tiers[i].fromRank <= tiers[i - 1].toRank) {
+            return { error: t(lang, 'prizeTiers.overlap') };
+        }
+    }
+    
+    return { tiers };
+}
+
+function getPrizeForRank(settings, rank) {
+    if (settings.prizeTiers) {
+        const tier = settings.prizeTiers.find(t => rank >= t.fromRank && rank <= t.toRank);
+        return tier ? tier.prize : null;
+    }
+    // A single prize applies to every winner
+    return settings.prizes.length === 1 ? settings.prizes[0] : settings.prizes[rank - 1] || null;
+}
+
+function ordinal(n, lang = DEFAULT_LANGUAGE) {
+    return t(lang, `ordinal.${new Intl.PluralRules(lang, { type: 'ordinal' }).select(n)}`, { n });
+}
+
+function formatPrizeTiers(settings, lang = DEFAULT_LANGUAGE) {
+    if (!settings.prizeTiers) {
+        return settings.prizes.join(', ');
+    }
+    
+    return settings.prizeTiers.map(tier => {
+        const ranks = tier.fromRank === tier.toRank ?
+            ordinal(tier.fromRank, lang) : `${ordinal(tier.fromRank, lang)}–${ordinal(tier.toRank, lang)}`;
+        return `${ranks}: ${tier.prize}`;
+    }).join('\n');
+}
+
+function getDisqualifiedIds(giveaway) {
+    return (giveaway.disqualified || []).map(entry => entry.userId);
+}
+
+async function getGiveawayStandings(giveaway, until, limit = null) {
+    const pipeline = [
+        { $match: { 
+            groupId: giveaway.groupId, 
+            valid: true,  // Only count valid referrals
+            timestamp: { $gte: giveaway.startedAt, $lte: until },
+            referrerId: { $nin: getDisqualifiedIds(giveaway) }
+        }},
+        { $group: {
+            _id: "$referrerId",
+            count: { $sum: 1 }
+        }},
+        // Ties go to the lower user ID, so the order doesn't change between runs
+        { $sort: { count: -1, _id: 1 } },
+        ...(limit ? [{ $limit: limit }] : [])
+    ];
+    
+    const leaderboardData = await referralsCollection.aggregate(pipeline).toArray();
+    
+    // Include everyone who has at least 1 referral, sorted by most referrals
+    return leaderboardData
+        .filter(entry => entry.count > 0)
+        .map(entry => ({ userId: entry._id, referrals: entry.count }))
+        .sort((a, b) => b.referrals - a.referrals);
+}
+
+// Weighted draw without replacement. Each round hashes `${seed}:${round}` with
+// SHA-256 and takes the first 6 bytes modulo the remaining tickets, walking the
+// ticket table in order; the drawn entry is then removed from the table.
+function drawWeightedWinners(tickets, seed, count) {
+    const remaining = [...tickets];
+    const winners = [];
+    
+    for (let round = 0; winners.length < count && remaining.length > 0; round++) {
+        const totalTickets = remaining.reduce((sum, entry) => sum + entry.tickets, 0);
+        const hash = crypto.createHash('sha256').update(`${seed}:${round}`).digest();
+        let pick = hash.readUIntBE(0, 6) % totalTickets;
+        
+        const index = remaining.findIndex(entry => (pick -= entry.tickets) < 0);
+        winners.push(remaining[index]);
+        remaining.splice(index, 1);
+    }
+    
+    return winners;
+}
+
+// Qualifiers still at or above the target, in the order they qualified
+async function getGiveawayQualifiers(giveaway, endedAt) {
+    const standings = await getGiveawayStandings(giveaway, endedAt);
+    const qualifiedAt = new Map((giveaway.qualifiers || []).map(q => [q.userId, new Date(q.qualifiedAt).getTime()]));
+    
+    return standings
+        .filter(entry => entry.referrals >= giveaway.settings.targetReferrals)
+        .sort((a, b) => (qualifiedAt.get(a.userId) ?? Infinity) - (qualifiedAt.get(b.userId) ?? Infinity));
+}
+
+// Giveaways started before seeds were committed draw with a fresh one
+function getDrawSeed(giveaway) {
+    return giveaway.drawSeed || crypto.randomBytes(16).toString('hex');
+}
+
+async function selectGiveawayWinners(giveaway, endedAt) {
+    const maxWinners = giveaway.settings.maxWinners;
+    
+    if (hasReferralTarget(giveaway.settings)) {
+        const qualifiers = await getGiveawayQualifiers(giveaway, endedAt);
+        if (giveaway.settings.drawMode !== 'weighted') {
+            return { winners: qualifiers.slice(0, maxWinners), draw: null };
         }
         
-        // Sort by most referrals
-        winners.sort((a, b) => b.referrals - a.referrals);
+        // One ticket per qualifier
+        const tickets = qualifiers
+            .map(entry => ({ userId: entry.userId, tickets: 1 }))
+            .sort((a, b) => a.userId - b.userId);
+        const seed = getDrawSeed(giveaway);
+        
+        const referrals = new Map(qualifiers.map(entry => [entry.userId, entry.referrals]));
+        const winners = drawWeightedWinners(tickets, seed, maxWinners)
+            .map(entry => ({ userId: entry.userId, referrals: referrals.get(entry.userId) }));
         
-        // Update giveaway record
+        return {
+            winners,
+            draw: { algorithm: 'sha256-weighted-v1', seed, commitment: giveaway.drawCommitment || null, tickets }
+        };
+    }
+    
+    if (giveaway.settings.drawMode !== 'weighted') {
+        return { winners: await getGiveawayStandings(giveaway, endedAt, maxWinners), draw: null };
+    }
+    
+    // One ticket per valid referral, ordered by user ID so the table is reproducible
+    const standings = await getGiveawayStandings(giveaway, endedAt);
+    const tickets = standings
+        .map(entry => ({ userId: entry.userId, tickets: entry.referrals }))
+        .sort((a, b) => a.userId - b.userId);
+    const seed = getDrawSeed(giveaway);
+    
+    const winners = drawWeightedWinners(tickets, seed, maxWinners)
+        .map(entry => ({ userId: entry.userId, referrals: entry.tickets }));
+    
+    return {
+        winners,
+        draw: { algorithm: 'sha256-weighted-v1', seed, commitment: giveaway.drawCommitment || null, tickets }
+    };
+}
+
+function hasReferralTarget(settings) {
+    return Number.isFinite(settings.targetReferrals);
+}
+
+function describeWinnerSelection(settings, lang = DEFAULT_LANGUAGE) {
+    if (hasReferralTarget(settings)) {
+        return t(lang, settings.drawMode === 'weighted' ? 'selection.thresholdDraw' : 'selection.threshold',
+            { target: settings.targetReferrals });
+    }
+    return t(lang, settings.drawMode === 'weighted' ? 'selection.draw' : 'selection.top');
+}
+
+// Add or remove the referrer from the qualifiers as they cross the target
+async function updateQualification(giveaway, referrerId, referralsCount) {
+    if (referralsCount < giveaway.settings.targetReferrals) {
+        // Clawbacks can drop a qualifier back under the target
         await giveawaysCollection.updateOne(
-            { _id: giveawayId },
+            { _id: giveaway._id },
+            { $pull: { qualifiers: { userId: referrerId } } }
+        );
+        return;
+    }
+    
+    const result = await giveawaysCollection.updateOne(
+        { _id: giveaway._id, 'qualifiers.userId': { $ne: referrerId } },
+        { $push: { qualifiers: { userId: referrerId, qualifiedAt: new Date() } } }
+    );
+    if (!result.modifiedCount) return;
+    
+    const user = await usersCollection.findOne({ userId: referrerId });
+    const group = await groupsCollection.findOne({ groupId: giveaway.groupId });
+    const lang = getGroupLanguage(group);
+    const name = user ? (user.firstName || user.username || t(lang, 'someone')) : t(lang, 'someone');
+    
+    try {
+        await bot.telegram.sendMessage(
+            giveaway.groupId,
+            t(lang, 'giveaway.qualified', { name, target: giveaway.settings.targetReferrals })
+        );
+    } catch (error) {
+        console.error('Error announcing qualifier:', error);
+    }
+}
+
+// Standings with positions and the names users had at the time
+async function snapshotStandings(standings, lang = DEFAULT_LANGUAGE) {
+    const users = await usersCollection.find({ userId: { $in: standings.map(entry => entry.userId) } }).toArray();
+    const names = new Map(users.map(user => [user.userId, user.firstName || user.username || t(lang, 'anonymous')]));
+    
+    return standings.map((entry, index) => ({
+        position: index + 1,
+        userId: entry.userId,
+        name: names.get(entry.userId) || t(lang, 'anonymous'),
+        referrals: entry.referrals
+    }));
+}
+
+async function endGiveaway(groupId, giveawayId) {
+    try {
+        const giveaway = await giveawaysCollection.findOne({ _id: giveawayId });
+        if (!giveaway || !giveaway.isActive) return null;
+        
+        // Get winners for this group during the giveaway period
+        const endedAt = new Date();
+        const { winners: ranked, draw } = await selectGiveawayWinners(giveaway, endedAt);
+        
+        // Tie each winner to the prize for their rank
+        const winners = ranked.map((winner, index) => ({
+            userId: winner.userId,
+            rank: index + 1,
+            referrals: winner.referrals,
+            prize: getPrizeForRank(giveaway.settings, index + 1)
+        }));
+        
+        // Archive the final standings so past giveaways stay readable
+        const lang = getGroupLanguage(await groupsCollection.findOne({ groupId }));
+        const finalStandings = await snapshotStandings(await getGiveawayStandings(giveaway, endedAt), lang);
+        
+        // Atomically flip isActive so only one caller (or bot instance) ends it
+        const ended = await giveawaysCollection.findOneAndUpdate(
+            { _id: giveawayId, isActive: true },
             { 
                 $set: { 
                     isActive: false,
-                    endedAt: new Date(),
-                    winners: winners.map(w => w.userId)
+                    endedAt,
+                    winners,
+                    ...(draw ? { draw } : {}),
+                    finalStandings,
+                    participantCount: finalStandings.length,
+                    totalReferrals: finalStandings.reduce((sum, entry) => sum + entry.referrals, 0),
+                    prizeSummary: formatPrizeTiers(giveaway.settings, lang),
+                    announced: false
                 }
             }
         );
+        if (!ended) return null;
         
         // Remove active giveaway from group
         await groupsCollection.updateOne(
-            { groupId },
+            { groupId, activeGiveaway: giveawayId },
             { $set: { activeGiveaway: null } }
         );
         
+        // Final results come from the referral log, the period counters are no longer needed
+        await referralCountersCollection.deleteMany({ period: `giveaway:${giveawayId}` });
+        
+        emitBotEvent('giveaway.ended', {
+            ...giveawayEventData(giveaway),
+            endedAt,
+            participantCount: finalStandings.length,
+            winners
+        });
+        
         return winners;
     } catch (error) {
         console.error('Error ending giveaway:', error);
@@ -409,577 +1466,2757 @@ async function endGiveaway(groupId, giveawayId) {
     }
 }
 
-// Bot command handlers
-bot.use(session());
+async function formatGiveawayEndedMessage(giveaway, winners, lang = DEFAULT_LANGUAGE) {
+    const drawNote = giveaway.settings.drawMode === 'weighted' ?
+        t(lang, 'endGiveaway.drawNote', { selection: describeWinnerSelection(giveaway.settings, lang).toLowerCase() }) : '';
+    
+    return t(lang, 'endGiveaway.ended', {
+        winners: await formatWinnersText(winners, lang),
+        drawNote,
+        hours: CLAIM_WINDOW_HOURS
+    });
+}
 
-// Start command - entry point and referral handler
-bot.start(async (ctx) => {
+async function formatWinnersText(winners, lang = DEFAULT_LANGUAGE) {
+    let winnersText = '';
+    for (let i = 0; i < winners.length; i++) {
+        const winner = await usersCollection.findOne({ userId: winners[i].userId });
+        const name = winner ? (winner.firstName || winner.username || t(lang, 'anonymous')) : t(lang, 'anonymous');
+        const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : `${i+1}.`;
+        const prizeText = winners[i].prize ? ` - 🎁 ${escapeMarkdown(winners[i].prize)}` : '';
+        winnersText += t(lang, 'endGiveaway.winnerEntry', { medal, name: escapeMarkdown(name), count: winners[i].referrals, prize: prizeText }) + '\n';
+    }
+    return winnersText;
+}
+
+// Giveaway scheduler
+// Timers only live in this process, so every instance also sweeps the
+// collection periodically; endGiveaway and the announcement claim are atomic.
+const GIVEAWAY_SWEEP_INTERVAL_MS = 60 * 1000;
+const MAX_TIMEOUT_MS = 2147483647; // setTimeout overflows past ~24.8 days
+const giveawayTimers = new Map();
+
+function cancelGiveawayTimer(key) {
+    clearTimeout(giveawayTimers.get(key));
+    giveawayTimers.delete(key);
+}
+
+function scheduleGiveawayTimer(key, date, callback) {
+    cancelGiveawayTimer(key);
+    
+    const timeoutMs = Math.max(0, new Date(date).getTime() - Date.now());
+    if (timeoutMs > MAX_TIMEOUT_MS) return; // Left to the sweep
+    
+    giveawayTimers.set(key, setTimeout(() => {
+        giveawayTimers.delete(key);
+        callback();
+    }, timeoutMs));
+}
+
+function scheduleGiveawayEnd(groupId, giveawayId, endDate) {
+    scheduleGiveawayTimer(`end:${giveawayId}`, endDate, () => finishGiveaway(groupId, giveawayId));
+}
+
+function scheduleGiveawayStart(giveawayId, startsAt) {
+    scheduleGiveawayTimer(`start:${giveawayId}`, startsAt, () => startScheduledGiveaway(giveawayId));
+}
+
+async function startScheduledGiveaway(giveawayId) {
     try {
-        const userId = ctx.from.id;
-        const payload = ctx.startPayload;
+        const giveaway = await giveawaysCollection.findOne({ _id: giveawayId, isScheduled: true });
+        if (!giveaway) return null;
         
-        // Create or get user
-        await getOrCreateUser(userId, ctx.from.username, ctx.from.first_name, ctx.from.last_name);
+        // Claim the group's single active slot; if it is taken, the sweep retries later
+        if (!await claimGiveawaySlot(giveaway.groupId, giveawayId)) return null;
         
-        // Check if this is a personal referral
-        if (payload && payload.startsWith('ref_')) {
-            const referrerId = parseInt(payload.substring(4));
-            
-            // Don't count self-referrals
-            if (referrerId !== userId) {
-                const referrer = await usersCollection.findOne({ userId: referrerId });
-                if (referrer) {
-                    const success = await trackReferral(referrerId, userId);
-                    if (success) {
-                        ctx.reply(`Welcome! You joined via ${referrer.firstName || referrer.username || 'a user'}'s referral link.`);
-                    }
-                }
-            }
-        }
-        // Check if this is a group referral
-        else if (payload && payload.startsWith('groupref_')) {
-            // Format: groupref_referrerId_groupId
-            const parts = payload.substring(9).split('_');
-            if (parts.length === 2) {
-                const referrerId = parseInt(parts[0]);
-                const groupId = parseInt(parts[1]);
-                
-                // Don't count self-referrals
-                if (referrerId !== userId) {
-                    // Get group details and generate invite link
-                    const group = await groupsCollection.findOne({ groupId });
-                    if (group) {
-                        let inviteLink;
-                        try {
-                            // Get a fresh invite link or use existing one
-                            inviteLink = await ctx.telegram.exportChatInviteLink(groupId);
-                        } catch (error) {
-                            console.error('Error creating invite link:', error);
-                            return ctx.reply('Sorry, I was unable to generate a group invite link.');
-                        }
-                        
-                        // Store pending referral in a separate collection to track it
-                        await referralsCollection.insertOne({
-                            type: 'pending_group_referral',
-                            referrerId,
-                            referredId: userId,
-                            groupId,
-                            timestamp: new Date(),
-                            status: 'pending'
-                        });
-                        
-                        const referrer = await usersCollection.findOne({ userId: referrerId });
-                        const referrerName = referrer ? (referrer.firstName || referrer.username || 'a user') : 'a user';
-                        
-                        // Send group invite with instruction
-                        const message = `
-You were invited to join a group by ${referrerName}!
-
-Click the link below to join:
-${inviteLink}
-
-After joining, your participation will be counted for the referral program.
-`;
-                        const inlineKeyboard = Markup.inlineKeyboard([
-                            [Markup.button.url('Join Group', inviteLink)]
-                        ]);
-                        
-                        await ctx.reply(message, inlineKeyboard);
-                        return;
-                    }
-                }
-            }
+        const startedAt = new Date();
+        const endDate = new Date(startedAt.getTime() + giveaway.settings.durationDays * DAY_MS);
+        const started = await giveawaysCollection.findOneAndUpdate(
+            { _id: giveawayId, isScheduled: true },
+            { $set: { isScheduled: false, isActive: true, startedAt, endDate, ...createDrawSeed() } },
+            { returnDocument: 'after' }
+        );
+        
+        if (!started) {
+            // Cancelled in the meantime, release the slot again
+            await groupsCollection.updateOne(
+                { groupId: giveaway.groupId, activeGiveaway: giveawayId },
+                { $set: { activeGiveaway: null } }
+            );
+            return null;
         }
         
-        // Default welcome message with inline buttons
-        const inlineKeyboard = Markup.inlineKeyboard([
-            [Markup.button.callback('📨 Get My Referral Link', 'get_referral')],
-            [Markup.button.callback('🏆 View Leaderboard', 'view_leaderboard')],
-            [Markup.button.callback('ℹ️ Help', 'show_help')]
-        ]);
+        scheduleGiveawayEnd(started.groupId, giveawayId, endDate);
+        emitBotEvent('giveaway.started', giveawayEventData(started));
+        const group = await groupsCollection.findOne({ groupId: started.groupId });
+        await postGiveawayStarted(group, started);
         
-        await ctx.reply(
-            `Welcome to the Wolp Referral Bot! 👋\n\nUse this bot to create referral links, track invites, and participate in giveaways.`,
-            inlineKeyboard
-        );
+        return started;
     } catch (error) {
-        console.error('Error in start command:', error);
-        ctx.reply('Sorry, an error occurred while processing your request.');
+        console.error('Error starting scheduled giveaway:', error);
+        return null;
     }
-});
+}
 
-// Help command
-bot.command('help', async (ctx) => {
+// Marks the results as announced; returns false if someone else already did
+async function claimGiveawayAnnouncement(giveawayId) {
+    const claimed = await giveawaysCollection.findOneAndUpdate(
+        { _id: giveawayId, announced: false },
+        { $set: { announced: true, announcedAt: new Date() } }
+    );
+    return !!claimed;
+}
+
+// Hands a failed announcement back to the sweep, which gives up after a few tries (the
+// bot may have lost access to the chat)
+const ANNOUNCE_MAX_ATTEMPTS = 5;
+async function releaseGiveawayAnnouncement(giveawayId) {
     try {
-        if (ctx.chat.type === 'private') {
-            const helpText = `
-*Wolp Referral Bot - Help*
-
-*User Commands:*
-/start - Start the bot
-/help - Show this help message
-/referral - Get your personal referral link
-/leaderboard - View the global referral leaderboard
-
-*How it works:*
-1. Generate your personal referral link
-2. Share it with friends
-3. When they join using your link, you get credit
-4. Participate in giveaways by referring new users
-`;
-            
-            const inlineKeyboard = Markup.inlineKeyboard([
-                [Markup.button.callback('📨 Get My Referral Link', 'get_referral')],
-                [Markup.button.callback('🏆 View Leaderboard', 'view_leaderboard')]
-            ]);
-            
-            await ctx.replyWithMarkdown(helpText, inlineKeyboard);
-        } else {
-            // For groups, just show the message without inline buttons
-            await ctx.reply('Please use /helpgroup for group-specific commands.');
-        }
+        const giveaway = await giveawaysCollection.findOneAndUpdate(
+            { _id: giveawayId, announced: true },
+            { $inc: { announceFailures: 1 } },
+            { returnDocument: 'after' }
+        );
+        if (!giveaway || giveaway.announceFailures >= ANNOUNCE_MAX_ATTEMPTS) return;
+        await giveawaysCollection.updateOne(
+            { _id: giveawayId },
+            { $set: { announced: false }, $unset: { announcedAt: '' } }
+        );
     } catch (error) {
-        console.error('Error in help command:', error);
-        ctx.reply('Sorry, an error occurred while processing your request.');
+        console.error('Error releasing giveaway announcement:', error);
     }
-});
+}
 
-// Group help command
-bot.command('helpgroup', async (ctx) => {
+// Returns 'posted', 'disabled' (the group turned announcements off), 'taken' (another
+// instance announces) or 'failed'
+async function announceGiveawayResults(giveawayId) {
+    let claimed = false;
     try {
-        if (ctx.chat.type !== 'private') {
-            const helpText = `
-*Referral Bot - Group Help*
-
-*Group Commands:*
-/helpgroup - Show this help message
-/groupreferral - Get group invite link that tracks referrals
-/leaderboard - View group-specific leaderboard
-/giveaway - View active giveaway in this group
-
-*Admin Commands:*
-/startgiveaway - Start a new giveaway
-/endgiveaway - End the current giveaway manually
-/configgroup - Configure group settings
-
-*Setup:*
-1. Make sure the bot is an admin with invite permissions
-2. Use /groupreferral to generate a tracking link
-3. Share the link to track who invites the most people
-`;
-            
-            await ctx.replyWithMarkdown(helpText);
+        if (!await claimGiveawayAnnouncement(giveawayId)) return 'taken';
+        claimed = true;
+        
+        const giveaway = await giveawaysCollection.findOne({ _id: giveawayId });
+        const group = await groupsCollection.findOne({ groupId: giveaway.groupId });
+        if (!getGroupSettings(group).announceGiveawayResults) return 'disabled';
+        
+        const winners = giveaway.winners;
+        const lang = getGroupLanguage(group);
+        
+        let message;
+        if (winners.length > 0) {
+            message = await formatGiveawayEndedMessage(giveaway, winners, lang);
         } else {
-            await ctx.reply('This command is for groups only. Use /help for personal commands.');
+            message = t(lang, 'endGiveaway.noParticipants');
         }
+        
+        await bot.telegram.sendMessage(giveaway.groupId, message, { parse_mode: 'Markdown' });
+        return 'posted';
     } catch (error) {
-        console.error('Error in help_group command:', error);
-        ctx.reply('Sorry, an error occurred while processing your request.');
+        console.error('Error announcing giveaway results:', error);
+        if (claimed) await releaseGiveawayAnnouncement(giveawayId);
+        return 'failed';
+    } finally {
+        // Winners get their claim messages whatever happened to the group post; each
+        // winner is only notified once, so a retried announcement doesn't repeat them
+        if (claimed) await notifyGiveawayWinners(giveawayId);
     }
-});
-
-// Referral command / button
-bot.command('referral', async (ctx) => {
-    await handleReferralCommand(ctx);
-});
+}
 
-bot.action('get_referral', async (ctx) => {
-    await handleReferralCommand(ctx);
-    await ctx.answerCbQuery();
-});
+async function finishGiveaway(groupId, giveawayId) {
+    await endGiveaway(groupId, giveawayId);
+    // Announce even if another instance ended it but never got to announce
+    await announceGiveawayResults(giveawayId);
+}
 
-async function handleReferralCommand(ctx) {
+async function sweepGiveaways() {
     try {
-        if (ctx.chat.type === 'private') {
-            const userId = ctx.from.id;
-            
-            // Check if user already has a referral link
-            const user = await usersCollection.findOne({ userId });
-            let referralLink;
-            
-            if (user && user.personalReferralLink) {
-                referralLink = user.personalReferralLink;
-            } else {
-                // Generate new referral link
-                referralLink = await generateReferralLink(ctx, 'personal', userId);
+        const now = new Date();
+        const activeGiveaways = await giveawaysCollection.find({ isActive: true }).toArray();
+        
+        for (const giveaway of activeGiveaways) {
+            if (new Date(giveaway.endDate) <= now) {
+                await finishGiveaway(giveaway.groupId, giveaway._id);
+            } else if (!giveawayTimers.has(`end:${giveaway._id}`)) {
+                scheduleGiveawayEnd(giveaway.groupId, giveaway._id, giveaway.endDate);
             }
-            
-            if (referralLink) {
-                const totalReferrals = user ? user.totalReferrals : 0;
-                
-                const message = `
-*Your Personal Referral Link*
+        }
+        
+        // Scheduled giveaways start in order once due and the group's slot is free
+        const scheduledGiveaways = await giveawaysCollection.find({ isScheduled: true }).sort({ startsAt: 1 }).toArray();
+        for (const giveaway of scheduledGiveaways) {
+            if (new Date(giveaway.startsAt) <= now) {
+                await startScheduledGiveaway(giveaway._id);
+            } else if (!giveawayTimers.has(`start:${giveaway._id}`)) {
+                scheduleGiveawayStart(giveaway._id, giveaway.startsAt);
+            }
+        }
+        
+        // Giveaways ended by an instance that died before announcing
+        const unannounced = await giveawaysCollection.find({ isActive: false, announced: false }).toArray();
+        for (const giveaway of unannounced) {
+            await announceGiveawayResults(giveaway._id);
+        }
+    } catch (error) {
+        console.error('Error sweeping giveaways:', error);
+    }
+}
 
-${referralLink}
+// Prize claims
+// Winner states: notified -> claimed -> delivered, or notified -> expired (and rerolled)
+const CLAIM_WINDOW_HOURS = 48;
 
-You've invited *${totalReferrals}* people so far.
+async function notifyWinner(giveaway, winner) {
+    const claimDeadline = new Date(Date.now() + CLAIM_WINDOW_HOURS * 60 * 60 * 1000);
+    
+    // Only notify once, even with several bot instances
+    const result = await giveawaysCollection.updateOne(
+        { _id: giveaway._id, winners: { $elemMatch: { userId: winner.userId, status: { $exists: false } } } },
+        { $set: { 'winners.$.status': 'notified', 'winners.$.notifiedAt': new Date(), 'winners.$.claimDeadline': claimDeadline } }
+    );
+    if (!result.modifiedCount) return false;
+    
+    const group = await groupsCollection.findOne({ groupId: giveaway.groupId });
+    const lang = getUserLanguage(await usersCollection.findOne({ userId: winner.userId }));
+    // Titles and prizes are free text; unescaped they can break the Markdown and the message
+    const message = t(lang, 'claim.notification', {
+        rank: ordinal(winner.rank, lang),
+        group: escapeMarkdown(group ? group.title : t(lang, 'aGroup')),
+        count: winner.referrals,
+        prize: winner.prize ? t(lang, 'claim.prizeLine', { prize: escapeMarkdown(winner.prize) }) : '',
+        deadline: claimDeadline.toUTCString()
+    });
+    
+    try {
+        await bot.telegram.sendMessage(winner.userId, message, {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([[Markup.button.callback(t(lang, 'claim.button'), `claim_prize:${giveaway._id}`)]])
+        });
+    } catch (error) {
+        // Winners who never started the bot can still claim with /claim
+        console.error('Error notifying winner:', error);
+    }
+    
+    return true;
+}
 
-Share this link with friends. When they start the bot using your link, you'll get credit for the referral.
-`;
-                
-                const inlineKeyboard = Markup.inlineKeyboard([
-                    [Markup.button.callback('🏆 View Leaderboard', 'view_leaderboard')],
-                    [Markup.button.callback('🔄 Back to Menu', 'back_to_menu')]
-                ]);
-                
-                await ctx.replyWithMarkdown(message, inlineKeyboard);
-            } else {
-                await ctx.reply('Sorry, I was unable to generate a referral link. Please try again later.');
-            }
-        } else {
-            await ctx.reply('Please use this command in private chat with the bot.');
+async function notifyGiveawayWinners(giveawayId) {
+    try {
+        const giveaway = await giveawaysCollection.findOne({ _id: giveawayId });
+        for (const winner of giveaway.winners) {
+            await notifyWinner(giveaway, winner);
         }
     } catch (error) {
-        console.error('Error in referral command:', error);
-        ctx.reply('Sorry, an error occurred while processing your request.');
+        console.error('Error notifying giveaway winners:', error);
     }
 }
 
-// Group referral command
-bot.command('groupreferral', async (ctx) => {
+async function sweepPrizeClaims() {
     try {
-        if (ctx.chat.type !== 'private') {
-            const groupId = ctx.chat.id;
-            const userId = ctx.from.id;
-            
-            // Check if the bot is an admin
-            const botMember = await ctx.telegram.getChatMember(groupId, ctx.botInfo.id);
+        const now = new Date();
+        await giveawaysCollection.updateMany(
+            { 'winners.status': 'notified' },
+            { $set: { 'winners.$[winner].status': 'expired', 'winners.$[winner].expiredAt': now } },
+            { arrayFilters: [{ 'winner.status': 'notified', 'winner.claimDeadline': { $lte: now } }] }
+        );
+    } catch (error) {
+        console.error('Error sweeping prize claims:', error);
+    }
+}
+
+// Everyone who could win, in winning order (weighted draws continue the same sequence)
+async function getWinnerCandidates(giveaway) {
+    const standings = hasReferralTarget(giveaway.settings) ?
+        await getGiveawayQualifiers(giveaway, giveaway.endedAt) :
+        await getGiveawayStandings(giveaway, giveaway.endedAt);
+    
+    if (giveaway.draw) {
+        const { tickets, seed } = giveaway.draw;
+        const referrals = new Map(standings.map(entry => [entry.userId, entry.referrals]));
+        return drawWeightedWinners(tickets, seed, tickets.length)
+            .map(entry => ({ userId: entry.userId, referrals: referrals.get(entry.userId) ?? entry.tickets }));
+    }
+    return standings;
+}
+
+// Hand expired prizes to the next eligible referrers, keeping the original rank and prize
+async function rerollExpiredWinners(giveawayId) {
+    const giveaway = await giveawaysCollection.findOne({ _id: giveawayId });
+    const expired = giveaway.winners.filter(w => w.status === 'expired' && !w.rerolledTo);
+    const candidates = (await getWinnerCandidates(giveaway))
+        .filter(candidate => !giveaway.winners.some(w => w.userId === candidate.userId));
+    
+    const replacements = [];
+    for (const winner of expired) {
+        const candidate = candidates.shift();
+        if (!candidate) break;
+        
+        // Claim the expired slot so concurrent rerolls don't double up
+        const result = await giveawaysCollection.updateOne(
+            { _id: giveawayId, winners: { $elemMatch: { userId: winner.userId, status: 'expired', rerolledTo: { $exists: false } } } },
+            { $set: { 'winners.$.rerolledTo': candidate.userId } }
+        );
+        if (!result.modifiedCount) continue;
+        
+        const replacement = {
+            userId: candidate.userId,
+            rank: winner.rank,
+            referrals: candidate.referrals,
+            prize: winner.prize,
+            rerollOf: winner.userId
+        };
+        await giveawaysCollection.updateOne({ _id: giveawayId }, { $push: { winners: replacement } });
+        await notifyWinner(giveaway, replacement);
+        replacements.push(replacement);
+    }
+    
+    return replacements;
+}
+
+async function isGroupAdmin(ctx, chatId = ctx.chat.id) {
+    const member = await ctx.telegram.getChatMember(chatId, ctx.from.id);
+    return ['creator', 'administrator'].includes(member.status);
+}
+
+// Channels
+// Channels never emit new_chat_members, so subscriptions are attributed from chat_member updates
+// on the same per-referrer invite links groups use. A registered channel is a group document
+// with chatType 'channel'; its admins run giveaways from a private chat or the discussion group.
+function parseChatRef(ref) {
+    if (/^-?\d+$/.test(ref)) return parseInt(ref);
+    return ref.startsWith('@') ? ref : `@${ref}`;
+}
+
+function formatChannelRef(channel) {
+    return channel.username ? `@${channel.username}` : String(channel.groupId ?? channel.id);
+}
+
+async function registerChannel(chat, registeredBy) {
+    await getOrCreateGroup(chat.id, chat.title);
+    return groupsCollection.findOneAndUpdate(
+        { groupId: chat.id },
+        { $set: { chatType: 'channel', title: chat.title, username: chat.username || null, registeredBy } },
+        { returnDocument: 'after' }
+    );
+}
+
+// Looks up a channel the bot administers by @username or ID; replies and returns null otherwise
+async function findManagedChannel(ctx, ref) {
+    const reply = key => ctx.reply(ctx.t(key), { reply_to_message_id: ctx.message.message_id });
+    
+    let chat;
+    try {
+        chat = await ctx.telegram.getChat(parseChatRef(ref));
+    } catch (error) {
+        await reply('channel.notFound');
+        return null;
+    }
+    if (chat.type !== 'channel') {
+        await reply('channel.notChannel');
+        return null;
+    }
+    
+    // Channel member lists are only visible to admins, so this throws if the bot isn't one
+    try {
+        const botMember = await ctx.telegram.getChatMember(chat.id, ctx.botInfo.id);
+        if (botMember.status !== 'administrator' || botMember.can_invite_users === false) {
+            await reply('channel.botNotAdmin');
+            return null;
+        }
+    } catch (error) {
+        await reply('channel.botNotAdmin');
+        return null;
+    }
+    
+    return chat;
+}
+
+// The chat a giveaway command targets: the current group, its linked channel (`channel` as the
+// first argument) or, in a private chat, a channel named first. Consumes the channel argument;
+// replies and returns null when the target can't be used.
+async function resolveGiveawayChat(ctx, args) {
+    const isPrivate = ctx.chat.type === 'private';
+    if (!isPrivate && args[0] !== 'channel') {
+        return { chatId: ctx.chat.id, title: ctx.chat.title, isChannel: false };
+    }
+    
+    let ref = args.shift();
+    if (!ref) {
+        await ctx.replyWithMarkdown(ctx.t('channel.giveawayUsage'), { reply_to_message_id: ctx.message.message_id });
+        return null;
+    }
+    if (!isPrivate) {
+        const group = await ctx.telegram.getChat(ctx.chat.id);
+        if (!group.linked_chat_id) {
+            await ctx.reply(ctx.t('channel.noLinkedChannel'), { reply_to_message_id: ctx.message.message_id });
+            return null;
+        }
+        ref = String(group.linked_chat_id);
+    }
+    
+    const chat = await findManagedChannel(ctx, ref);
+    if (!chat) return null;
+    
+    return { chatId: chat.id, title: chat.title, isChannel: true, chat };
+}
+
+function formatGiveawayProgress(ctx, giveaway, userId) {
+    const userReferrals = giveaway?.participants?.[userId] || 0;
+    const targetReferrals = giveaway?.settings?.targetReferrals || 0;
+    
+    if (targetReferrals === Infinity || targetReferrals === Number.POSITIVE_INFINITY) {
+        return ctx.t('progress.html', { count: userReferrals });
+    }
+    return ctx.t('progress.htmlTarget', {
+        count: userReferrals,
+        target: targetReferrals,
+        icon: userReferrals >= targetReferrals ? '✅' : '🔄'
+    });
+}
+
+// Sends the user their own named invite link for a registered channel
+async function replyWithChannelInviteLink(ctx, channel) {
+    if (!channel.activeGiveaway) {
+        return ctx.reply(ctx.t('referral.noGiveaway'));
+    }
+    
+    const userId = ctx.from.id;
+    await getOrCreateUser(userId, ctx.from.username, ctx.from.first_name, ctx.from.last_name);
+    
+    let inviteLink;
+    try {
+        inviteLink = await getOrCreateInviteLink(ctx.telegram, channel.groupId, userId, ctx.from.first_name || ctx.from.username);
+    } catch (error) {
+        console.error('Error creating channel invite link:', error);
+        return ctx.reply(ctx.t('start.inviteLinkFailed'));
+    }
+    
+    await usersCollection.updateOne(
+        { userId },
+        { $set: { [`groupReferralLinks.${channel.groupId}`]: inviteLink } }
+    );
+    
+    const giveaway = await giveawaysCollection.findOne({ _id: channel.activeGiveaway });
+    return ctx.replyWithHTML(ctx.t('referral.channel', {
+        title: escapeHtml(channel.title || ''),
+        link: inviteLink,
+        progress: formatGiveawayProgress(ctx, giveaway, userId)
+    }));
+}
+
+async function getLatestEndedGiveaway(groupId) {
+    return giveawaysCollection.findOne(
+        { groupId, isActive: false, endedAt: { $exists: true } },
+        { sort: { endedAt: -1 } }
+    );
+}
+
+// Group settings editor
+// Editable settings with their parsers, which return the value to store or null for invalid
+// input; labels, prompts and errors are the settings.field.<key>.* and settings.toggle.<key> locale keys
+const GROUP_SETTING_FIELDS = {
+    welcomeMessage: text => text.length <= 1000 ? text : null,
+    leaderboardSize: text => parseIntInRange(text, 1, 50),
+    defaultDuration: text => parseDuration(text) ? text : null,
+    defaultMaxWinners: text => parseIntInRange(text, 1, 100),
+    retentionHours: text => parseIntInRange(text, 0, 720)
+};
+
+const GROUP_SETTING_TOGGLES = ['announceReferralJoins', 'announceGiveawayResults', 'requireJoinApproval'];
+
+function parseIntInRange(text, min, max) {
+    if (!/^\d+$/.test(text)) return null;
+    const value = parseInt(text);
+    return value >= min && value <= max ? value : null;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// For values interpolated into (legacy) Markdown messages, e.g. titles like My_Group
+function escapeMarkdown(text) {
+    return String(text).replace(/([_*`[])/g, '\\$1');
+}
+
+function formatGroupSettings(settings, lang) {
+    let message = `${t(lang, 'settings.title')}\n\n`;
+    
+    for (const key of Object.keys(GROUP_SETTING_FIELDS)) {
+        const value = key === 'welcomeMessage' ? getWelcomeMessage(settings) : settings[key];
+        message += `<b>${t(lang, `settings.field.${key}.label`)}:</b> ${escapeHtml(value)}\n`;
+    }
+    for (const key of GROUP_SETTING_TOGGLES) {
+        message += `<b>${t(lang, `settings.toggle.${key}`)}:</b> ${t(lang, settings[key] ? 'settings.on' : 'settings.off')}\n`;
+    }
+    
+    return message + `\n${t(lang, 'settings.choose')}`;
+}
+
+function groupSettingsKeyboard(settings, lang) {
+    return Markup.inlineKeyboard([
+        ...Object.keys(GROUP_SETTING_FIELDS).map(key =>
+            [Markup.button.callback(`✏️ ${t(lang, `settings.field.${key}.label`)}`, `cfg_edit_${key}`)]),
+        ...GROUP_SETTING_TOGGLES.map(key =>
+            [Markup.button.callback(`${settings[key] ? '✅' : '❌'} ${t(lang, `settings.toggle.${key}`)}`, `cfg_toggle_${key}`)]),
+        [Markup.button.callback(t(lang, 'settings.done'), 'cfg_done')]
+    ]);
+}
+
+const configGroupScene = new Scenes.BaseScene('configgroup');
+
+// The group or channel being configured; channels are configured from a private chat
+function getSettingsGroupId(ctx) {
+    return ctx.scene.state.groupId ?? ctx.chat.id;
+}
+
+configGroupScene.enter(async (ctx) => {
+    try {
+        const group = await groupsCollection.findOne({ groupId: getSettingsGroupId(ctx) });
+        const settings = getGroupSettings(group);
+        
+        await ctx.replyWithHTML(formatGroupSettings(settings, ctx.lang), groupSettingsKeyboard(settings, ctx.lang));
+    } catch (error) {
+        console.error('Error opening group settings:', error);
+        ctx.reply(ctx.t('error.generic'));
+    }
+});
+
+configGroupScene.action(/^cfg_edit_(\w+)$/, async (ctx) => {
+    try {
+        const key = ctx.match[1];
+        if (!GROUP_SETTING_FIELDS[key]) return ctx.answerCbQuery();
+        
+        ctx.scene.state.editing = key;
+        await ctx.answerCbQuery();
+        // Force a reply so the answer reaches the bot even with privacy mode on
+        await ctx.reply(`${ctx.t(`settings.field.${key}.prompt`)}\n\n${ctx.t('settings.cancelHint')}`, Markup.forceReply().selective());
+    } catch (error) {
+        console.error('Error in group settings edit action:', error);
+        await ctx.answerCbQuery(ctx.t('error.generic'));
+    }
+});
+
+configGroupScene.action(/^cfg_toggle_(\w+)$/, async (ctx) => {
+    try {
+        const key = ctx.match[1];
+        if (!GROUP_SETTING_TOGGLES.includes(key)) return ctx.answerCbQuery();
+        
+        const groupId = getSettingsGroupId(ctx);
+        const group = await groupsCollection.findOne({ groupId });
+        const enabled = !getGroupSettings(group)[key];
+        
+        if (key === 'requireJoinApproval') {
+            await setJoinApproval(ctx.telegram, groupId, enabled);
+        } else {
+            await groupsCollection.updateOne(
+                { groupId },
+                { $set: { [`settings.${key}`]: enabled } }
+            );
+        }
+        
+        const settings = getGroupSettings(await groupsCollection.findOne({ groupId }));
+        await ctx.editMessageText(formatGroupSettings(settings, ctx.lang), {
+            parse_mode: 'HTML',
+            reply_markup: groupSettingsKeyboard(settings, ctx.lang).reply_markup
+        });
+        await ctx.answerCbQuery(`${ctx.t(`settings.toggle.${key}`)}: ${ctx.t(enabled ? 'settings.on' : 'settings.off')}`);
+    } catch (error) {
+        console.error('Error in group settings toggle action:', error);
+        await ctx.answerCbQuery(ctx.t('error.generic'));
+    }
+});
+
+configGroupScene.action('cfg_done', async (ctx) => {
+    try {
+        await ctx.scene.leave();
+        await ctx.editMessageText(ctx.t('settings.saved'));
+        await ctx.answerCbQuery();
+    } catch (error) {
+        console.error('Error closing group settings:', error);
+        await ctx.answerCbQuery();
+    }
+});
+
+configGroupScene.command('cancel', async (ctx) => {
+    try {
+        if (!ctx.scene.state.editing) {
+            await ctx.scene.leave();
+            return ctx.reply(ctx.t('settings.closed'));
+        }
+        
+        ctx.scene.state.editing = null;
+        await ctx.reply(ctx.t('settings.cancelled'));
+    } catch (error) {
+        console.error('Error cancelling group settings edit:', error);
+        ctx.reply(ctx.t('error.generic'));
+    }
+});
+
+configGroupScene.on('text', async (ctx, next) => {
+    try {
+        const key = ctx.scene.state.editing;
+        if (!key || ctx.message.text.startsWith('/')) return next();
+        
+        const value = GROUP_SETTING_FIELDS[key](ctx.message.text.trim());
+        
+        if (value === null) {
+            return ctx.reply(`${ctx.t(`settings.field.${key}.error`)}\n\n${ctx.t(`settings.field.${key}.prompt`)}`, Markup.forceReply().selective());
+        }
+        
+        await groupsCollection.updateOne(
+            { groupId: getSettingsGroupId(ctx) },
+            { $set: { [`settings.${key}`]: value } }
+        );
+        ctx.scene.state.editing = null;
+        
+        if (key === 'welcomeMessage') {
+            // Preview with the admin standing in as the referred member
+            const preview = value.replace('{referrer}', ctx.from.first_name || ctx.from.username || ctx.t('someone'));
+            await ctx.reply(ctx.t('settings.welcomePreview', { preview: `${preview} @${ctx.from.username || ''}` }));
+        }
+        
+        const settings = getGroupSettings(await groupsCollection.findOne({ groupId: getSettingsGroupId(ctx) }));
+        await ctx.replyWithHTML(formatGroupSettings(settings, ctx.lang), groupSettingsKeyboard(settings, ctx.lang));
+    } catch (error) {
+        console.error('Error saving group setting:', error);
+        ctx.reply(ctx.t('error.generic'));
+    }
+});
+
+const stage = new Scenes.Stage([configGroupScene]);
+
+// Bot command handlers
+// Count updates being handled so shutdown can wait for them
+bot.use(async (ctx, next) => {
+    inFlightUpdates++;
+    try {
+        await next();
+    } finally {
+        inFlightUpdates--;
+    }
+});
+
+// Resolve the reply language once per update; handlers use ctx.t(key, params)
+bot.use(async (ctx, next) => {
+    ctx.lang = DEFAULT_LANGUAGE;
+    try {
+        if (ctx.chat && ctx.chat.type !== 'private') {
+            ctx.lang = getGroupLanguage(await groupsCollection.findOne({ groupId: ctx.chat.id }));
+        } else if (ctx.from) {
+            const user = await usersCollection.findOne({ userId: ctx.from.id });
+            ctx.lang = getUserLanguage(user, ctx.from.language_code);
+            
+            // Keep the Telegram language for messages sent outside of an update (e.g. winner DMs)
+            if (user && ctx.from.language_code && user.languageCode !== ctx.from.language_code) {
+                await usersCollection.updateOne({ userId: ctx.from.id }, { $set: { languageCode: ctx.from.language_code } });
+            }
+        }
+    } catch (error) {
+        console.error('Error resolving language:', error);
+    }
+    ctx.t = (key, params) => t(ctx.lang, key, params);
+    return next();
+});
+
+bot.use(session());
+bot.use(stage.middleware());
+
+// Last resort for errors a handler didn't catch (e.g. inside a catch block), so a single
+// failing update is logged instead of stopping the bot
+bot.catch((error, ctx) => {
+    console.error(`Unhandled error while handling update ${ctx.update.update_id}:`, error);
+});
+
+// Settings buttons pressed by anyone other than the admin editing them
+bot.action(/^cfg_/, (ctx) => ctx.answerCbQuery(ctx.t('settings.otherAdmin')));
+
+// Start command - entry point and referral handler
+bot.start(async (ctx) => {
+    try {
+        const userId = ctx.from.id;
+        const payload = ctx.startPayload;
+        
+        // Create or get user
+        await getOrCreateUser(userId, ctx.from.username, ctx.from.first_name, ctx.from.last_name, ctx.from.language_code);
+        
+        // Check if this is a personal referral
+        if (payload && payload.startsWith('ref_')) {
+            const referrerId = parseInt(payload.substring(4));
+            
+            // Don't count self-referrals
+            if (referrerId !== userId) {
+                const referrer = await usersCollection.findOne({ userId: referrerId });
+                if (referrer) {
+                    const success = await trackReferral(referrerId, userId, null, new Date(), ctx.from);
+                    if (success) {
+                        ctx.reply(ctx.t('start.referred', { name: referrer.firstName || referrer.username || ctx.t('aUser') }));
+                    }
+                }
+            }
+        }
+        // Check if this is a group referral (deep links shared before per-referrer invite links)
+        else if (payload && payload.startsWith('groupref_')) {
+            // Format: groupref_referrerId_groupId
+            const parts = payload.substring(9).split('_');
+            if (parts.length === 2) {
+                const referrerId = parseInt(parts[0]);
+                const groupId = parseInt(parts[1]);
+                
+                // Don't count self-referrals
+                if (referrerId !== userId) {
+                    // Get group details and the referrer's own invite link
+                    const group = await groupsCollection.findOne({ groupId });
+                    if (group) {
+                        const referrer = await usersCollection.findOne({ userId: referrerId });
+                        const referrerName = referrer ? (referrer.firstName || referrer.username || ctx.t('aUser')) : ctx.t('aUser');
+                        
+                        let inviteLink;
+                        try {
+                            inviteLink = await getOrCreateInviteLink(ctx.telegram, groupId, referrerId, referrer?.firstName || referrer?.username);
+                        } catch (error) {
+                            console.error('Error creating invite link:', error);
+                            return ctx.reply(ctx.t('start.inviteLinkFailed'));
+                        }
+                        
+                        // The join itself is attributed from the invite link; the pending record
+                        // keeps invitees who never join visible to exports and /mystats
+                        await recordPendingReferral(referrerId, userId, groupId, inviteLink);
+                        
+                        // Send group invite with instruction
+                        const message = ctx.t('start.groupInvite', { name: referrerName, link: inviteLink });
+                        const inlineKeyboard = Markup.inlineKeyboard([
+                            [Markup.button.url(ctx.t('start.joinGroup'), inviteLink)]
+                        ]);
+                        
+                        await ctx.reply(message, inlineKeyboard);
+                        return;
+                    }
+                }
+            }
+        }
+        // Channel giveaway posts link here so subscribers can fetch their own invite link
+        else if (payload && payload.startsWith('channelref_')) {
+            const channelId = parseInt(payload.substring(11));
+            const channel = await groupsCollection.findOne({ groupId: channelId, chatType: 'channel' });
+            if (channel) {
+                await replyWithChannelInviteLink(ctx, channel);
+                return;
+            }
+        }
+        
+        // Default welcome message with inline buttons
+        const inlineKeyboard = Markup.inlineKeyboard([
+            [Markup.button.callback(ctx.t('menu.getReferral'), 'get_referral')],
+            [Markup.button.callback(ctx.t('menu.myStats'), 'mystats:overview:0')],
+            [Markup.button.callback(ctx.t('menu.leaderboard'), 'view_leaderboard')],
+            [Markup.button.callback(ctx.t('menu.help'), 'show_help')]
+        ]);
+        
+        await ctx.reply(ctx.t('menu.welcome'), inlineKeyboard);
+    } catch (error) {
+        console.error('Error in start command:', error);
+        ctx.reply(ctx.t('error.generic'));
+    }
+});
+
+// Help command
+bot.command('help', async (ctx) => {
+    try {
+        if (ctx.chat.type === 'private') {
+            const inlineKeyboard = Markup.inlineKeyboard([
+                [Markup.button.callback(ctx.t('menu.getReferral'), 'get_referral')],
+                [Markup.button.callback(ctx.t('menu.leaderboard'), 'view_leaderboard')]
+            ]);
+            
+            await ctx.replyWithMarkdown(ctx.t('help.private'), inlineKeyboard);
+        } else {
+            // For groups, just show the message without inline buttons
+            await ctx.reply(ctx.t('help.useHelpGroup'));
+        }
+    } catch (error) {
+        console.error('Error in help command:', error);
+        ctx.reply(ctx.t('error.generic'));
+    }
+});
+
+// Group help command
+bot.command('helpgroup', async (ctx) => {
+    try {
+        if (ctx.chat.type !== 'private') {
+            await ctx.replyWithMarkdown(ctx.t('help.group'));
+        } else {
+            await ctx.reply(ctx.t('help.usePrivateHelp'));
+        }
+    } catch (error) {
+        console.error('Error in help_group command:', error);
+        ctx.reply(ctx.t('error.generic'));
+    }
+});
+
+// Referral command / button
+bot.command('referral', async (ctx) => {
+    await handleReferralCommand(ctx);
+});
+
+bot.action('get_referral', async (ctx) => {
+    await handleReferralCommand(ctx);
+    await ctx.answerCbQuery();
+});
+
+async function handleReferralCommand(ctx) {
+    try {
+        if (ctx.chat.type === 'private') {
+            const userId = ctx.from.id;
+            
+            // Check if user already has a referral link
+            const user = await usersCollection.findOne({ userId });
+            let referralLink;
+            
+            if (user && user.personalReferralLink) {
+                referralLink = user.personalReferralLink;
+            } else {
+                // Generate new referral link
+                referralLink = await generateReferralLink(ctx, 'personal', userId);
+            }
+            
+            if (referralLink) {
+                const totalReferrals = user ? user.totalReferrals : 0;
+                
+                const message = ctx.t('referral.personal', { link: referralLink, count: totalReferrals });
+                
+                const inlineKeyboard = Markup.inlineKeyboard([
+                    [Markup.button.callback(ctx.t('menu.myStats'), 'mystats:overview:0')],
+                    [Markup.button.callback(ctx.t('menu.leaderboard'), 'view_leaderboard')],
+                    [Markup.button.callback(ctx.t('menu.back'), 'back_to_menu')]
+                ]);
+                
+                await ctx.replyWithMarkdown(message, inlineKeyboard);
+            } else {
+                await ctx.reply(ctx.t('referral.linkFailed'));
+            }
+        } else {
+            await ctx.reply(ctx.t('error.privateOnly'));
+        }
+    } catch (error) {
+        console.error('Error in referral command:', error);
+        ctx.reply(ctx.t('error.generic'));
+    }
+}
+
+// Referral tree command
+const MY_TREE_LIST_SIZE = 20;
+
+bot.command('mytree', async (ctx) => {
+    try {
+        if (ctx.chat.type !== 'private') {
+            return ctx.reply(ctx.t('error.privateOnly'));
+        }
+        
+        const userId = ctx.from.id;
+        const user = await usersCollection.findOne({ userId });
+        const downline = await usersCollection.find(
+            { ancestors: userId },
+            { projection: { userId: 1, firstName: 1, username: 1, ancestors: 1 } }
+        ).toArray();
+        
+        if (downline.length === 0) {
+            return ctx.reply(ctx.t('tree.empty'));
+        }
+        
+        let message = `${ctx.t('tree.title')}\n\n`;
+        
+        if (user?.referredBy) {
+            const upline = await usersCollection.findOne({ userId: user.referredBy });
+            message += `${ctx.t('tree.upline', { name: escapeHtml(upline ? (upline.firstName || upline.username) : ctx.t('someone')) })}\n\n`;
+        }
+        
+        // People per level below the user
+        const levels = [];
+        for (const member of downline) {
+            const level = member.ancestors.indexOf(userId) + 1;
+            levels[level - 1] = (levels[level - 1] || 0) + 1;
+        }
+        levels.forEach((count, index) => {
+            const weight = isMultiLevelEnabled() ? REFERRAL_LEVEL_WEIGHTS[index] || 0 : 0;
+            message += ctx.t(weight > 0 ? 'tree.levelWeight' : 'tree.level', { level: index + 1, count: count || 0, weight }) + '\n';
+        });
+        
+        if (isMultiLevelEnabled()) {
+            message += `\n${ctx.t('tree.credit', { credit: Math.round((user?.networkCredit || 0) * 100) / 100 })}\n`;
+        }
+        
+        // Direct referrals with the size of their own networks
+        const direct = downline.filter(member => member.ancestors[0] === userId);
+        message += `\n${ctx.t('tree.directTitle')}\n`;
+        for (const member of direct.slice(0, MY_TREE_LIST_SIZE)) {
+            const networkSize = downline.filter(other => other.ancestors.includes(member.userId)).length;
+            message += ctx.t('tree.directEntry', {
+                name: escapeHtml(member.firstName || member.username || ctx.t('anonymous')),
+                downline: networkSize > 0 ? ctx.t('tree.downline', { count: networkSize }) : ''
+            }) + '\n';
+        }
+        if (direct.length > MY_TREE_LIST_SIZE) {
+            message += ctx.t('tree.more', { count: direct.length - MY_TREE_LIST_SIZE }) + '\n';
+        }
+        
+        await ctx.replyWithHTML(message);
+    } catch (error) {
+        console.error('Error in mytree command:', error);
+        ctx.reply(ctx.t('error.generic'));
+    }
+});
+
+// Personal stats dashboard
+// Pages: overview, groups, giveaways and people (paged); buttons carry `mystats:<page>:<n>`
+const MY_STATS_PAGES = ['overview', 'groups', 'giveaways', 'people'];
+const MY_STATS_PEOPLE_PAGE_SIZE = 10;
+
+// Maps a referral record to a catalog key describing where the invitee stands
+function getReferralStatusKey(referral) {
+    if (referral.type === 'pending_group_referral') return 'stats.status.notJoined';
+    if (referral.valid) return referral.type === 'group_referral' ? 'stats.status.joined' : 'stats.status.started';
+    if (referral.held) return 'stats.status.held';
+    
+    const reasons = {
+        churned: 'stats.status.left',
+        previously_joined: 'stats.status.previouslyJoined',
+        challenge_failed: 'stats.status.failedCheck',
+        challenge_timeout: 'stats.status.failedCheck',
+        rejected_by_admin: 'stats.status.rejected',
+        suspected_fraud: 'stats.status.held'
+    };
+    return reasons[referral.reason] || 'stats.status.invalid';
+}
+
+function myStatsKeyboard(ctx, page, pageNumber = 0, hasMore = false) {
+    const tabs = MY_STATS_PAGES.map(name =>
+        Markup.button.callback(`${name === page ? '• ' : ''}${ctx.t(`stats.tab.${name}`)}`, `mystats:${name}:0`)
+    );
+    const rows = [tabs.slice(0, 2), tabs.slice(2)];
+    
+    if (page === 'people' && (pageNumber > 0 || hasMore)) {
+        const paging = [];
+        if (pageNumber > 0) paging.push(Markup.button.callback(ctx.t('past.previous'), `mystats:people:${pageNumber - 1}`));
+        if (hasMore) paging.push(Markup.button.callback(ctx.t('past.next'), `mystats:people:${pageNumber + 1}`));
+        rows.push(paging);
+    }
+    
+    rows.push([Markup.button.callback(ctx.t('menu.back'), 'back_to_menu')]);
+    return Markup.inlineKeyboard(rows);
+}
+
+async function formatMyStatsOverview(ctx, userId) {
+    const [personal, group, held] = await Promise.all([
+        referralsCollection.countDocuments({ referrerId: userId, type: 'user', valid: true }),
+        referralsCollection.countDocuments({ referrerId: userId, type: 'group_referral', valid: true }),
+        referralsCollection.countDocuments({ referrerId: userId, held: true })
+    ]);
+    const user = await usersCollection.findOne({ userId });
+    const networkSize = await usersCollection.countDocuments({ ancestors: userId });
+    
+    let message = `${ctx.t('stats.title')}\n\n`;
+    message += ctx.t('stats.personal', { count: personal }) + '\n';
+    message += ctx.t('stats.group', { count: group }) + '\n';
+    if (held > 0) message += ctx.t('stats.heldCount', { count: held }) + '\n';
+    message += ctx.t('stats.network', { count: networkSize }) + '\n';
+    if (isMultiLevelEnabled()) {
+        message += ctx.t('tree.credit', { credit: Math.round((user?.networkCredit || 0) * 100) / 100 }) + '\n';
+    }
+    return { message };
+}
+
+async function formatMyStatsGroups(ctx, userId) {
+    const perGroup = await referralsCollection.aggregate([
+        { $match: { referrerId: userId, type: 'group_referral' } },
+        { $group: {
+            _id: '$groupId',
+            valid: { $sum: { $cond: ['$valid', 1, 0] } },
+            invalid: { $sum: { $cond: ['$valid', 0, 1] } }
+        }},
+        { $sort: { valid: -1 } }
+    ]).toArray();
+    
+    let message = `${ctx.t('stats.groupsTitle')}\n\n`;
+    if (perGroup.length === 0) {
+        return { message: message + ctx.t('stats.noGroups') };
+    }
+    
+    for (const entry of perGroup) {
+        const group = await groupsCollection.findOne({ groupId: entry._id });
+        message += `<b>${escapeHtml(group ? group.title : ctx.t('past.unknownGroup'))}</b>\n`;
+        message += ctx.t('stats.groupCounts', { valid: entry.valid, invalid: entry.invalid }) + '\n\n';
+    }
+    return { message };
+}
+
+async function formatMyStatsGiveaways(ctx, userId) {
+    const giveaways = await giveawaysCollection.find({ isActive: true, [`participants.${userId}`]: { $gt: 0 } }).toArray();
+    
+    let message = `${ctx.t('stats.giveawaysTitle')}\n\n`;
+    if (giveaways.length === 0) {
+        return { message: message + ctx.t('stats.noGiveaways') };
+    }
+    
+    for (const giveaway of giveaways) {
+        const group = await groupsCollection.findOne({ groupId: giveaway.groupId });
+        const standings = await getGiveawayStandings(giveaway, new Date());
+        const position = standings.findIndex(entry => entry.userId === userId) + 1;
+        const referrals = giveaway.participants[userId];
+        
+        message += `<b>${escapeHtml(group ? group.title : ctx.t('past.unknownGroup'))}</b>\n`;
+        message += ctx.t('stats.rank', { rank: position || '-', total: standings.length }) + '\n';
+        message += (hasReferralTarget(giveaway.settings) ?
+            ctx.t('progress.htmlTarget', {
+                count: referrals,
+                target: giveaway.settings.targetReferrals,
+                icon: referrals >= giveaway.settings.targetReferrals ? '✅' : '🔄'
+            }) :
+            ctx.t('progress.html', { count: referrals })) + '\n';
+        message += ctx.t('stats.endsIn', { timeLeft: formatTimeLeft(giveaway.endDate, ctx.lang) }) + '\n\n';
+    }
+    return { message };
+}
+
+async function formatMyStatsPeople(ctx, userId, pageNumber) {
+    // Legacy pending records are dropped once they completed into a group referral
+    const query = { referrerId: userId, status: { $ne: 'completed' } };
+    const referrals = await referralsCollection.find(query)
+        .sort({ timestamp: -1 })
+        .skip(pageNumber * MY_STATS_PEOPLE_PAGE_SIZE)
+        .limit(MY_STATS_PEOPLE_PAGE_SIZE + 1)
+        .toArray();
+    const hasMore = referrals.length > MY_STATS_PEOPLE_PAGE_SIZE;
+    const shown = referrals.slice(0, MY_STATS_PEOPLE_PAGE_SIZE);
+    
+    let message = `${ctx.t('stats.peopleTitle', { page: pageNumber + 1 })}\n\n`;
+    if (shown.length === 0) {
+        return { message: message + ctx.t('stats.noPeople'), hasMore: false };
+    }
+    
+    const names = await getUserNames(shown.map(referral => referral.referredId));
+    const groupIds = [...new Set(shown.filter(referral => referral.groupId).map(referral => referral.groupId))];
+    const groups = await groupsCollection.find({ groupId: { $in: groupIds } }).toArray();
+    const groupTitles = new Map(groups.map(group => [group.groupId, group.title]));
+    
+    for (const referral of shown) {
+        const name = escapeHtml(names.get(referral.referredId) || ctx.t('anonymous'));
+        const where = referral.groupId ? escapeHtml(groupTitles.get(referral.groupId) || ctx.t('past.unknownGroup')) : ctx.t('stats.viaBot');
+        message += ctx.t('stats.person', {
+            name,
+            where,
+            status: ctx.t(getReferralStatusKey(referral)),
+            date: referral.timestamp.toISOString().substring(0, 10)
+        }) + '\n';
+    }
+    return { message, hasMore };
+}
+
+async function renderMyStats(ctx, page, pageNumber) {
+    const userId = ctx.from.id;
+    let result;
+    if (page === 'groups') {
+        result = await formatMyStatsGroups(ctx, userId);
+    } else if (page === 'giveaways') {
+        result = await formatMyStatsGiveaways(ctx, userId);
+    } else if (page === 'people') {
+        result = await formatMyStatsPeople(ctx, userId, pageNumber);
+    } else {
+        result = await formatMyStatsOverview(ctx, userId);
+    }
+    return { message: result.message, keyboard: myStatsKeyboard(ctx, page, pageNumber, result.hasMore) };
+}
+
+bot.command('mystats', async (ctx) => {
+    try {
+        if (ctx.chat.type !== 'private') {
+            return ctx.reply(ctx.t('error.privateOnly'));
+        }
+        
+        const result = await renderMyStats(ctx, 'overview', 0);
+        await ctx.replyWithHTML(result.message, result.keyboard);
+    } catch (error) {
+        console.error('Error in mystats command:', error);
+        ctx.reply(ctx.t('error.generic'));
+    }
+});
+
+bot.action(/^mystats:(overview|groups|giveaways|people):(\d+)$/, async (ctx) => {
+    try {
+        const result = await renderMyStats(ctx, ctx.match[1], parseInt(ctx.match[2]));
+        await ctx.editMessageText(result.message, {
+            parse_mode: 'HTML',
+            reply_markup: result.keyboard.reply_markup
+        });
+        await ctx.answerCbQuery();
+    } catch (error) {
+        console.error('Error in mystats action:', error);
+        await ctx.answerCbQuery();
+    }
+});
+
+// Group referral command
+bot.command('groupreferral', async (ctx) => {
+    try {
+        if (ctx.chat.type !== 'private') {
+            const groupId = ctx.chat.id;
+            const userId = ctx.from.id;
+            
+            // Check if the bot is an admin
+            const botMember = await ctx.telegram.getChatMember(groupId, ctx.botInfo.id);
             if (botMember.status !== 'administrator') {
-                return ctx.reply('Please make me an administrator with invite permissions first.', 
+                return ctx.reply(ctx.t('referral.botNotAdmin'), 
+                    { reply_to_message_id: ctx.message.message_id });
+            }
+            
+            // Check if there is an active giveaway
+            const group = await groupsCollection.findOne({ groupId });
+            if (!group || !group.activeGiveaway) {
+                return ctx.reply(ctx.t('referral.noGiveaway'), 
+                    { reply_to_message_id: ctx.message.message_id });
+            }
+            
+            // Get the user's own named invite link for this group
+            await getOrCreateUser(userId, ctx.from.username, ctx.from.first_name, ctx.from.last_name);
+            const referralLink = await getOrCreateInviteLink(ctx.telegram, groupId, userId, ctx.from.first_name || ctx.from.username);
+            
+            // Store referral link in user document
+            await usersCollection.updateOne(
+                { userId },
+                { 
+                    $set: { 
+                        [`groupReferralLinks.${groupId}`]: referralLink 
+                    }
+                }
+            );
+            
+            // Get user's current stats for this giveaway
+            const giveaway = await giveawaysCollection.findOne({ _id: group.activeGiveaway });
+            const message = ctx.t('referral.group', { link: referralLink, progress: formatGiveawayProgress(ctx, giveaway, userId) });
+
+            await ctx.replyWithHTML(message, { reply_to_message_id: ctx.message.message_id });
+        } else {
+            await ctx.reply(ctx.t('error.groupsOnly'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+    } catch (error) {
+        console.error('Error in group_referral command:', error);
+        ctx.reply(ctx.t('error.generic'), 
+            { reply_to_message_id: ctx.message.message_id });
+    }
+});
+
+// Channel commands
+bot.command('addchannel', async (ctx) => {
+    try {
+        if (ctx.chat.type !== 'private') {
+            return ctx.reply(ctx.t('error.privateOnly'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        const ref = ctx.message.text.split(/\s+/)[1];
+        if (!ref) {
+            return ctx.reply(ctx.t('channel.usage'));
+        }
+        
+        const chat = await findManagedChannel(ctx, ref);
+        if (!chat) return;
+        
+        const member = await ctx.telegram.getChatMember(chat.id, ctx.from.id);
+        if (!['creator', 'administrator'].includes(member.status)) {
+            return ctx.reply(ctx.t('channel.adminOnly'));
+        }
+        
+        const channel = await registerChannel(chat, ctx.from.id);
+        await ctx.reply(ctx.t('channel.registered', { title: channel.title, ref: formatChannelRef(channel) }));
+    } catch (error) {
+        console.error('Error in addchannel command:', error);
+        ctx.reply(ctx.t('error.generic'));
+    }
+});
+
+// In the discussion group the linked channel is implied
+bot.command('channelreferral', async (ctx) => {
+    try {
+        let ref = ctx.message.text.split(/\s+/)[1];
+        if (!ref && ctx.chat.type !== 'private') {
+            const group = await ctx.telegram.getChat(ctx.chat.id);
+            ref = group.linked_chat_id ? String(group.linked_chat_id) : null;
+        }
+        if (!ref) {
+            return ctx.reply(ctx.t('channel.referralUsage'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        let chat;
+        try {
+            chat = await ctx.telegram.getChat(parseChatRef(ref));
+        } catch (error) {
+            return ctx.reply(ctx.t('channel.notFound'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        const channel = await groupsCollection.findOne({ groupId: chat.id, chatType: 'channel' });
+        if (!channel) {
+            return ctx.reply(ctx.t('channel.notRegistered'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        await replyWithChannelInviteLink(ctx, channel);
+    } catch (error) {
+        console.error('Error in channelreferral command:', error);
+        ctx.reply(ctx.t('error.generic'));
+    }
+});
+
+// Leaderboard command / buttons
+// Buttons carry `lb:<mode>:<window>:<page>`; mode is 'direct' or 'network' (private chats only)
+bot.command('leaderboard', async (ctx) => {
+    const option = ctx.message.text.split(/\s+/)[1];
+    const mode = option === 'network' ? 'network' : 'direct';
+    const window = LEADERBOARD_WINDOWS.includes(option) ? option : null;
+    await handleLeaderboardCommand(ctx, mode, window);
+});
+
+bot.action('view_leaderboard', async (ctx) => {
+    await handleLeaderboardCommand(ctx);
+    await ctx.answerCbQuery();
+});
+
+bot.action('view_leaderboard:network', async (ctx) => {
+    await handleLeaderboardCommand(ctx, 'network');
+    await ctx.answerCbQuery();
+});
+
+bot.action(/^lb:(direct|network):(\w+):(\d+)$/, async (ctx) => {
+    try {
+        const window = LEADERBOARD_WINDOWS.includes(ctx.match[2]) ? ctx.match[2] : null;
+        const result = await renderLeaderboard(ctx, ctx.match[1], window, parseInt(ctx.match[3]));
+        await ctx.editMessageText(result.message, {
+            parse_mode: 'Markdown',
+            reply_markup: result.keyboard.reply_markup
+        });
+        await ctx.answerCbQuery();
+    } catch (error) {
+        console.error('Error in leaderboard action:', error);
+        await ctx.answerCbQuery();
+    }
+});
+
+function leaderboardKeyboard(ctx, { mode, window, page, pages, windows }) {
+    const rows = [];
+    
+    if (mode === 'direct') {
+        const buttons = windows.map(name =>
+            Markup.button.callback(`${name === window ? '• ' : ''}${ctx.t(`leaderboard.window.${name}`)}`, `lb:direct:${name}:0`)
+        );
+        rows.push(buttons.slice(0, 3), buttons.slice(3));
+    }
+    
+    const paging = [];
+    if (page > 0) paging.push(Markup.button.callback(ctx.t('past.previous'), `lb:${mode}:${window}:${page - 1}`));
+    if (page + 1 < pages) paging.push(Markup.button.callback(ctx.t('past.next'), `lb:${mode}:${window}:${page + 1}`));
+    if (paging.length) rows.push(paging);
+    
+    if (ctx.chat.type === 'private') {
+        rows.push([Markup.button.callback(ctx.t('menu.refreshLeaderboard'), `lb:${mode}:${window}:${page}`)]);
+        if (isMultiLevelEnabled()) {
+            rows.push([mode === 'network' ?
+                Markup.button.callback(ctx.t('menu.directLeaderboard'), 'lb:direct:all:0') :
+                Markup.button.callback(ctx.t('menu.networkLeaderboard'), 'lb:network:all:0')]);
+        }
+        rows.push([Markup.button.callback(ctx.t('menu.getReferral'), 'get_referral')]);
+        rows.push([Markup.button.callback(ctx.t('menu.back'), 'back_to_menu')]);
+    }
+    
+    return Markup.inlineKeyboard(rows.filter(row => row.length));
+}
+
+async function renderLeaderboard(ctx, mode = 'direct', window = null, page = 0) {
+    const isGroup = ctx.chat.type !== 'private';
+    const network = !isGroup && mode === 'network' && isMultiLevelEnabled();
+    const type = isGroup ? 'group' : network ? 'network' : 'global';
+    const entityId = isGroup ? ctx.chat.id : null;
+    
+    const group = isGroup ? await groupsCollection.findOne({ groupId: ctx.chat.id }) : null;
+    const pageSize = isGroup ? getGroupSettings(group).leaderboardSize : 10;
+    const windows = LEADERBOARD_WINDOWS.filter(name => name !== 'giveaway' || group?.activeGiveaway);
+    if (!windows.includes(window)) {
+        window = await getDefaultLeaderboardWindow(type, entityId);
+    }
+    
+    const standing = await getLeaderboardStanding(type, entityId, ctx.from.id, window);
+    const pages = Math.max(1, Math.ceil(standing.total / pageSize));
+    page = Math.min(page, pages - 1);
+    const leaderboard = await getLeaderboard(type, entityId, pageSize, { window, offset: page * pageSize, lang: ctx.lang });
+    
+    const title = isGroup ? 'leaderboard.groupTitle' : network ? 'leaderboard.networkTitle' : 'leaderboard.globalTitle';
+    let message = `${ctx.t(title)}\n`;
+    if (!network) {
+        message += `${ctx.t('leaderboard.period', { period: ctx.t(`leaderboard.window.${window}`) })}\n`;
+    }
+    message += '\n';
+    
+    if (leaderboard.length === 0) {
+        message += ctx.t('leaderboard.empty');
+    } else {
+        leaderboard.forEach(entry => {
+            const index = entry.position - 1;
+            const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
+            const churnedText = entry.churned > 0 ? ctx.t('leaderboard.churned', { count: entry.churned }) : '';
+            message += ctx.t(network ? 'leaderboard.networkEntry' : 'leaderboard.entry',
+                { medal, name: entry.name, count: entry.referrals, churned: churnedText }) + '\n';
+        });
+        
+        if (pages > 1) {
+            message += `\n${ctx.t('leaderboard.page', { page: page + 1, pages })}`;
+        }
+    }
+    
+    // Shown even when the user is on another page (in groups, for whoever asked last)
+    const name = ctx.from.first_name || ctx.from.username || ctx.t('someone');
+    message += '\n' + (standing.position ?
+        ctx.t('leaderboard.position', { name, position: standing.position, total: standing.total, count: standing.referrals }) :
+        ctx.t('leaderboard.notRanked', { name }));
+    
+    return { message, keyboard: leaderboardKeyboard(ctx, { mode: network ? 'network' : 'direct', window, page, pages, windows }) };
+}
+
+async function handleLeaderboardCommand(ctx, mode = 'direct', window = null) {
+    try {
+        const result = await renderLeaderboard(ctx, mode, window);
+        await ctx.replyWithMarkdown(result.message, result.keyboard);
+    } catch (error) {
+        console.error('Error in leaderboard command:', error);
+        ctx.reply(ctx.t('error.generic'));
+    }
+}
+
+// Giveaway commands
+bot.command('giveaway', async (ctx) => {
+    await handleGiveawayCommand(ctx);
+});
+
+bot.action('view_giveaways', async (ctx) => {
+    await handleGiveawayCommand(ctx);
+    await ctx.answerCbQuery();
+});
+
+function formatPrizeHeadline(settings, lang = DEFAULT_LANGUAGE) {
+    return settings.prizeTiers ? t(lang, 'giveaway.andMore', { prize: settings.prizeTiers[0].prize }) : settings.prizes[0];
+}
+
+function formatUpcomingGiveaways(giveaways, lang = DEFAULT_LANGUAGE) {
+    let message = '';
+    for (const giveaway of giveaways) {
+        message += t(lang, 'giveaway.upcomingLine', {
+            prize: escapeMarkdown(formatPrizeHeadline(giveaway.settings, lang)),
+            startsIn: formatTimeLeft(giveaway.startsAt, lang),
+            duration: formatDurationMs(giveaway.settings.durationDays * DAY_MS, lang)
+        }) + '\n';
+    }
+    return message;
+}
+
+async function handleGiveawayCommand(ctx) {
+    try {
+        const isGroup = ctx.chat.type !== 'private';
+        
+        if (isGroup) {
+            const groupId = ctx.chat.id;
+            const group = await groupsCollection.findOne({ groupId });
+            const upcoming = await giveawaysCollection.find({ groupId, isScheduled: true }).sort({ startsAt: 1 }).toArray();
+            const upcomingText = upcoming.length > 0 ? `\n${ctx.t('giveaway.upcomingTitle')}\n${formatUpcomingGiveaways(upcoming, ctx.lang)}` : '';
+            
+            if (!group || !group.activeGiveaway) {
+                if (upcoming.length > 0) {
+                    return ctx.replyWithMarkdown(`${ctx.t('giveaway.noneActiveWithUpcoming')}\n${upcomingText}`, 
+                        { reply_to_message_id: ctx.message.message_id });
+                }
+                return ctx.reply(ctx.t('giveaway.noneInGroup'), 
+                    { reply_to_message_id: ctx.message.message_id });
+            }
+            
+            const giveaway = await giveawaysCollection.findOne({ _id: group.activeGiveaway });
+            
+            if (!giveaway) {
+                return ctx.reply(ctx.t('giveaway.notFound'), 
+                    { reply_to_message_id: ctx.message.message_id });
+            }
+            
+            // Get user's progress
+            const userId = ctx.from.id;
+            const userReferrals = giveaway.participants[userId] || 0;
+            const targetReferrals = giveaway.settings.targetReferrals;
+            
+            const timeLeftStr = formatTimeLeft(giveaway.endDate, ctx.lang);
+            
+            // Format progress
+            let progressText;
+            if (targetReferrals === Infinity || targetReferrals === Number.POSITIVE_INFINITY) {
+                progressText = ctx.t('progress.markdown', { count: userReferrals });
+            } else {
+                progressText = ctx.t('progress.markdownTarget', {
+                    count: userReferrals,
+                    target: targetReferrals,
+                    icon: userReferrals >= targetReferrals ? '✅' : '🔄'
+                });
+            }
+            
+            const message = ctx.t('giveaway.active', {
+                prizeSeparator: giveaway.settings.prizeTiers ? '\n' : ' ',
+                prizes: escapeMarkdown(formatPrizeTiers(giveaway.settings, ctx.lang)),
+                timeLeft: timeLeftStr,
+                target: hasReferralTarget(giveaway.settings) ? targetReferrals : ctx.t('giveaway.unlimited'),
+                maxWinners: giveaway.settings.maxWinners,
+                selection: describeWinnerSelection(giveaway.settings, ctx.lang),
+                qualified: hasReferralTarget(giveaway.settings) ?
+                    ctx.t('giveaway.qualifiedSoFar', { count: (giveaway.qualifiers || []).length }) : '',
+                progress: progressText,
+                upcoming: upcomingText
+            });
+            
+            await ctx.replyWithMarkdown(message, { reply_to_message_id: ctx.message.message_id });
+        } else {
+            // For private chat, show all active and upcoming giveaways the user can participate in
+            const activeGiveaways = await giveawaysCollection.find({ isActive: true }).toArray();
+            const upcomingGiveaways = await giveawaysCollection.find({ isScheduled: true }).sort({ startsAt: 1 }).toArray();
+            
+            if (activeGiveaways.length === 0 && upcomingGiveaways.length === 0) {
+                return ctx.reply(ctx.t('giveaway.noneAnywhere'), 
+                    { reply_to_message_id: ctx.message.message_id });
+            }
+            
+            let message = activeGiveaways.length > 0 ? `${ctx.t('giveaway.activeTitle')}\n\n` : '';
+            
+            for (const giveaway of activeGiveaways) {
+                const group = await groupsCollection.findOne({ groupId: giveaway.groupId });
+                if (!group) continue;
+                
+                const timeLeftStr = formatTimeLeft(giveaway.endDate, ctx.lang);
+                
+                const targetText = giveaway.settings.targetReferrals === Infinity || 
+                                 giveaway.settings.targetReferrals === Number.POSITIVE_INFINITY ? 
+                                 ctx.t('giveaway.unlimited') : giveaway.settings.targetReferrals;
+                
+                message += ctx.t('giveaway.activeEntry', {
+                    group: escapeMarkdown(group.title),
+                    prize: escapeMarkdown(formatPrizeHeadline(giveaway.settings, ctx.lang)),
+                    timeLeft: timeLeftStr,
+                    target: targetText
+                });
+            }
+            
+            if (upcomingGiveaways.length > 0) {
+                message += `${ctx.t('giveaway.upcomingTitle')}\n\n`;
+                
+                for (const giveaway of upcomingGiveaways) {
+                    const group = await groupsCollection.findOne({ groupId: giveaway.groupId });
+                    if (!group) continue;
+                    
+                    message += `*${escapeMarkdown(group.title)}*\n${formatUpcomingGiveaways([giveaway], ctx.lang)}\n`;
+                }
+            }
+            
+            message += ctx.t('giveaway.joinGroups');
+            
+            const inlineKeyboard = Markup.inlineKeyboard([
+                [Markup.button.callback(ctx.t('menu.getReferral'), 'get_referral')],
+                [Markup.button.callback(ctx.t('menu.back'), 'back_to_menu')]
+            ]);
+            
+            await ctx.replyWithMarkdown(message, {
+                reply_markup: inlineKeyboard.reply_markup,
+                reply_to_message_id: ctx.message.message_id
+            });
+        }
+    } catch (error) {
+        console.error('Error in giveaway command:', error);
+        ctx.reply(ctx.t('error.generic'), 
+            { reply_to_message_id: ctx.message.message_id });
+    }
+}
+
+bot.command('endgiveaway', async (ctx) => {
+    try {
+        // Groups end their own giveaway; channels are named in a private chat or the discussion group
+        const args = ctx.message.text.split(/\s+/).slice(1);
+        const target = await resolveGiveawayChat(ctx, args);
+        if (!target) return;
+        
+        // Check if user is admin
+        const userId = ctx.from.id;
+        const chatId = target.chatId;
+        const member = await ctx.telegram.getChatMember(chatId, userId);
+        
+        if (!['creator', 'administrator'].includes(member.status)) {
+            return ctx.reply(ctx.t('endGiveaway.adminOnly'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        // Check if there's an active giveaway
+        const group = await groupsCollection.findOne({ groupId: chatId });
+        
+        if (!group || !group.activeGiveaway) {
+            return ctx.reply(ctx.t('error.noActiveGiveaway'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        if (target.isChannel) {
+            // Results go to the channel, the admin just gets a confirmation
+            const winners = await endGiveaway(chatId, group.activeGiveaway);
+            if (!winners) {
+                return ctx.reply(ctx.t('endGiveaway.alreadyEnded'), 
                     { reply_to_message_id: ctx.message.message_id });
             }
+            const announced = await announceGiveawayResults(group.activeGiveaway);
+            const key = {
+                disabled: 'channel.giveawayEndedQuietly',
+                failed: 'channel.giveawayAnnounceFailed'
+            }[announced] || 'channel.giveawayEnded';
+            return ctx.reply(ctx.t(key, { title: target.title }), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        // Get current leaderboard before ending
+        const leaderboard = await getLeaderboard('group', chatId, getGroupSettings(group).leaderboardSize, { lang: ctx.lang });
+        
+        // End the giveaway
+        const winners = await endGiveaway(chatId, group.activeGiveaway);
+        
+        if (!winners || !await claimGiveawayAnnouncement(group.activeGiveaway)) {
+            // Already ended (and announced) by the scheduler or another instance
+            return ctx.reply(ctx.t('endGiveaway.alreadyEnded'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        try {
+            if (winners.length > 0) {
+                // Format winners message
+                const giveaway = await giveawaysCollection.findOne({ _id: group.activeGiveaway });
+                const message = await formatGiveawayEndedMessage(giveaway, winners, ctx.lang);
             
-            // Check if there is an active giveaway
-            const group = await groupsCollection.findOne({ groupId });
-            if (!group || !group.activeGiveaway) {
-                return ctx.reply('There is no active giveaway event at this time.', 
+                await ctx.replyWithMarkdown(message, { reply_to_message_id: ctx.message.message_id });
+            } else if (leaderboard.length > 0) {
+                // Use leaderboard data if winners list is empty but leaderboard has entries
+                let winnersText = '';
+                for (let i = 0; i < leaderboard.length; i++) {
+                    const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : `${i+1}.`;
+                    winnersText += ctx.t('endGiveaway.standingsEntry', { medal, name: escapeMarkdown(leaderboard[i].name), count: leaderboard[i].referrals }) + '\n';
+                }
+            
+                const message = ctx.t('endGiveaway.finalLeaderboard', { standings: winnersText });
+                await ctx.replyWithMarkdown(message, { reply_to_message_id: ctx.message.message_id });
+            } else {
+                await ctx.reply(ctx.t('endGiveaway.noParticipants'), 
                     { reply_to_message_id: ctx.message.message_id });
             }
-            
-            // Generate bot-based referral link
-            const botUsername = (await bot.telegram.getMe()).username;
-            const referralLink = `https://t.me/${botUsername}?start=groupref_${userId}_${groupId}`;
-            
-            // Store referral link in user document
-            await usersCollection.updateOne(
-                { userId },
-                { 
-                    $set: { 
-                        [`groupReferralLinks.${groupId}`]: referralLink 
-                    }
-                },
-                { upsert: true }
+        } catch (error) {
+            // Leave the results to the sweep
+            await releaseGiveawayAnnouncement(group.activeGiveaway);
+            throw error;
+        } finally {
+            await notifyGiveawayWinners(group.activeGiveaway);
+        }
+    } catch (error) {
+        console.error('Error in endgiveaway command:', error);
+        ctx.reply(ctx.t('error.generic'), 
+            { reply_to_message_id: ctx.message.message_id });
+    }
+});
+
+// Start giveaway command
+bot.command('startgiveaway', async (ctx) => {
+    try {
+        // Parse command arguments
+        // Format: /startgiveaway [@channel | channel] "prize description" duration maxWinners [draw] [target=N] [start=TIME]
+        const text = ctx.message.text;
+        let args = text.split(/\s+/);
+        args.shift(); // Remove the command itself
+        
+        // Groups run their own giveaway; channels are named in a private chat or the discussion group
+        const target = await resolveGiveawayChat(ctx, args);
+        if (!target) return;
+        
+        // Check if user is admin
+        const userId = ctx.from.id;
+        const chatId = target.chatId;
+        const member = await ctx.telegram.getChatMember(chatId, userId);
+        
+        if (!['creator', 'administrator'].includes(member.status)) {
+            return ctx.reply(ctx.t('startGiveaway.adminOnly'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        // Show help message if no arguments provided
+        if (!args.length) {
+            return ctx.replyWithMarkdown(ctx.t('startGiveaway.usage'), { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        // Join remaining text and extract parameters
+        const { prize: prizeArg, positional, options } = parseGiveawayArgs(args.join(' '));
+        const prize = prizeArg || ctx.t('startGiveaway.defaultPrize');
+        
+        const { tiers: prizeTiers, error: prizeError } = parsePrizeTiers(prize, ctx.lang);
+        if (prizeError) {
+            return ctx.reply(ctx.t('startGiveaway.prizeFormat', { error: prizeError }), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        // Parse start time (default: now)
+        const startsAt = options.start ? parseStartTime(options.start) : null;
+        if (options.start && (!startsAt || startsAt <= new Date())) {
+            return ctx.reply(ctx.t('startGiveaway.invalidStart'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        // Check if there's already an active giveaway (scheduled ones queue behind it)
+        const group = target.isChannel ? await registerChannel(target.chat, userId) : await getOrCreateGroup(chatId, target.title);
+        
+        if (!startsAt && group.activeGiveaway) {
+            return ctx.reply(ctx.t('startGiveaway.alreadyActive'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        // Parse duration and max winners (defaults come from the group settings)
+        const settings = getGroupSettings(group);
+        const duration = parseDuration(positional[0]) || parseDuration(settings.defaultDuration);
+        const durationMs = duration.ms;
+        
+        // Convert back to days for display (can be decimal)
+        const totalDurationDays = durationMs / DAY_MS;
+        
+        const defaultMaxWinners = prizeTiers ? prizeTiers[prizeTiers.length - 1].toRank : settings.defaultMaxWinners;
+        const maxWinners = positional.length > 1 ? parseInt(positional[1]) || defaultMaxWinners : defaultMaxWinners;
+        
+        // Parse options: draw mode (default: top referrers win) and qualification target
+        const drawMode = [true, 'on'].includes(options.draw) ? 'weighted' : 'top';
+        const targetReferrals = parseInt(options.target) > 0 ? parseInt(options.target) : Infinity;
+        
+        // Create giveaway with custom settings
+        const endDate = new Date();
+        endDate.setTime(endDate.getTime() + durationMs);
+        
+        const giveaway = await createGiveaway(chatId, userId, {
+            prizes: prizeTiers ? prizeTiers.map(tier => tier.prize) : [prize],
+            prizeTiers,
+            targetReferrals, // Infinity unless a qualification target was given
+            durationDays: totalDurationDays,
+            maxWinners: maxWinners,
+            drawMode,
+            endDate: startsAt ? null : endDate // Pass custom end date
+        }, startsAt);
+        
+        if (giveaway && startsAt) {
+            await ctx.replyWithMarkdown(ctx.t('giveaway.scheduled', {
+                prizeSeparator: prizeTiers ? '\n' : ' ',
+                prizes: escapeMarkdown(formatPrizeTiers(giveaway.settings, ctx.lang)),
+                startsAt: startsAt.toUTCString(),
+                startsIn: formatTimeLeft(startsAt, ctx.lang),
+                duration: formatDurationMs(duration.ms, ctx.lang),
+                id: shortGiveawayId(giveaway)
+            }), { reply_to_message_id: ctx.message.message_id });
+        } else if (giveaway && target.isChannel) {
+            await postGiveawayStarted(group, giveaway);
+            await ctx.reply(ctx.t('channel.giveawayStarted', { title: target.title }), 
+                { reply_to_message_id: ctx.message.message_id });
+        } else if (giveaway) {
+            await ctx.replyWithMarkdown(formatGiveawayStartedMessage(giveaway, ctx.lang), { reply_to_message_id: ctx.message.message_id });
+        } else if (!startsAt && (await groupsCollection.findOne({ groupId: chatId }))?.activeGiveaway) {
+            // Another giveaway took the slot after the check above
+            ctx.reply(ctx.t('startGiveaway.alreadyActive'), 
+                { reply_to_message_id: ctx.message.message_id });
+        } else {
+            ctx.reply(ctx.t('startGiveaway.failed'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+    } catch (error) {
+        console.error('Error in startgiveaway command:', error);
+        ctx.reply(ctx.t('error.generic'), 
+            { reply_to_message_id: ctx.message.message_id });
+    }
+});
+
+// Giveaway history
+const PAST_GIVEAWAYS_PAGE_SIZE = 5;
+
+function pastGiveawaysKeyboard(page, total, lang) {
+    const buttons = [];
+    if (page > 0) {
+        buttons.push(Markup.button.callback(t(lang, 'past.previous'), `past_giveaways:${page - 1}`));
+    }
+    if ((page + 1) * PAST_GIVEAWAYS_PAGE_SIZE < total) {
+        buttons.push(Markup.button.callback(t(lang, 'past.next'), `past_giveaways:${page + 1}`));
+    }
+    return Markup.inlineKeyboard(buttons.length ? [buttons] : []);
+}
+
+// Past giveaways of a group, with their top winners
+async function formatGroupPastGiveaways(groupId, page, lang) {
+    const query = { groupId, isActive: false, endedAt: { $exists: true } };
+    const total = await giveawaysCollection.countDocuments(query);
+    if (total === 0) return null;
+    
+    const giveaways = await giveawaysCollection.find(query)
+        .sort({ endedAt: -1 })
+        .skip(page * PAST_GIVEAWAYS_PAGE_SIZE)
+        .limit(PAST_GIVEAWAYS_PAGE_SIZE)
+        .toArray();
+    
+    let message = `${t(lang, 'past.groupTitle', { page: page + 1, pages: Math.ceil(total / PAST_GIVEAWAYS_PAGE_SIZE) })}\n\n`;
+    for (const giveaway of giveaways) {
+        const standings = giveaway.finalStandings || [];
+        const names = new Map(standings.map(entry => [entry.userId, entry.name]));
+        // Giveaways ended before prize tiers only stored winner user IDs
+        const winners = giveaway.winners
+            .map((winner, index) => typeof winner === 'object' ? winner : { userId: winner, rank: index + 1 })
+            .filter(winner => !winner.rerolledTo)
+            .sort((a, b) => a.rank - b.rank)
+            .slice(0, 3);
+        
+        message += `🗓 <b>${giveaway.endedAt.toISOString().substring(0, 10)}</b> (ID ${shortGiveawayId(giveaway)}) - ${escapeHtml(giveaway.prizeSummary || formatPrizeTiers(giveaway.settings, lang)).replace(/\n/g, ', ')}\n`;
+        message += `${t(lang, 'past.groupStats', { participants: giveaway.participantCount ?? standings.length, referrals: giveaway.totalReferrals ?? 0 })}\n`;
+        for (const winner of winners) {
+            const referralsText = winner.referrals !== undefined ? t(lang, 'past.winnerReferrals', { count: winner.referrals }) : '';
+            message += `   ${ordinal(winner.rank, lang)}: ${escapeHtml(names.get(winner.userId) || t(lang, 'anonymous'))}${referralsText}\n`;
+        }
+        message += '\n';
+    }
+    
+    return { message, keyboard: pastGiveawaysKeyboard(page, total, lang) };
+}
+
+// Past giveaways a user took part in, with their placing
+async function formatUserPastGiveaways(userId, page, lang) {
+    const query = { 'finalStandings.userId': userId };
+    const total = await giveawaysCollection.countDocuments(query);
+    if (total === 0) return null;
+    
+    const giveaways = await giveawaysCollection.find(query)
+        .sort({ endedAt: -1 })
+        .skip(page * PAST_GIVEAWAYS_PAGE_SIZE)
+        .limit(PAST_GIVEAWAYS_PAGE_SIZE)
+        .toArray();
+    
+    let message = `${t(lang, 'past.userTitle', { page: page + 1, pages: Math.ceil(total / PAST_GIVEAWAYS_PAGE_SIZE) })}\n\n`;
+    for (const giveaway of giveaways) {
+        const group = await groupsCollection.findOne({ groupId: giveaway.groupId });
+        const entry = giveaway.finalStandings.find(standing => standing.userId === userId);
+        const win = giveaway.winners.find(winner => winner.userId === userId && !winner.rerolledTo);
+        
+        message += `<b>${escapeHtml(group ? group.title : t(lang, 'past.unknownGroup'))}</b> - ${giveaway.endedAt.toISOString().substring(0, 10)}\n`;
+        message += `${t(lang, 'past.placed', { position: ordinal(entry.position, lang), total: giveaway.finalStandings.length, count: entry.referrals })}\n`;
+        message += win ? `${t(lang, 'past.won')}${win.prize ? `: ${escapeHtml(win.prize)}` : ''}\n\n` : '\n';
+    }
+    
+    return { message, keyboard: pastGiveawaysKeyboard(page, total, lang) };
+}
+
+async function renderPastGiveaways(ctx, page) {
+    return ctx.chat.type === 'private' ?
+        formatUserPastGiveaways(ctx.from.id, page, ctx.lang) :
+        formatGroupPastGiveaways(ctx.chat.id, page, ctx.lang);
+}
+
+bot.command('pastgiveaways', async (ctx) => {
+    try {
+        const result = await renderPastGiveaways(ctx, 0);
+        if (!result) {
+            return ctx.reply(ctx.t(ctx.chat.type === 'private' ? 'past.noneForUser' : 'past.noneForGroup'));
+        }
+        
+        await ctx.replyWithHTML(result.message, result.keyboard);
+    } catch (error) {
+        console.error('Error in pastgiveaways command:', error);
+        ctx.reply(ctx.t('error.generic'));
+    }
+});
+
+bot.action(/^past_giveaways:(\d+)$/, async (ctx) => {
+    try {
+        const result = await renderPastGiveaways(ctx, parseInt(ctx.match[1]));
+        if (result) {
+            await ctx.editMessageText(result.message, {
+                parse_mode: 'HTML',
+                reply_markup: result.keyboard.reply_markup
+            });
+        }
+        await ctx.answerCbQuery();
+    } catch (error) {
+        console.error('Error in past_giveaways action:', error);
+        await ctx.answerCbQuery(ctx.t('past.error'));
+    }
+});
+
+// Data export
+const EXPORT_DATASETS = ['referrals', 'giveaway', 'pending'];
+
+function toCsv(rows, columns) {
+    const escapeCsv = (value) => {
+        if (value === null || value === undefined) return '';
+        let text = value instanceof Date ? value.toISOString() : String(value);
+        // Names and prizes are user input; spreadsheets run text starting with these as formulas
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    return [columns.join(','), ...rows.map(row => columns.map(column => escapeCsv(row[column])).join(','))].join('\n');
+}
+
+async function getUserNames(userIds) {
+    const users = await usersCollection.find({ userId: { $in: [...new Set(userIds)] } }).toArray();
+    return new Map(users.map(user => [user.userId, user.username ? `${user.firstName || ''} (@${user.username})`.trim() : user.firstName || '']));
+}
+
+// Parses YYYY-MM-DD (UTC); `to` dates include the whole day
+function parseExportDate(value, endOfDay = false) {
+    if (!value) return null;
+    const date = new Date(`${value}T00:00:00Z`);
+    if (Number.isNaN(date.getTime())) return undefined;
+    return endOfDay ? new Date(date.getTime() + DAY_MS - 1) : date;
+}
+
+// Every group referral, valid and invalid
+async function exportReferrals(groupId, timestamp) {
+    const referrals = await referralsCollection.find({
+        groupId,
+        type: 'group_referral',
+        ...(timestamp ? { timestamp } : {})
+    }).sort({ timestamp: 1 }).toArray();
+    
+    const names = await getUserNames(referrals.flatMap(r => [r.referrerId, r.referredId]));
+    const rows = referrals.map(referral => ({
+        id: referral._id.toString(),
+        timestamp: referral.timestamp,
+        referrerId: referral.referrerId,
+        referrerName: names.get(referral.referrerId),
+        referredId: referral.referredId,
+        referredName: names.get(referral.referredId),
+        valid: referral.valid,
+        reason: referral.reason,
+        churnedAt: referral.churnedAt,
+        fraudScore: referral.fraudScore,
+        fraudRules: (referral.fraudRules || []).join(' ')
+    }));
+    
+    return { rows, columns: ['id', 'timestamp', 'referrerId', 'referrerName', 'referredId', 'referredName', 'valid', 'reason', 'churnedAt', 'fraudScore', 'fraudRules'] };
+}
+
+// Participants of one giveaway with their placing and any prize won
+async function exportGiveaway(giveaway) {
+    const standings = giveaway.finalStandings ||
+        await snapshotStandings(await getGiveawayStandings(giveaway, giveaway.endedAt || new Date()));
+    const winners = (giveaway.winners || []).filter(winner => typeof winner === 'object');
+    
+    const rows = standings.map(entry => {
+        const win = winners.find(winner => winner.userId === entry.userId);
+        return {
+            giveawayId: giveaway._id.toString(),
+            position: entry.position,
+            userId: entry.userId,
+            name: entry.name,
+            referrals: entry.referrals,
+            winnerRank: win?.rank,
+            prize: win?.prize,
+            claimStatus: win ? (win.rerolledTo ? 'rerolled' : win.status) : null
+        };
+    });
+    
+    return { rows, columns: ['giveawayId', 'position', 'userId', 'name', 'referrals', 'winnerRank', 'prize', 'claimStatus'] };
+}
+
+// Deep-link referrals where the invitee never joined
+async function exportPendingReferrals(groupId, timestamp) {
+    const pending = await referralsCollection.find({
+        groupId,
+        type: 'pending_group_referral',
+        status: 'pending',
+        ...(timestamp ? { timestamp } : {})
+    }).sort({ timestamp: 1 }).toArray();
+    
+    const names = await getUserNames(pending.flatMap(r => [r.referrerId, r.referredId]));
+    const rows = pending.map(referral => ({
+        timestamp: referral.timestamp,
+        referrerId: referral.referrerId,
+        referrerName: names.get(referral.referrerId),
+        referredId: referral.referredId,
+        referredName: names.get(referral.referredId)
+    }));
+    
+    return { rows, columns: ['timestamp', 'referrerId', 'referrerName', 'referredId', 'referredName'] };
+}
+
+bot.command('export', async (ctx) => {
+    try {
+        if (ctx.chat.type === 'private') {
+            return ctx.reply(ctx.t('error.groupOnly'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        if (!await isGroupAdmin(ctx)) {
+            return ctx.reply(ctx.t('export.adminOnly'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        const { positional, options } = parseGiveawayArgs(ctx.message.text.split(/\s+/).slice(1).join(' '));
+        const dataset = positional[0];
+        const format = positional[1] || 'csv';
+        
+        if (!EXPORT_DATASETS.includes(dataset) || !['csv', 'json'].includes(format)) {
+            return ctx.reply(ctx.t('export.usage', { datasets: EXPORT_DATASETS.join('|') }), { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        const from = parseExportDate(options.from);
+        const to = parseExportDate(options.to, true);
+        if (from === undefined || to === undefined) {
+            return ctx.reply(ctx.t('export.invalidDate'), { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        const groupId = ctx.chat.id;
+        let giveaway = null;
+        if (options.giveaway) {
+            giveaway = await findGiveawayByShortId(groupId, options.giveaway);
+            if (!giveaway) {
+                return ctx.reply(ctx.t('export.giveawayNotFound'), { reply_to_message_id: ctx.message.message_id });
+            }
+        } else if (dataset === 'giveaway') {
+            giveaway = await giveawaysCollection.findOne(
+                { groupId, startedAt: { $exists: true } },
+                { sort: { startedAt: -1 } }
             );
-            
-            // Get user's current stats for this giveaway
-            const giveaway = await giveawaysCollection.findOne({ _id: group.activeGiveaway });
-            const userReferrals = giveaway?.participants?.[userId] || 0;
-            const targetReferrals = giveaway?.settings?.targetReferrals || 0;
-            
-            let progressText;
-            if (targetReferrals === Infinity || targetReferrals === Number.POSITIVE_INFINITY) {
-                progressText = `<b>Your Progress:</b> ${userReferrals} referrals`;
-            } else {
-                progressText = `<b>Your Progress:</b> ${userReferrals}/${targetReferrals} referrals ${userReferrals >= targetReferrals ? '✅' : '🔄'}`;
+            if (!giveaway) {
+                return ctx.reply(ctx.t('export.noGiveaways'), { reply_to_message_id: ctx.message.message_id });
             }
-            
-            const message = `
-<b>Your Group Invite Link</b>
+        }
+        
+        // Date filters, narrowed to the giveaway period when one is given
+        const timestamp = {};
+        const lowerBound = [from, giveaway?.startedAt].filter(Boolean).sort((a, b) => b - a)[0];
+        const upperBound = [to, giveaway?.endedAt].filter(Boolean).sort((a, b) => a - b)[0];
+        if (lowerBound) timestamp.$gte = lowerBound;
+        if (upperBound) timestamp.$lte = upperBound;
+        const timestampFilter = Object.keys(timestamp).length ? timestamp : null;
+        
+        let result;
+        if (dataset === 'referrals') {
+            result = await exportReferrals(groupId, timestampFilter);
+        } else if (dataset === 'giveaway') {
+            result = await exportGiveaway(giveaway);
+        } else {
+            result = await exportPendingReferrals(groupId, timestampFilter);
+        }
+        
+        const content = format === 'json' ?
+            JSON.stringify(result.rows, null, 2) :
+            toCsv(result.rows, result.columns);
+        const filename = `${dataset}-${Math.abs(groupId)}-${new Date().toISOString().substring(0, 10)}.${format}`;
+        
+        // Send privately so member data isn't posted in the group
+        try {
+            await ctx.telegram.sendDocument(ctx.from.id, { source: Buffer.from(content), filename }, {
+                caption: ctx.t('export.caption', { count: result.rows.length, dataset, group: ctx.chat.title })
+            });
+        } catch (error) {
+            console.error('Error sending export:', error);
+            return ctx.reply(ctx.t('export.sendFailed'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        await ctx.reply(ctx.t('export.sent'), { reply_to_message_id: ctx.message.message_id });
+    } catch (error) {
+        console.error('Error in export command:', error);
+        ctx.reply(ctx.t('error.generic'), 
+            { reply_to_message_id: ctx.message.message_id });
+    }
+});
+
+// Referral moderation
+// Every decision keeps totalReferrals and the giveaway participants map in step and
+// is written to the moderation log.
+const REVIEW_PAGE_SIZE = 10;
+
+async function logModeration(entry) {
+    await moderationLogCollection.insertOne({ ...entry, at: new Date() });
+}
+
+async function adjustReferralCredit(referral, delta) {
+    // Restoring a churned referral moves it back out of the churned count
+    await bumpReferralCounters(referral, delta, delta > 0 && referral.reason === 'churned' ? -1 : 0);
+    await usersCollection.updateOne(
+        { userId: referral.referrerId },
+        { $inc: { totalReferrals: delta } }
+    );
+    
+    const group = await groupsCollection.findOne({ groupId: referral.groupId });
+    if (group && group.activeGiveaway) {
+        await updateGiveawayProgress(referral.groupId, referral.referrerId);
+    }
+}
+
+// Clears a flag, releases a held referral, or restores a rejected one
+async function approveReferral(referral, adminId, reason = null) {
+    const review = { flagged: false, held: false, reviewedBy: adminId, reviewedAt: new Date() };
+    
+    // Never let a restore credit the same member twice
+    if (!referral.valid) {
+        const duplicate = await referralsCollection.findOne({
+            _id: { $ne: referral._id },
+            referredId: referral.referredId,
+            groupId: referral.groupId,
+            valid: true
+        });
+        if (duplicate) return false;
+    }
+    
+    const updated = referral.valid ?
+        await referralsCollection.findOneAndUpdate(
+            { _id: referral._id, valid: true },
+            { $set: review }
+        ) :
+        await referralsCollection.findOneAndUpdate(
+            { _id: referral._id, valid: false },
+            { $set: { ...review, valid: true, previousReason: referral.reason }, $unset: { reason: '' } }
+        );
+    if (!updated) return false;
+    
+    if (!referral.valid) {
+        await adjustReferralCredit(referral, 1);
+    }
+    
+    await logModeration({
+        groupId: referral.groupId,
+        action: 'approve_referral',
+        referralId: referral._id,
+        referrerId: referral.referrerId,
+        referredId: referral.referredId,
+        adminId,
+        reason
+    });
+    return true;
+}
+
+// Invalidates a counted referral or rejects a held one
+async function rejectReferral(referral, adminId, reason = null) {
+    const updated = await referralsCollection.findOneAndUpdate(
+        { _id: referral._id, $or: [{ valid: true }, { held: true }] },
+        { $set: { valid: false, held: false, flagged: false, reason: 'rejected_by_admin', reviewedBy: adminId, reviewedAt: new Date(), previousReason: referral.reason } }
+    );
+    if (!updated) return false;
+    
+    if (updated.valid) {
+        await adjustReferralCredit(referral, -1);
+    }
+    
+    await logModeration({
+        groupId: referral.groupId,
+        action: 'reject_referral',
+        referralId: referral._id,
+        referrerId: referral.referrerId,
+        referredId: referral.referredId,
+        adminId,
+        reason
+    });
+    return true;
+}
+
+async function disqualifyReferrer(giveaway, userId, adminId, reason = null) {
+    const result = await giveawaysCollection.updateOne(
+        { _id: giveaway._id, isActive: true, 'disqualified.userId': { $ne: userId } },
+        {
+            $push: { disqualified: { userId, by: adminId, at: new Date(), reason } },
+            $unset: { [`participants.${userId}`]: '' },
+            $pull: { qualifiers: { userId } }
+        }
+    );
+    if (!result.modifiedCount) return false;
+    
+    await logModeration({
+        groupId: giveaway.groupId,
+        action: 'disqualify_referrer',
+        giveawayId: giveaway._id,
+        referrerId: userId,
+        adminId,
+        reason
+    });
+    return true;
+}
+
+function getReviewQueueQuery(groupId) {
+    return { groupId, type: 'group_referral', $or: [{ held: true }, { valid: true, flagged: true }] };
+}
 
-${referralLink}
+// Accepts short (last 6 characters) or full referral IDs, or "all" for the review queue
+async function findReferralsForReview(groupId, ids) {
+    if (ids.includes('all')) {
+        return referralsCollection.find(getReviewQueueQuery(groupId)).toArray();
+    }
+    
+    const fullIds = ids.filter(id => /^[0-9a-f]{24}$/.test(id)).map(id => new ObjectId(id));
+    const shortIds = ids.filter(id => /^[0-9a-f]{6}$/.test(id));
+    
+    const referrals = fullIds.length ?
+        await referralsCollection.find({ groupId, _id: { $in: fullIds } }).toArray() : [];
+    
+    if (shortIds.length) {
+        const candidates = await referralsCollection.find(
+            { groupId, type: 'group_referral' },
+            { projection: { _id: 1 } }
+        ).toArray();
+        const matches = candidates.filter(c => shortIds.includes(c._id.toString().slice(-6))).map(c => c._id);
+        referrals.push(...await referralsCollection.find({ _id: { $in: matches } }).toArray());
+    }
+    
+    return referrals;
+}
+
+// Splits "/approve abc123 def456 looks legit" into IDs and a free-text reason
+function parseModerationArgs(text) {
+    const args = text.split(/\s+/).slice(1);
+    const ids = args.filter(arg => arg === 'all' || /^[0-9a-f]{6}$|^[0-9a-f]{24}$/.test(arg));
+    const reason = args.filter(arg => !ids.includes(arg)).join(' ') || null;
+    return { ids, reason };
+}
+
+async function resolveTargetUser(ctx, arg) {
+    if (ctx.message.reply_to_message) {
+        return ctx.message.reply_to_message.from.id;
+    }
+    if (!arg) return null;
+    if (arg.startsWith('@')) {
+        const user = await usersCollection.findOne({ username: arg.substring(1) });
+        return user ? user.userId : null;
+    }
+    return /^\d+$/.test(arg) ? parseInt(arg) : null;
+}
 
-${progressText}
+async function formatReviewQueue(groupId, lang) {
+    const query = getReviewQueueQuery(groupId);
+    const total = await referralsCollection.countDocuments(query);
+    if (total === 0) return null;
+    
+    const referrals = await referralsCollection.find(query).sort({ timestamp: -1 }).limit(REVIEW_PAGE_SIZE).toArray();
+    const names = await getUserNames(referrals.flatMap(r => [r.referrerId, r.referredId]));
+    
+    let message = t(lang, 'review.title', { total }) + '\n\n';
+    const buttons = [];
+    for (const referral of referrals) {
+        const shortId = referral._id.toString().slice(-6);
+        const state = t(lang, referral.held ? 'review.held' : 'review.flagged');
+        
+        message += `<code>${shortId}</code> ${state} - ${escapeHtml(names.get(referral.referrerId) || referral.referrerId)} → ${escapeHtml(names.get(referral.referredId) || referral.referredId)}\n`;
+        message += '   ' + t(lang, 'review.score', { score: referral.fraudScore ?? 0 }) +
+            `${referral.fraudRules?.length ? `: ${referral.fraudRules.join(', ')}` : ''}\n`;
+        buttons.push([
+            Markup.button.callback(`✅ ${shortId}`, `mod:approve:${referral._id}`),
+            Markup.button.callback(`❌ ${shortId}`, `mod:reject:${referral._id}`)
+        ]);
+    }
+    
+    if (total > referrals.length) {
+        message += '\n' + t(lang, 'review.more', { count: total - referrals.length });
+    }
+    message += '\n' + t(lang, 'review.hint');
+    
+    return { message, keyboard: Markup.inlineKeyboard(buttons) };
+}
 
-Share this link with friends. When they click it and join the group, you'll get credit for the referral.
-`;
+bot.command('review', async (ctx) => {
+    try {
+        if (ctx.chat.type === 'private') {
+            return ctx.reply(ctx.t('error.groupOnly'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        if (!await isGroupAdmin(ctx)) {
+            return ctx.reply(ctx.t('review.adminOnly'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        const queue = await formatReviewQueue(ctx.chat.id, ctx.lang);
+        if (!queue) {
+            return ctx.reply(ctx.t('review.empty'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        await ctx.replyWithHTML(queue.message, { ...queue.keyboard, reply_to_message_id: ctx.message.message_id });
+    } catch (error) {
+        console.error('Error in review command:', error);
+        ctx.reply(ctx.t('error.generic'), 
+            { reply_to_message_id: ctx.message.message_id });
+    }
+});
 
-            await ctx.replyWithHTML(message, { reply_to_message_id: ctx.message.message_id });
-        } else {
-            await ctx.reply('This command is for groups only.', 
+async function handleModerationCommand(ctx, approve) {
+    try {
+        if (ctx.chat.type === 'private') {
+            return ctx.reply(ctx.t('error.groupOnly'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        if (!await isGroupAdmin(ctx)) {
+            return ctx.reply(ctx.t('moderation.adminOnly'), 
                 { reply_to_message_id: ctx.message.message_id });
         }
+        
+        const { ids, reason } = parseModerationArgs(ctx.message.text);
+        if (ids.length === 0) {
+            return ctx.reply(ctx.t('moderation.usage', { command: approve ? 'approve' : 'reject' }), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        const referrals = await findReferralsForReview(ctx.chat.id, ids);
+        let changed = 0;
+        for (const referral of referrals) {
+            const done = approve ?
+                await approveReferral(referral, ctx.from.id, reason) :
+                await rejectReferral(referral, ctx.from.id, reason);
+            if (done) changed++;
+        }
+        
+        const plural = new Intl.PluralRules(ctx.lang).select(referrals.length);
+        await ctx.reply(ctx.t(`moderation.${approve ? 'approved' : 'rejected'}.${plural}`, { changed, count: referrals.length }), 
+            { reply_to_message_id: ctx.message.message_id });
     } catch (error) {
-        console.error('Error in group_referral command:', error);
-        ctx.reply('Sorry, an error occurred while processing your request.', 
+        console.error('Error in moderation command:', error);
+        ctx.reply(ctx.t('error.generic'), 
             { reply_to_message_id: ctx.message.message_id });
     }
+}
+
+bot.command('approve', async (ctx) => {
+    await handleModerationCommand(ctx, true);
 });
 
-// Leaderboard command / button
-bot.command('leaderboard', async (ctx) => {
-    await handleLeaderboardCommand(ctx);
+bot.command('reject', async (ctx) => {
+    await handleModerationCommand(ctx, false);
 });
 
-bot.action('view_leaderboard', async (ctx) => {
-    await handleLeaderboardCommand(ctx);
-    await ctx.answerCbQuery();
+bot.action(/^mod:(approve|reject):([0-9a-f]{24})$/, async (ctx) => {
+    try {
+        if (!await isGroupAdmin(ctx)) {
+            return ctx.answerCbQuery(ctx.t('moderation.adminOnly'));
+        }
+        
+        const referral = await referralsCollection.findOne({ _id: new ObjectId(ctx.match[2]), groupId: ctx.chat.id });
+        const approve = ctx.match[1] === 'approve';
+        const done = referral && (approve ?
+            await approveReferral(referral, ctx.from.id) :
+            await rejectReferral(referral, ctx.from.id));
+        
+        await ctx.answerCbQuery(ctx.t(done ? (approve ? 'moderation.approvedOne' : 'moderation.rejectedOne') : 'moderation.alreadyHandled'));
+        
+        const queue = await formatReviewQueue(ctx.chat.id, ctx.lang);
+        if (queue) {
+            await ctx.editMessageText(queue.message, { parse_mode: 'HTML', reply_markup: queue.keyboard.reply_markup });
+        } else {
+            await ctx.editMessageText(ctx.t('review.queueEmpty'));
+        }
+    } catch (error) {
+        console.error('Error in moderation action:', error);
+        await ctx.answerCbQuery(ctx.t('error.retry'));
+    }
 });
 
-async function handleLeaderboardCommand(ctx) {
+bot.command('disqualify', async (ctx) => {
     try {
-        const isGroup = ctx.chat.type !== 'private';
-        const leaderboard = await getLeaderboard(
-            isGroup ? 'group' : 'global',
-            isGroup ? ctx.chat.id : null,
-            10
-        );
+        if (ctx.chat.type === 'private') {
+            return ctx.reply(ctx.t('error.groupOnly'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
         
-        if (leaderboard.length === 0) {
-            return ctx.reply('No referrals recorded yet. Be the first to invite someone!');
+        if (!await isGroupAdmin(ctx)) {
+            return ctx.reply(ctx.t('disqualify.adminOnly'), 
+                { reply_to_message_id: ctx.message.message_id });
         }
         
-        let message = `*${isGroup ? 'Group' : 'Global'} Referral Leaderboard*\n\n`;
+        const args = ctx.message.text.split(/\s+/).slice(1);
+        const targetArg = ctx.message.reply_to_message ? null : args.shift();
+        const targetId = await resolveTargetUser(ctx, targetArg);
+        const reason = args.join(' ') || null;
         
-        leaderboard.forEach((entry, index) => {
-            const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
-            message += `${medal} ${entry.name}: *${entry.referrals}* referrals\n`;
-        });
+        if (!targetId) {
+            return ctx.reply(ctx.t('disqualify.usage'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
         
-        // Only add inline keyboard in private chats
-        if (!isGroup) {
-            const inlineKeyboard = Markup.inlineKeyboard([
-                [Markup.button.callback('📨 Get My Referral Link', 'get_referral')],
-                [Markup.button.callback('🔄 Refresh Leaderboard', 'view_leaderboard')],
-                [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
-            ]);
-            
-            await ctx.replyWithMarkdown(message, inlineKeyboard);
-        } else {
-            // In groups, just send the message without buttons
-            await ctx.replyWithMarkdown(message);
+        const group = await groupsCollection.findOne({ groupId: ctx.chat.id });
+        const giveaway = group?.activeGiveaway && await giveawaysCollection.findOne({ _id: group.activeGiveaway });
+        if (!giveaway) {
+            return ctx.reply(ctx.t('error.noActiveGiveaway'), 
+                { reply_to_message_id: ctx.message.message_id });
         }
+        
+        const done = await disqualifyReferrer(giveaway, targetId, ctx.from.id, reason);
+        await ctx.reply(ctx.t(done ? 'disqualify.done' : 'disqualify.already'), 
+            { reply_to_message_id: ctx.message.message_id });
     } catch (error) {
-        console.error('Error in leaderboard command:', error);
-        ctx.reply('Sorry, an error occurred while processing your request.');
+        console.error('Error in disqualify command:', error);
+        ctx.reply(ctx.t('error.generic'), 
+            { reply_to_message_id: ctx.message.message_id });
+    }
+});
+
+// Recount this group's leaderboard counters from the referral log
+bot.command('rebuildcounters', async (ctx) => {
+    try {
+        if (ctx.chat.type === 'private') {
+            return ctx.reply(ctx.t('error.groupOnly'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        if (!await isGroupAdmin(ctx)) {
+            return ctx.reply(ctx.t('rebuildCounters.adminOnly'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        const written = await rebuildReferralCounters(ctx.chat.id);
+        await ctx.reply(ctx.t('rebuildCounters.done', { count: written }), 
+            { reply_to_message_id: ctx.message.message_id });
+    } catch (error) {
+        console.error('Error in rebuildcounters command:', error);
+        ctx.reply(ctx.t('error.generic'), 
+            { reply_to_message_id: ctx.message.message_id });
     }
+});
+
+// Scheduled giveaway management
+// Looks up a group's giveaway by the short ID shown to admins (or a full ObjectId)
+async function findGiveawayByShortId(groupId, shortId, query = {}) {
+    if (!shortId) return null;
+    const giveaways = await giveawaysCollection.find({ groupId, ...query }, { projection: { _id: 1 } }).toArray();
+    const match = giveaways.find(giveaway =>
+        shortGiveawayId(giveaway) === shortId.toLowerCase() || giveaway._id.toString() === shortId.toLowerCase());
+    return match ? giveawaysCollection.findOne({ _id: match._id }) : null;
 }
 
-// Giveaway commands
-bot.command('giveaway', async (ctx) => {
-    await handleGiveawayCommand(ctx);
+async function findScheduledGiveaway(groupId, shortId) {
+    return findGiveawayByShortId(groupId, shortId, { isScheduled: true });
+}
+
+bot.command('upcoming', async (ctx) => {
+    try {
+        const args = ctx.message.text.split(/\s+/).slice(1);
+        const target = await resolveGiveawayChat(ctx, args);
+        if (!target) return;
+        
+        if (!await isGroupAdmin(ctx, target.chatId)) {
+            return ctx.reply(ctx.t('upcoming.adminOnly'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        const upcoming = await giveawaysCollection.find({ groupId: target.chatId, isScheduled: true }).sort({ startsAt: 1 }).toArray();
+        if (upcoming.length === 0) {
+            return ctx.reply(ctx.t('upcoming.none'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        let message = ctx.t('upcoming.title') + '\n\n';
+        for (const giveaway of upcoming) {
+            message += `🆔 *${shortGiveawayId(giveaway)}* - ${giveaway.startsAt.toUTCString()}\n${formatUpcomingGiveaways([giveaway], ctx.lang)}\n`;
+        }
+        message += ctx.t('upcoming.hint');
+        
+        await ctx.replyWithMarkdown(message, { reply_to_message_id: ctx.message.message_id });
+    } catch (error) {
+        console.error('Error in upcoming command:', error);
+        ctx.reply(ctx.t('error.generic'), 
+            { reply_to_message_id: ctx.message.message_id });
+    }
 });
 
-bot.action('view_giveaways', async (ctx) => {
-    await handleGiveawayCommand(ctx);
-    await ctx.answerCbQuery();
+bot.command('cancelgiveaway', async (ctx) => {
+    try {
+        const args = ctx.message.text.split(/\s+/).slice(1);
+        const target = await resolveGiveawayChat(ctx, args);
+        if (!target) return;
+        
+        if (!await isGroupAdmin(ctx, target.chatId)) {
+            return ctx.reply(ctx.t('cancelGiveaway.adminOnly'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        const giveaway = await findScheduledGiveaway(target.chatId, args[0]);
+        const cancelled = giveaway && await giveawaysCollection.findOneAndUpdate(
+            { _id: giveaway._id, isScheduled: true },
+            { $set: { isScheduled: false, cancelledAt: new Date(), cancelledBy: ctx.from.id } }
+        );
+        
+        if (!cancelled) {
+            return ctx.reply(ctx.t('upcoming.notFound'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        cancelGiveawayTimer(`start:${giveaway._id}`);
+        await ctx.reply(ctx.t('cancelGiveaway.done', { id: shortGiveawayId(giveaway) }), 
+            { reply_to_message_id: ctx.message.message_id });
+    } catch (error) {
+        console.error('Error in cancelgiveaway command:', error);
+        ctx.reply(ctx.t('error.generic'), 
+            { reply_to_message_id: ctx.message.message_id });
+    }
 });
 
-async function handleGiveawayCommand(ctx) {
+bot.command('editgiveaway', async (ctx) => {
     try {
-        const isGroup = ctx.chat.type !== 'private';
+        const args = ctx.message.text.split(/\s+/).slice(1);
+        const target = await resolveGiveawayChat(ctx, args);
+        if (!target) return;
         
-        if (isGroup) {
-            const groupId = ctx.chat.id;
-            const group = await groupsCollection.findOne({ groupId });
-            
-            if (!group || !group.activeGiveaway) {
-                return ctx.reply('There are no active giveaways in this group.', 
-                    { reply_to_message_id: ctx.message.message_id });
-            }
-            
-            const giveaway = await giveawaysCollection.findOne({ _id: group.activeGiveaway });
-            
-            if (!giveaway) {
-                return ctx.reply('Giveaway information not found.', 
-                    { reply_to_message_id: ctx.message.message_id });
-            }
-            
-            // Get user's progress
-            const userId = ctx.from.id;
-            const userReferrals = giveaway.participants[userId] || 0;
-            const targetReferrals = giveaway.settings.targetReferrals;
-            
-            const endDate = new Date(giveaway.endDate);
-            const timeDiffMs = Math.max(0, endDate.getTime() - new Date().getTime());
-            
-            // Calculate remaining time in days, hours, minutes
-            const daysLeft = Math.floor(timeDiffMs / (1000 * 60 * 60 * 24));
-            const hoursLeft = Math.floor((timeDiffMs % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-            const minutesLeft = Math.floor((timeDiffMs % (1000 * 60 * 60)) / (1000 * 60));
-            
-            // Format time left string
-            let timeLeftStr = '';
-            if (daysLeft > 0) {
-                timeLeftStr += `${daysLeft} day${daysLeft !== 1 ? 's' : ''} `;
+        if (!await isGroupAdmin(ctx, target.chatId)) {
+            return ctx.reply(ctx.t('editGiveaway.adminOnly'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        const giveaway = await findScheduledGiveaway(target.chatId, args.shift());
+        if (!giveaway) {
+            return ctx.reply(ctx.t('upcoming.notFound'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        const { prize, options } = parseGiveawayArgs(args.join(' '));
+        const update = {};
+        
+        if (prize) {
+            const { tiers: prizeTiers, error: prizeError } = parsePrizeTiers(prize, ctx.lang);
+            if (prizeError) {
+                return ctx.reply(ctx.t('startGiveaway.prizeFormat', { error: prizeError }), { reply_to_message_id: ctx.message.message_id });
             }
-            if (hoursLeft > 0 || daysLeft > 0) {
-                timeLeftStr += `${hoursLeft} hour${hoursLeft !== 1 ? 's' : ''} `;
+            update['settings.prizes'] = prizeTiers ? prizeTiers.map(tier => tier.prize) : [prize];
+            update['settings.prizeTiers'] = prizeTiers;
+        }
+        if (options.duration) {
+            const duration = parseDuration(options.duration);
+            if (!duration) {
+                return ctx.reply(ctx.t('editGiveaway.invalidDuration'), { reply_to_message_id: ctx.message.message_id });
             }
-            timeLeftStr += `${minutesLeft} minute${minutesLeft !== 1 ? 's' : ''}`;
-            
-            // Format progress
-            let progressText;
-            if (targetReferrals === Infinity || targetReferrals === Number.POSITIVE_INFINITY) {
-                progressText = `*Your Progress:* ${userReferrals} referrals 📊`;
-            } else {
-                progressText = `*Your Progress:* ${userReferrals}/${targetReferrals} referrals ${userReferrals >= targetReferrals ? '✅' : '🔄'}`;
+            update['settings.durationDays'] = duration.ms / DAY_MS;
+        }
+        if (options.winners) {
+            if (!(parseInt(options.winners) > 0)) {
+                return ctx.reply(ctx.t('editGiveaway.invalidWinners'), { reply_to_message_id: ctx.message.message_id });
             }
-            
-            const message = `
-*Active Giveaway*
-
-🎁 *Prizes:* ${giveaway.settings.prizes.join(', ')}
-⏱ *Ends in:* ${timeLeftStr}
-🎯 *Target:* ${targetReferrals === Infinity || targetReferrals === Number.POSITIVE_INFINITY ? 'Unlimited' : targetReferrals} referrals
-👥 *Max Winners:* ${giveaway.settings.maxWinners}
-
-${progressText}
-
-Invite more people using the group referral link to qualify!
-`;
-            
-            await ctx.replyWithMarkdown(message, { reply_to_message_id: ctx.message.message_id });
-        } else {
-            // For private chat, show all active giveaways the user can participate in
-            const activeGiveaways = await giveawaysCollection.find({ isActive: true }).toArray();
-            
-            if (activeGiveaways.length === 0) {
-                return ctx.reply('There are no active giveaways right now.', 
+            update['settings.maxWinners'] = parseInt(options.winners);
+        }
+        if (options.target) {
+            // target=0 removes the qualification target
+            update['settings.targetReferrals'] = parseInt(options.target) > 0 ? parseInt(options.target) : Infinity;
+        }
+        if (options.draw) {
+            update['settings.drawMode'] = ['on', true].includes(options.draw) ? 'weighted' : 'top';
+        }
+        if (options.start) {
+            const startsAt = parseStartTime(options.start);
+            if (!startsAt || startsAt <= new Date()) {
+                return ctx.reply(ctx.t('startGiveaway.invalidStart'), 
                     { reply_to_message_id: ctx.message.message_id });
             }
-            
-            let message = '*Active Giveaways*\n\n';
-            
-            for (const giveaway of activeGiveaways) {
-                const group = await groupsCollection.findOne({ groupId: giveaway.groupId });
-                if (!group) continue;
-                
-                const endDate = new Date(giveaway.endDate);
-                const timeDiffMs = Math.max(0, endDate.getTime() - new Date().getTime());
-                
-                // Calculate remaining time in days, hours, minutes
-                const daysLeft = Math.floor(timeDiffMs / (1000 * 60 * 60 * 24));
-                const hoursLeft = Math.floor((timeDiffMs % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-                const minutesLeft = Math.floor((timeDiffMs % (1000 * 60 * 60)) / (1000 * 60));
-                
-                // Format time left string
-                let timeLeftStr = '';
-                if (daysLeft > 0) {
-                    timeLeftStr += `${daysLeft} day${daysLeft !== 1 ? 's' : ''} `;
-                }
-                if (hoursLeft > 0 || daysLeft > 0) {
-                    timeLeftStr += `${hoursLeft} hour${hoursLeft !== 1 ? 's' : ''} `;
-                }
-                timeLeftStr += `${minutesLeft} minute${minutesLeft !== 1 ? 's' : ''}`;
-                
-                const targetText = giveaway.settings.targetReferrals === Infinity || 
-                                 giveaway.settings.targetReferrals === Number.POSITIVE_INFINITY ? 
-                                 'Unlimited' : giveaway.settings.targetReferrals;
-                
-                message += `
-*${group.title}*
-🎁 Prize: ${giveaway.settings.prizes[0]}
-⏱ Ends in: ${timeLeftStr}
-🎯 Target: ${targetText} referrals
+            update.startsAt = startsAt;
+        }
+        
+        if (Object.keys(update).length === 0) {
+            return ctx.reply(ctx.t('editGiveaway.nothingToChange'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        const edited = await giveawaysCollection.findOneAndUpdate(
+            { _id: giveaway._id, isScheduled: true },
+            { $set: update },
+            { returnDocument: 'after' }
+        );
+        if (!edited) {
+            return ctx.reply(ctx.t('editGiveaway.notScheduled'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        if (update.startsAt) {
+            scheduleGiveawayStart(edited._id, edited.startsAt);
+        }
+        
+        await ctx.replyWithMarkdown(`${ctx.t('editGiveaway.updated', { id: shortGiveawayId(edited) })}\n\n${formatUpcomingGiveaways([edited], ctx.lang)}`, 
+            { reply_to_message_id: ctx.message.message_id });
+    } catch (error) {
+        console.error('Error in editgiveaway command:', error);
+        ctx.reply(ctx.t('error.generic'), 
+            { reply_to_message_id: ctx.message.message_id });
+    }
+});
 
-`;
-            }
-            
-            message += 'Join these groups and use your referral link to participate!';
-            
-            const inlineKeyboard = Markup.inlineKeyboard([
-                [Markup.button.callback('📨 Get My Referral Link', 'get_referral')],
-                [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
-            ]);
-            
-            await ctx.replyWithMarkdown(message, {
-                reply_markup: inlineKeyboard.reply_markup,
+// Publish the seed and ticket table of the latest weighted draw
+bot.command('drawproof', async (ctx) => {
+    try {
+        const args = ctx.message.text.split(/\s+/).slice(1);
+        const target = await resolveGiveawayChat(ctx, args);
+        if (!target) return;
+        
+        const giveaway = await giveawaysCollection.findOne(
+            { groupId: target.chatId, isActive: false, draw: { $exists: true } },
+            { sort: { endedAt: -1 } }
+        );
+        
+        if (!giveaway) {
+            return ctx.reply(ctx.t('drawProof.noDraw'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        const draw = giveaway.draw;
+        const message = ctx.t('drawProof.summary', {
+            endedAt: giveaway.endedAt.toISOString(),
+            algorithm: draw.algorithm,
+            seed: draw.seed,
+            commitment: draw.commitment ?
+                ctx.t('drawProof.commitment', { hash: draw.commitment, startedAt: giveaway.startedAt.toISOString() }) :
+                ctx.t('drawProof.noCommitment'),
+            winners: giveaway.winners.map(w => w.userId).join(', ') || ctx.t('drawProof.none'),
+            selection: escapeHtml(describeWinnerSelection(giveaway.settings, ctx.lang)),
+            ticketCount: draw.tickets.reduce((sum, entry) => sum + entry.tickets, 0),
+            entrants: draw.tickets.length
+        });
+        await ctx.replyWithHTML(message, { reply_to_message_id: ctx.message.message_id });
+        
+        // The ticket table outgrows a message quickly, so it goes out as a file
+        if (draw.tickets.length > 0) {
+            const filename = `draw-${shortGiveawayId(giveaway)}.csv`;
+            await ctx.replyWithDocument({ source: Buffer.from(toCsv(draw.tickets, ['userId', 'tickets'])), filename }, {
+                caption: ctx.t('drawProof.ticketsCaption'),
                 reply_to_message_id: ctx.message.message_id
             });
         }
     } catch (error) {
-        console.error('Error in giveaway command:', error);
-        ctx.reply('Sorry, an error occurred while processing your request.', 
+        console.error('Error in drawproof command:', error);
+        ctx.reply(ctx.t('error.generic'), 
+            { reply_to_message_id: ctx.message.message_id });
+    }
+});
+
+// Claim command / button
+bot.command('claim', async (ctx) => {
+    try {
+        if (ctx.chat.type !== 'private') {
+            return ctx.reply(ctx.t('error.privateOnly'));
+        }
+        
+        const userId = ctx.from.id;
+        const giveaways = await giveawaysCollection.find({
+            winners: { $elemMatch: { userId, status: 'notified', claimDeadline: { $gt: new Date() } } }
+        }).toArray();
+        
+        if (giveaways.length === 0) {
+            return ctx.reply(ctx.t('claim.none'));
+        }
+        
+        for (const giveaway of giveaways) {
+            const winner = giveaway.winners.find(w => w.userId === userId && w.status === 'notified');
+            const group = await groupsCollection.findOne({ groupId: giveaway.groupId });
+            
+            await ctx.replyWithMarkdown(
+                ctx.t('claim.pending', {
+                    prize: escapeMarkdown(winner.prize || ctx.t('claim.defaultPrize')),
+                    group: escapeMarkdown(group ? group.title : ctx.t('aGroup')),
+                    rank: ordinal(winner.rank, ctx.lang),
+                    deadline: winner.claimDeadline.toUTCString()
+                }),
+                Markup.inlineKeyboard([[Markup.button.callback(ctx.t('claim.button'), `claim_prize:${giveaway._id}`)]])
+            );
+        }
+    } catch (error) {
+        console.error('Error in claim command:', error);
+        ctx.reply(ctx.t('error.generic'));
+    }
+});
+
+bot.action(/^claim_prize:([0-9a-f]{24})$/, async (ctx) => {
+    try {
+        const claimed = await giveawaysCollection.findOneAndUpdate(
+            {
+                _id: new ObjectId(ctx.match[1]),
+                winners: { $elemMatch: { userId: ctx.from.id, status: 'notified', claimDeadline: { $gt: new Date() } } }
+            },
+            { $set: { 'winners.$.status': 'claimed', 'winners.$.claimedAt': new Date() } }
+        );
+        
+        if (!claimed) {
+            return ctx.answerCbQuery(ctx.t('claim.expired'), { show_alert: true });
+        }
+        
+        await ctx.editMessageText(ctx.t('claim.claimed'));
+        await ctx.answerCbQuery();
+    } catch (error) {
+        console.error('Error in claim_prize action:', error);
+        await ctx.answerCbQuery(ctx.t('claim.error'));
+    }
+});
+
+// Winner status for the latest ended giveaway
+bot.command('winners', async (ctx) => {
+    try {
+        const args = ctx.message.text.split(/\s+/).slice(1);
+        const target = await resolveGiveawayChat(ctx, args);
+        if (!target) return;
+        
+        if (!await isGroupAdmin(ctx, target.chatId)) {
+            return ctx.reply(ctx.t('winners.adminOnly'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        const giveaway = await getLatestEndedGiveaway(target.chatId);
+        if (!giveaway || !giveaway.winners.length) {
+            return ctx.reply(ctx.t('winners.none'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
+        
+        let message = ctx.t('winners.title') + '\n\n';
+        const winners = [...giveaway.winners].sort((a, b) => a.rank - b.rank);
+        for (const winner of winners) {
+            const user = await usersCollection.findOne({ userId: winner.userId });
+            const name = user ? (user.firstName || user.username || ctx.t('anonymous')) : ctx.t('anonymous');
+            const username = user?.username ? ` (@${user.username})` : '';
+            const status = winner.rerolledTo ? 'rerolled' :
+                ['notified', 'claimed', 'delivered', 'expired'].includes(winner.status) ? winner.status : 'pending';
+            
+            message += `${ordinal(winner.rank, ctx.lang)}: ${escapeHtml(name)}${escapeHtml(username)} - ${escapeHtml(winner.prize || ctx.t('winners.noPrize'))} - ${ctx.t(`winners.status.${status}`)}\n`;
+        }
+        
+        message += '\n' + ctx.t('winners.hint');
+        
+        await ctx.replyWithHTML(message, { reply_to_message_id: ctx.message.message_id });
+    } catch (error) {
+        console.error('Error in winners command:', error);
+        ctx.reply(ctx.t('error.generic'), 
             { reply_to_message_id: ctx.message.message_id });
     }
-}
+});
 
-bot.command('endgiveaway', async (ctx) => {
+bot.command('delivered', async (ctx) => {
     try {
-        if (ctx.chat.type === 'private') {
-            return ctx.reply('This command can only be used in groups.', 
+        const args = ctx.message.text.split(/\s+/).slice(1);
+        const target = await resolveGiveawayChat(ctx, args);
+        if (!target) return;
+        
+        if (!await isGroupAdmin(ctx, target.chatId)) {
+            return ctx.reply(ctx.t('delivered.adminOnly'), 
                 { reply_to_message_id: ctx.message.message_id });
         }
         
-        // Check if user is admin
-        const userId = ctx.from.id;
-        const chatId = ctx.chat.id;
-        const member = await ctx.telegram.getChatMember(chatId, userId);
+        const rank = parseInt(args[0]);
+        if (!rank) {
+            return ctx.reply(ctx.t('delivered.usage'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
         
-        if (!['creator', 'administrator'].includes(member.status)) {
-            return ctx.reply('Only group administrators can end giveaways.', 
+        const giveaway = await getLatestEndedGiveaway(target.chatId);
+        const result = giveaway && await giveawaysCollection.updateOne(
+            { _id: giveaway._id, winners: { $elemMatch: { rank, status: { $in: ['notified', 'claimed'] } } } },
+            { $set: { 'winners.$.status': 'delivered', 'winners.$.deliveredAt': new Date(), 'winners.$.deliveredBy': ctx.from.id } }
+        );
+        
+        if (!result || !result.modifiedCount) {
+            return ctx.reply(ctx.t('delivered.notOpen', { rank: ordinal(rank, ctx.lang) }), 
                 { reply_to_message_id: ctx.message.message_id });
         }
         
-        // Check if there's an active giveaway
-        const group = await groupsCollection.findOne({ groupId: chatId });
+        await ctx.reply(ctx.t('delivered.done', { rank: ordinal(rank, ctx.lang) }), 
+            { reply_to_message_id: ctx.message.message_id });
+    } catch (error) {
+        console.error('Error in delivered command:', error);
+        ctx.reply(ctx.t('error.generic'), 
+            { reply_to_message_id: ctx.message.message_id });
+    }
+});
+
+bot.command('reroll', async (ctx) => {
+    try {
+        const args = ctx.message.text.split(/\s+/).slice(1);
+        const target = await resolveGiveawayChat(ctx, args);
+        if (!target) return;
         
-        if (!group || !group.activeGiveaway) {
-            return ctx.reply('There is no active giveaway in this group.', 
+        if (!await isGroupAdmin(ctx, target.chatId)) {
+            return ctx.reply(ctx.t('reroll.adminOnly'), 
                 { reply_to_message_id: ctx.message.message_id });
         }
         
-        // Get current leaderboard before ending
-        const leaderboard = await getLeaderboard('group', chatId, 10);
+        const giveaway = await getLatestEndedGiveaway(target.chatId);
+        if (!giveaway) {
+            return ctx.reply(ctx.t('reroll.noEnded'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
         
-        // End the giveaway
-        const winners = await endGiveaway(chatId, group.activeGiveaway);
+        const replacements = await rerollExpiredWinners(giveaway._id);
+        if (replacements.length === 0) {
+            return ctx.reply(ctx.t('reroll.none'), 
+                { reply_to_message_id: ctx.message.message_id });
+        }
         
-        if (winners && winners.length > 0) {
-            // Format winners message
-            let winnersText = '';
-            for (let i = 0; i < winners.length; i++) {
-                const winner = await usersCollection.findOne({ userId: winners[i].userId });
-                const name = winner ? (winner.firstName || winner.username || 'Anonymous') : 'Anonymous';
-                const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : `${i+1}.`;
-                winnersText += `${medal} ${name} - ${winners[i].referrals} referrals\n`;
-            }
-            
-            const message = `
-🏆 *Giveaway Ended* 🏆
-
-Congratulations to the winners:
-${winnersText}
-
-Thank you to everyone who participated!
-The leaderboard has been reset for the next giveaway.
-`;
-            await ctx.replyWithMarkdown(message, { reply_to_message_id: ctx.message.message_id });
-        } else if (leaderboard.length > 0) {
-            // Use leaderboard data if winners list is empty but leaderboard has entries
-            let winnersText = '';
-            for (let i = 0; i < leaderboard.length; i++) {
-                const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : `${i+1}.`;
-                winnersText += `${medal} ${leaderboard[i].name} - ${leaderboard[i].referrals} referrals\n`;
-            }
-            
-            const message = `
-🏆 *Giveaway Ended* 🏆
-
-Final leaderboard:
-${winnersText}
+        let message = ctx.t('reroll.title') + '\n\n';
+        for (const replacement of replacements) {
+            const user = await usersCollection.findOne({ userId: replacement.userId });
+            const name = user ? (user.firstName || user.username || ctx.t('anonymous')) : ctx.t('anonymous');
+            message += ctx.t('reroll.entry', { rank: ordinal(replacement.rank, ctx.lang), name: escapeMarkdown(name), count: replacement.referrals }) + '\n';
+        }
+        message += '\n' + ctx.t('reroll.footer');
+        
+        await ctx.replyWithMarkdown(message, { reply_to_message_id: ctx.message.message_id });
+    } catch (error) {
+        console.error('Error in reroll command:', error);
+        ctx.reply(ctx.t('error.generic'), 
+            { reply_to_message_id: ctx.message.message_id });
+    }
+});
 
-Thank you to everyone who participated!
-The leaderboard has been reset for the next giveaway.
-`;
-            await ctx.replyWithMarkdown(message, { reply_to_message_id: ctx.message.message_id });
+// Config group command
+bot.command('configgroup', async (ctx) => {
+    try {
+        // Groups configure themselves; channels are named in a private chat or the discussion group
+        const args = ctx.message.text.split(/\s+/).slice(1);
+        const target = await resolveGiveawayChat(ctx, args);
+        if (!target) return;
+        
+        // Check if user is admin
+        const userId = ctx.from.id;
+        const chatId = target.chatId;
+        const member = await ctx.telegram.getChatMember(chatId, userId);
+        
+        if (!['creator', 'administrator'].includes(member.status)) {
+            return ctx.reply(ctx.t('settings.adminOnly'));
+        }
+        
+        if (target.isChannel) {
+            await registerChannel(target.chat, userId);
         } else {
-            await ctx.reply('Giveaway ended. There were no participants.', 
-                { reply_to_message_id: ctx.message.message_id });
+            await getOrCreateGroup(chatId, target.title);
         }
+        await ctx.scene.enter('configgroup', { groupId: chatId });
     } catch (error) {
-        console.error('Error in endgiveaway command:', error);
-        ctx.reply('Sorry, an error occurred while processing your request.', 
-            { reply_to_message_id: ctx.message.message_id });
+        console.error('Error in configgroup command:', error);
+        ctx.reply(ctx.t('error.generic'));
     }
 });
 
-// Start giveaway command
-bot.command('startgiveaway', async (ctx) => {
+async function setJoinApproval(telegram, groupId, enabled) {
+    await groupsCollection.updateOne(
+        { groupId },
+        { $set: { 'settings.requireJoinApproval': enabled } }
+    );
+    
+    // Switch the existing referral links over as well
+    const inviteLinks = await inviteLinksCollection.find({ groupId }).toArray();
+    for (const inviteLink of inviteLinks) {
+        try {
+            await telegram.editChatInviteLink(groupId, inviteLink.inviteLink, {
+                name: inviteLink.name,
+                creates_join_request: enabled
+            });
+        } catch (error) {
+            console.error('Error updating invite link:', error);
+        }
+    }
+}
+
+// Join approval gate command
+bot.command('joingate', async (ctx) => {
     try {
         if (ctx.chat.type === 'private') {
-            return ctx.reply('This command can only be used in groups.', 
-                { reply_to_message_id: ctx.message.message_id });
+            return ctx.reply(ctx.t('error.groupOnly'));
         }
         
         // Check if user is admin
@@ -988,303 +4225,1031 @@ bot.command('startgiveaway', async (ctx) => {
         const member = await ctx.telegram.getChatMember(chatId, userId);
         
         if (!['creator', 'administrator'].includes(member.status)) {
-            return ctx.reply('Only group administrators can start giveaways.', 
-                { reply_to_message_id: ctx.message.message_id });
+            return ctx.reply(ctx.t('joinGate.adminOnly'));
         }
         
-        // Check if there's already an active giveaway
-        const group = await groupsCollection.findOne({ groupId: chatId });
+        const option = ctx.message.text.split(/\s+/)[1];
+        if (!['on', 'off'].includes(option)) {
+            return ctx.reply(ctx.t('joinGate.usage'));
+        }
         
-        if (group && group.activeGiveaway) {
-            return ctx.reply('There is already an active giveaway in this group. End it first with /endgiveaway.', 
+        const enabled = option === 'on';
+        await getOrCreateGroup(chatId, ctx.chat.title);
+        await setJoinApproval(ctx.telegram, chatId, enabled);
+        
+        await ctx.reply(ctx.t(enabled ? 'joinGate.enabled' : 'joinGate.disabled'));
+    } catch (error) {
+        console.error('Error in joingate command:', error);
+        ctx.reply(ctx.t('error.generic'));
+    }
+});
+
+// Language command
+function languageKeyboard(ctx) {
+    const buttons = Object.keys(LOCALES).map(code =>
+        [Markup.button.callback(t(code, 'language.name'), `set_language:${code}`)]
+    );
+    if (ctx.chat.type === 'private') {
+        buttons.push([Markup.button.callback(ctx.t('language.auto'), 'set_language:auto')]);
+    }
+    return Markup.inlineKeyboard(buttons);
+}
+
+// Stores the language for the current chat and returns the confirmation in that language
+async function setChatLanguage(ctx, code) {
+    if (ctx.chat.type !== 'private') {
+        await getOrCreateGroup(ctx.chat.id, ctx.chat.title);
+        await groupsCollection.updateOne({ groupId: ctx.chat.id }, { $set: { 'settings.language': code } });
+        ctx.lang = code;
+        return ctx.t('language.setGroup', { language: ctx.t('language.name') });
+    }
+    
+    await getOrCreateUser(ctx.from.id, ctx.from.username, ctx.from.first_name, ctx.from.last_name, ctx.from.language_code);
+    await usersCollection.updateOne(
+        { userId: ctx.from.id },
+        code === 'auto' ? { $unset: { language: '' } } : { $set: { language: code } }
+    );
+    ctx.lang = getUserLanguage(code === 'auto' ? null : { language: code }, ctx.from.language_code);
+    return code === 'auto' ? ctx.t('language.setAuto') : ctx.t('language.setUser', { language: ctx.t('language.name') });
+}
+
+bot.command('language', async (ctx) => {
+    try {
+        const isGroup = ctx.chat.type !== 'private';
+        if (isGroup && !await isGroupAdmin(ctx)) {
+            return ctx.reply(ctx.t('language.adminOnly'), 
                 { reply_to_message_id: ctx.message.message_id });
         }
         
-        // Parse command arguments
-        // Format: /startgiveaway "prize description" duration maxWinners
-        const text = ctx.message.text;
-        let args = text.split(/\s+/);
-        args.shift(); // Remove the command itself
+        const option = (ctx.message.text.split(/\s+/)[1] || '').toLowerCase();
+        if (!option) {
+            return ctx.reply(
+                ctx.t(isGroup ? 'language.currentGroup' : 'language.currentUser', { language: ctx.t('language.name') }),
+                { ...languageKeyboard(ctx), reply_to_message_id: ctx.message.message_id }
+            );
+        }
         
-        // Show help message if no arguments provided
-        if (!args.length) {
-            return ctx.replyWithMarkdown(`
-🎁 *Start a New Giveaway* 🎁
-*Format:* /startgiveaway "prize description" duration maxWinners
-*Examples:*
-/startgiveaway "$5 gift" 3d 5
-/startgiveaway "kaos wibu" 24h 3
-/startgiveaway "spaceship" 30m 1
-*Duration formats:*
-🗓️ 3d = 3 days
-🕒 3h = 3 hours
-⏱️ 3m = 3 minutes
-*Max Winners:* Number of winners to select
-Top referrers win prizes! The giveaway will have unlimited referral targets.
-`, { reply_to_message_id: ctx.message.message_id });
-        }
-        
-        // Join remaining text and extract parameters using regex
-        const fullText = args.join(' ');
-        
-        // Extract prize description (text in quotes)
-        const prizeMatch = fullText.match(/"([^"]+)"/);
-        const prize = prizeMatch ? prizeMatch[1] : 'Special Prize for Top Referrers';
-        
-        // Rest of your existing code...
-        // Remove the prize part from the string for easier parsing of other params
-        const remainingText = fullText.replace(/"([^"]+)"/, '').trim();
-        const remainingArgs = remainingText.split(/\s+/);
-        
-        // Parse duration (default: 7 days)
-        let durationDays = 7;
-        let durationHours = 0;
-        let durationMinutes = 0;
-        
-        if (remainingArgs.length > 0) {
-            const durationStr = remainingArgs[0];
-            const daysMatch = durationStr.match(/(\d+)d/);
-            const hoursMatch = durationStr.match(/(\d+)h/);
-            const minutesMatch = durationStr.match(/(\d+)m/);
-            
-            if (daysMatch) {
-                durationDays = parseInt(daysMatch[1]) || 7;
-            } else if (hoursMatch) {
-                durationHours = parseInt(hoursMatch[1]) || 0;
-                durationDays = 0;
-            } else if (minutesMatch) {
-                durationMinutes = parseInt(minutesMatch[1]) || 0;
-                durationDays = 0;
-            }
+        const code = option === 'auto' && !isGroup ? 'auto' : normalizeLanguage(option);
+        if (!code) {
+            const codes = [...Object.keys(LOCALES), ...(isGroup ? [] : ['auto'])].join('|');
+            return ctx.reply(ctx.t('language.usage', { codes }), 
+                { reply_to_message_id: ctx.message.message_id });
         }
         
-        // Calculate total duration in milliseconds
-        const durationMs = (durationDays * 24 * 60 * 60 * 1000) + 
-                           (durationHours * 60 * 60 * 1000) + 
-                           (durationMinutes * 60 * 1000);
+        await ctx.reply(await setChatLanguage(ctx, code), 
+            { reply_to_message_id: ctx.message.message_id });
+    } catch (error) {
+        console.error('Error in language command:', error);
+        ctx.reply(ctx.t('error.generic'), 
+            { reply_to_message_id: ctx.message.message_id });
+    }
+});
+
+bot.action(/^set_language:(\w+)$/, async (ctx) => {
+    try {
+        if (ctx.chat.type !== 'private' && !await isGroupAdmin(ctx)) {
+            return ctx.answerCbQuery(ctx.t('language.adminOnly'));
+        }
         
-        // Convert back to days for display (can be decimal)
-        const totalDurationDays = durationMs / (24 * 60 * 60 * 1000);
+        const code = ctx.match[1] === 'auto' && ctx.chat.type === 'private' ? 'auto' : normalizeLanguage(ctx.match[1]);
+        if (!code) {
+            return ctx.answerCbQuery();
+        }
         
-        // Parse max winners (default: 10)
-        const maxWinners = remainingArgs.length > 1 ? parseInt(remainingArgs[1]) || 10 : 10;
+        await ctx.editMessageText(await setChatLanguage(ctx, code));
+        await ctx.answerCbQuery();
+    } catch (error) {
+        console.error('Error in set_language action:', error);
+        await ctx.answerCbQuery(ctx.t('error.generic'));
+    }
+});
+
+// Back to menu action
+bot.action('back_to_menu', async (ctx) => {
+    try {
+        const inlineKeyboard = Markup.inlineKeyboard([
+            [Markup.button.callback(ctx.t('menu.getReferral'), 'get_referral')],
+            [Markup.button.callback(ctx.t('menu.myStats'), 'mystats:overview:0')],
+            [Markup.button.callback(ctx.t('menu.leaderboard'), 'view_leaderboard')],
+            [Markup.button.callback(ctx.t('menu.help'), 'show_help')]
+        ]);
         
-        // Create giveaway with custom settings
-        const endDate = new Date();
-        endDate.setTime(endDate.getTime() + durationMs);
+        await ctx.editMessageText(ctx.t('menu.welcome'), inlineKeyboard);
+        await ctx.answerCbQuery();
+    } catch (error) {
+        console.error('Error in back_to_menu action:', error);
+        // If editing fails, send a new message
+        try {
+            await ctx.answerCbQuery();
+            await ctx.reply(ctx.t('error.retry'));
+        } catch (err) {
+            console.error('Error handling back to menu error:', err);
+        }
+    }
+});
+
+// Help button action
+bot.action('show_help', async (ctx) => {
+    try {
+        const inlineKeyboard = Markup.inlineKeyboard([
+            [Markup.button.callback(ctx.t('menu.back'), 'back_to_menu')]
+        ]);
         
-        const giveaway = await createGiveaway(chatId, userId, {
-            prizes: [prize],
-            targetReferrals: Infinity, // Unlimited referrals as requested
-            durationDays: totalDurationDays,
-            maxWinners: maxWinners,
-            endDate: endDate // Pass custom end date
+        await ctx.editMessageText(ctx.t('help.private'), {
+            parse_mode: 'Markdown',
+            reply_markup: inlineKeyboard.reply_markup
         });
+        await ctx.answerCbQuery();
+    } catch (error) {
+        console.error('Error in show_help action:', error);
+        await ctx.answerCbQuery(ctx.t('help.error'));
+    }
+});
+
+async function formatWelcomeMessage(group, referrerId, member) {
+    let welcomeMsg = getWelcomeMessage(getGroupSettings(group));
+    const referrer = await usersCollection.findOne({ userId: referrerId });
+    
+    if (referrer) {
+        welcomeMsg = welcomeMsg.replace('{referrer}', referrer.firstName || referrer.username || t(getGroupLanguage(group), 'someone'));
+    } else {
+        welcomeMsg = welcomeMsg.replace('{referrer}', t(getGroupLanguage(group), 'someone'));
+    }
+    
+    return `${welcomeMsg} @${member.username || ''}`;
+}
+
+// Handle new chat members (to track referrals from group invites)
+bot.on('new_chat_members', async (ctx) => {
+    try {
+        const newMembers = ctx.message.new_chat_members;
+        const groupId = ctx.chat.id;
+        const joinedAt = new Date(ctx.message.date * 1000);
+        const group = await groupsCollection.findOne({ groupId });
         
-        if (giveaway) {
-            // Format duration for display
-            let durationDisplay = '';
-            if (durationDays > 0) {
-                durationDisplay = `${durationDays} day${durationDays !== 1 ? 's' : ''}`;
-            } else if (durationHours > 0) {
-                durationDisplay = `${durationHours} hour${durationHours !== 1 ? 's' : ''}`;
-            } else if (durationMinutes > 0) {
-                durationDisplay = `${durationMinutes} minute${durationMinutes !== 1 ? 's' : ''}`;
-            } else {
-                durationDisplay = '7 days';
-            }
+        if (!group) return;
+        
+        // For each new member
+        for (const member of newMembers) {
+            // Skip if the new member is the bot itself
+            if (member.id === ctx.botInfo.id) continue;
+            
+            // Record that this user has joined this group (regardless of referral)
+            await recordGroupJoin(member.id, groupId, joinedAt);
+            
+            // Check if this user has a pending referral for this group. Records that carry an
+            // invite link are completed from the chat_member update for that link instead.
+            const pendingReferral = await referralsCollection.findOne({
+                type: 'pending_group_referral',
+                referredId: member.id,
+                groupId,
+                status: 'pending',
+                inviteLink: { $exists: false }
+            });
             
-            const message = `
-🎉 *New Giveaway Started\\!* 🎉
+            if (pendingReferral) {
+                // Complete the referral
+                const counted = await trackReferral(pendingReferral.referrerId, member.id, groupId, joinedAt, member);
+                
+                await referralsCollection.updateOne(
+                    { _id: pendingReferral._id }, 
+                    { $set: { status: 'completed' } }
+                );
+                emitBotEvent('referral.converted', {
+                    pendingReferralId: pendingReferral._id,
+                    referrerId: pendingReferral.referrerId,
+                    referredId: member.id,
+                    groupId,
+                    counted
+                });
+                
+                if (getGroupSettings(group).announceReferralJoins) {
+                    await ctx.reply(await formatWelcomeMessage(group, pendingReferral.referrerId, member));
+                }
+            }
+        }
+    } catch (error) {
+        console.error('Error handling new chat members:', error);
+    }
+});
 
-🎁 *Prize:* ${prize}
-⏱️ *Duration:* ${durationDisplay}
-🔄 *Target:* Unlimited referrals
-👑 *Max Winners:* ${maxWinners}
+// Handle members leaving (to claw back referrals for short-lived joins)
+bot.on('left_chat_member', async (ctx) => {
+    try {
+        const member = ctx.message.left_chat_member;
+        
+        // Skip if the leaving member is the bot itself
+        if (member.id === ctx.botInfo.id) return;
+        
+        await clawbackReferral(member.id, ctx.chat.id);
+    } catch (error) {
+        console.error('Error handling left chat member:', error);
+    }
+});
 
-📲 Use /groupreferral to get your invite link and start referring people\\!
-🏆 Top referrers will win prizes\\!
-`;
-            
-            await ctx.replyWithMarkdown(message, { reply_to_message_id: ctx.message.message_id });
-        } else {
-            ctx.reply('Failed to start giveaway. Please try again later.', 
-                { reply_to_message_id: ctx.message.message_id });
+function isChatMember(chatMember) {
+    return ['creator', 'administrator', 'member'].includes(chatMember.status) ||
+        (chatMember.status === 'restricted' && chatMember.is_member);
+}
+
+// Handle chat member updates (to attribute joins from per-referrer invite links)
+bot.on('chat_member', async (ctx) => {
+    try {
+        const update = ctx.chatMember;
+        const groupId = update.chat.id;
+        const member = update.new_chat_member.user;
+        
+        // Skip if the member is the bot itself
+        if (member.id === ctx.botInfo.id) return;
+        
+        const wasMember = isChatMember(update.old_chat_member);
+        const isMember = isChatMember(update.new_chat_member);
+        
+        if (wasMember && !isMember) {
+            await clawbackReferral(member.id, groupId);
+            return;
+        }
+        if (wasMember || !isMember) return;
+        
+        const group = await groupsCollection.findOne({ groupId });
+        if (!group) return;
+        
+        const joinedAt = new Date(update.date * 1000);
+        await recordGroupJoin(member.id, groupId, joinedAt);
+        
+        // An admin may have approved the request before the challenge was answered
+        if (update.via_join_request) {
+            await joinChallengesCollection.updateMany(
+                { groupId, userId: member.id, status: 'pending' },
+                { $set: { status: 'approved', resolvedAt: new Date() } }
+            );
+        }
+        
+        if (!update.invite_link) return;
+        
+        const link = await inviteLinksCollection.findOne({ inviteLink: update.invite_link.invite_link });
+        
+        // Don't count self-referrals
+        if (!link || link.groupId !== groupId || link.referrerId === member.id) return;
+        
+        // Track the invitee even if they never start the bot
+        await getOrCreateUser(member.id, member.username, member.first_name, member.last_name);
+        
+        // Joins approved through a join challenge arrive here too, as via_join_request
+        const success = await trackReferral(link.referrerId, member.id, groupId, joinedAt, member);
+        const pendingReferral = await completePendingReferral(link.referrerId, member.id, groupId);
+        if (pendingReferral) {
+            emitBotEvent('referral.converted', {
+                pendingReferralId: pendingReferral._id,
+                referrerId: link.referrerId,
+                referredId: member.id,
+                groupId,
+                counted: success
+            });
+        }
+        
+        // Welcome messages would be posted to all subscribers in a channel
+        if (success && group.chatType !== 'channel' && getGroupSettings(group).announceReferralJoins) {
+            await ctx.telegram.sendMessage(groupId, await formatWelcomeMessage(group, link.referrerId, member));
         }
     } catch (error) {
-        console.error('Error in startgiveaway command:', error);
-        ctx.reply('Sorry, an error occurred while processing your request.', 
-            { reply_to_message_id: ctx.message.message_id });
+        console.error('Error handling chat member update:', error);
     }
 });
 
-// Config group command
-bot.command('configgroup', async (ctx) => {
+// Register channels as soon as the bot is made an administrator there
+bot.on('my_chat_member', async (ctx) => {
     try {
-        if (ctx.chat.type === 'private') {
-            return ctx.reply('This command can only be used in groups.');
+        const update = ctx.myChatMember;
+        if (update.chat.type !== 'channel') return;
+        if (update.new_chat_member.status !== 'administrator' || update.old_chat_member.status === 'administrator') return;
+        
+        const channel = await registerChannel(update.chat, update.from.id);
+        
+        // Tell the admin who promoted the bot, in their own language
+        const admin = await usersCollection.findOne({ userId: update.from.id });
+        const lang = getUserLanguage(admin, update.from.language_code);
+        try {
+            await ctx.telegram.sendMessage(update.from.id, t(lang, 'channel.registered', { title: channel.title, ref: formatChannelRef(channel) }));
+        } catch (error) {
+            // The admin may never have started the bot
+            console.error('Error notifying channel admin:', error.message);
+        }
+    } catch (error) {
+        console.error('Error handling my chat member update:', error);
+    }
+});
+
+// Handle join requests (referred users must pass a challenge first)
+bot.on('chat_join_request', async (ctx) => {
+    try {
+        const joinRequest = ctx.chatJoinRequest;
+        if (!joinRequest.invite_link) return;
+        
+        // Requests through other links are left to the group admins
+        const inviteLink = await inviteLinksCollection.findOne({ inviteLink: joinRequest.invite_link.invite_link });
+        if (!inviteLink || inviteLink.groupId !== joinRequest.chat.id) return;
+        
+        await createJoinChallenge(ctx.telegram, joinRequest, inviteLink);
+    } catch (error) {
+        console.error('Error handling chat join request:', error);
+    }
+});
+
+bot.action(/^join_challenge:([0-9a-f]{24}):(\d+)$/, async (ctx) => {
+    try {
+        const challengeId = new ObjectId(ctx.match[1]);
+        const answer = parseInt(ctx.match[2]);
+        
+        const challenge = await joinChallengesCollection.findOne({ _id: challengeId, userId: ctx.from.id });
+        if (!challenge) {
+            return ctx.answerCbQuery(ctx.t('challenge.notFound'));
         }
         
-        // Check if user is admin
-        const userId = ctx.from.id;
-        const chatId = ctx.chat.id;
-        const member = await ctx.telegram.getChatMember(chatId, userId);
+        const passed = answer === challenge.answer;
+        const claimed = await joinChallengesCollection.findOneAndUpdate(
+            { _id: challengeId, status: 'pending', expiresAt: { $gt: new Date() } },
+            { $set: { status: passed ? 'approved' : 'failed', resolvedAt: new Date() } }
+        );
         
-        if (!['creator', 'administrator'].includes(member.status)) {
-            return ctx.reply('Only group administrators can configure group settings.');
+        if (!claimed) {
+            await ctx.answerCbQuery(ctx.t('challenge.closed'));
+            return;
         }
         
-        // Just display current settings for now
-        const group = await getOrCreateGroup(chatId, ctx.chat.title);
+        await resolveJoinChallenge(ctx.telegram, challenge, passed, 'challenge_failed');
         
-        const message = `
-*Group Settings*
+        await ctx.editMessageText(ctx.t(passed ? 'challenge.passed' : 'challenge.failed'));
+        await ctx.answerCbQuery();
+    } catch (error) {
+        console.error('Error in join_challenge action:', error);
+        await ctx.answerCbQuery(ctx.t('challenge.error'));
+    }
+});
+
+// Event webhooks
+// Lifecycle events go through botEvents; when EVENT_WEBHOOK_URLS is set each one is queued
+// in eventDeliveries per URL and POSTed as JSON signed with EVENT_WEBHOOK_SECRET. The
+// X-Bot-Signature header is "sha256=" + HMAC-SHA256 of "<X-Bot-Timestamp>.<body>". Failed
+// deliveries are retried with exponential backoff and end up in eventDeadLetters.
+const BOT_EVENT_TYPES = ['user.registered', 'referral.recorded', 'referral.converted', 'giveaway.started', 'giveaway.ended'];
+const EVENT_WEBHOOK_URLS = (process.env.EVENT_WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+const EVENT_WEBHOOK_SECRET = process.env.EVENT_WEBHOOK_SECRET || '';
+const EVENT_DELIVERY_MAX_ATTEMPTS = 8;
+const EVENT_DELIVERY_BASE_DELAY_MS = 15 * 1000; // 15s, 30s, 1m, 2m... between attempts
+const EVENT_DELIVERY_TIMEOUT_MS = 10 * 1000;
+const EVENT_DELIVERY_LOCK_MS = 60 * 1000;
+const EVENT_DELIVERY_SWEEP_INTERVAL_MS = 15 * 1000;
+
+const botEvents = new EventEmitter();
+
+function emitBotEvent(type, data) {
+    botEvents.emit(type, { id: crypto.randomUUID(), type, occurredAt: new Date(), data });
+}
+
+function referralEventData(referral) {
+    return {
+        referralId: referral._id,
+        type: referral.type,
+        referrerId: referral.referrerId,
+        referredId: referral.referredId,
+        groupId: referral.groupId ?? null,
+        valid: referral.valid,
+        held: Boolean(referral.held),
+        reason: referral.reason ?? null,
+        fraudScore: referral.fraudScore ?? 0,
+        timestamp: referral.timestamp
+    };
+}
 
-*Welcome Message:* ${group.settings.welcomeMessage}
-*Leaderboard Size:* ${group.settings.leaderboardSize}
-*Active Giveaway:* ${group.activeGiveaway ? 'Yes' : 'No'}
+function giveawayEventData(giveaway) {
+    return {
+        giveawayId: giveaway._id,
+        groupId: giveaway.groupId,
+        prizes: formatPrizeTiers(giveaway.settings),
+        maxWinners: giveaway.settings.maxWinners,
+        targetReferrals: hasReferralTarget(giveaway.settings) ? giveaway.settings.targetReferrals : null,
+        drawMode: giveaway.settings.drawMode,
+        startedAt: giveaway.startedAt,
+        endDate: giveaway.endDate
+    };
+}
 
-Use /startgiveaway to begin a new giveaway.
-`;
+async function queueEventDeliveries(event) {
+    if (EVENT_WEBHOOK_URLS.length === 0 || !eventDeliveriesCollection) return;
+    try {
+        const deliveries = EVENT_WEBHOOK_URLS.map(url => ({
+            eventId: event.id,
+            type: event.type,
+            url,
+            payload: event,
+            attempts: 0,
+            nextAttemptAt: new Date(),
+            createdAt: new Date()
+        }));
+        await eventDeliveriesCollection.insertMany(deliveries);
         
-        await ctx.replyWithMarkdown(message);
+        // First attempt right away, the sweep takes care of retries
+        for (const delivery of deliveries) {
+            claimEventDelivery({ _id: delivery._id })
+                .then(claimed => claimed && attemptEventDelivery(claimed))
+                .catch(error => console.error('Error delivering event:', error));
+        }
     } catch (error) {
-        console.error('Error in configgroup command:', error);
-        ctx.reply('Sorry, an error occurred while processing your request.');
+        console.error('Error queueing event deliveries:', error);
     }
-});
+}
 
-// Back to menu action
-bot.action('back_to_menu', async (ctx) => {
+BOT_EVENT_TYPES.forEach(type => botEvents.on(type, queueEventDeliveries));
+
+// Lock a due delivery so only one instance sends it
+async function claimEventDelivery(filter = {}) {
+    const now = new Date();
+    return eventDeliveriesCollection.findOneAndUpdate(
+        { ...filter, nextAttemptAt: { $lte: now }, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+        { $set: { lockedUntil: new Date(now.getTime() + EVENT_DELIVERY_LOCK_MS) } },
+        { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+    );
+}
+
+function signEventPayload(timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', EVENT_WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function attemptEventDelivery(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    let failure;
+    
     try {
-        const inlineKeyboard = Markup.inlineKeyboard([
-            [Markup.button.callback('📨 Get My Referral Link', 'get_referral')],
-            [Markup.button.callback('🏆 View Leaderboard', 'view_leaderboard')],
-            [Markup.button.callback('ℹ️ Help', 'show_help')]
-        ]);
-        
-        await ctx.editMessageText(
-            'Welcome to the Referral Bot! 👋\n\nUse this bot to create referral links, track invites, and participate in giveaways.',
-            inlineKeyboard
-        );
-        await ctx.answerCbQuery();
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Bot-Event': delivery.type,
+                'X-Bot-Delivery': delivery.eventId,
+                'X-Bot-Timestamp': timestamp,
+                'X-Bot-Signature': signEventPayload(timestamp, body)
+            },
+            body,
+            signal: AbortSignal.timeout(EVENT_DELIVERY_TIMEOUT_MS)
+        });
+        if (response.ok) {
+            await eventDeliveriesCollection.deleteOne({ _id: delivery._id });
+            return true;
+        }
+        failure = `HTTP ${response.status}`;
     } catch (error) {
-        console.error('Error in back_to_menu action:', error);
-        // If editing fails, send a new message
-        try {
-            await ctx.answerCbQuery();
-            await ctx.reply('Sorry, an error occurred. Please try again.');
-        } catch (err) {
-            console.error('Error handling back to menu error:', err);
+        failure = error.message;
+    }
+    
+    try {
+        const attempts = delivery.attempts + 1;
+        if (attempts >= EVENT_DELIVERY_MAX_ATTEMPTS) {
+            const { _id, lockedUntil, nextAttemptAt, ...rest } = delivery;
+            await eventDeadLettersCollection.insertOne({ ...rest, attempts, lastError: failure, failedAt: new Date() });
+            await eventDeliveriesCollection.deleteOne({ _id });
+            console.error(`Event ${delivery.eventId} (${delivery.type}) to ${delivery.url} moved to dead letters: ${failure}`);
+        } else {
+            const delay = EVENT_DELIVERY_BASE_DELAY_MS * 2 ** (attempts - 1);
+            await eventDeliveriesCollection.updateOne(
+                { _id: delivery._id },
+                {
+                    $set: { attempts, lastError: failure, nextAttemptAt: new Date(Date.now() + delay) },
+                    $unset: { lockedUntil: '' }
+                }
+            );
         }
+    } catch (error) {
+        console.error('Error recording failed event delivery:', error);
     }
-});
+    return false;
+}
 
-// Help button action
-bot.action('show_help', async (ctx) => {
+async function sweepEventDeliveries() {
     try {
-        const helpText = `
-*Wolp Referral Bot - Help*
+        let delivery;
+        while (botState !== 'stopping' && (delivery = await claimEventDelivery())) {
+            await attemptEventDelivery(delivery);
+        }
+    } catch (error) {
+        console.error('Error sweeping event deliveries:', error);
+    }
+}
 
-*User Commands:*
-/start - Start the bot
-/help - Show this help message
-/referral - Get your personal referral link
-/leaderboard - View the global referral leaderboard
+// Deployment: long polling by default, webhook mode when WEBHOOK_URL is set.
+// The HTTP server carries the webhook and /healthz, /readyz; without a webhook it only runs if PORT is set.
+const WEBHOOK_URL = process.env.WEBHOOK_URL ? process.env.WEBHOOK_URL.replace(/\/+$/, '') : null;
+const WEBHOOK_PATH = `/telegraf/${process.env.WEBHOOK_PATH_SECRET || bot.secretPathComponent()}`;
+const WEBHOOK_SECRET_TOKEN = process.env.WEBHOOK_SECRET_TOKEN || null;
+const HTTP_PORT = parseInt(process.env.PORT, 10) || (WEBHOOK_URL ? 3000 : null);
+const HEALTH_CHECK_TIMEOUT_MS = 2000;
+const SHUTDOWN_TIMEOUT_MS = 10 * 1000;
 
-*How it works:*
-1. Generate your personal referral link
-2. Share it with friends
-3. When they join using your link, you get credit
-4. Participate in giveaways by referring new users
-`;
-        
-        const inlineKeyboard = Markup.inlineKeyboard([
-            [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+let botState = 'starting'; // starting, running, stopping
+let inFlightUpdates = 0;
+let httpServer = null;
+const sweepIntervals = [];
+
+async function checkStorage() {
+    if (!storage) return false;
+    try {
+        await Promise.race([
+            storage.ping(),
+            new Promise((_, reject) => setTimeout(() => reject(new Error('ping timed out')), HEALTH_CHECK_TIMEOUT_MS))
         ]);
-        
-        await ctx.editMessageText(helpText, {
-            parse_mode: 'Markdown',
-            reply_markup: inlineKeyboard.reply_markup
-        });
-        await ctx.answerCbQuery();
+        return true;
     } catch (error) {
-        console.error('Error in show_help action:', error);
-        await ctx.answerCbQuery('Error displaying help');
+        console.error('Error checking storage:', error.message);
+        return false;
     }
-});
+}
 
-// Handle new chat members (to track referrals from group invites)
-bot.on('new_chat_members', async (ctx) => {
-    try {
-        const newMembers = ctx.message.new_chat_members;
-        const groupId = ctx.chat.id;
-        const group = await groupsCollection.findOne({ groupId });
-        
-        if (!group) return;
-        
-        // For each new member
-        for (const member of newMembers) {
-            // Skip if the new member is the bot itself
-            if (member.id === ctx.botInfo.id) continue;
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function startHttpServer() {
+    const webhookCallback = WEBHOOK_URL ?
+        bot.webhookCallback(WEBHOOK_PATH, { secretToken: WEBHOOK_SECRET_TOKEN || undefined }) : null;
+    
+    httpServer = http.createServer(async (req, res) => {
+        try {
+            const { pathname } = new URL(req.url, 'http://localhost');
             
-            // Record that this user has joined this group (regardless of referral)
-            try {
-                await previouslyJoinedCollection.updateOne(
-                    { userId: member.id, groupId },
-                    { $setOnInsert: { firstJoinedAt: new Date() } },
-                    { upsert: true }
-                );
-            } catch (error) {
-                console.error('Error recording group member:', error);
+            // Liveness: the process is up and answering
+            if (req.method === 'GET' && pathname === '/healthz') {
+                return sendJson(res, 200, { status: 'ok', bot: botState, storage: usersCollection ? 'connected' : 'disconnected', inFlightUpdates });
             }
             
-            // Check if this user has a pending referral for this group
-            const pendingReferral = await referralsCollection.findOne({
-                type: 'pending_group_referral',
-                referredId: member.id,
-                groupId,
-                status: 'pending'
-            });
+            // Readiness: able to handle updates right now
+            if (req.method === 'GET' && pathname === '/readyz') {
+                const storageReady = await checkStorage();
+                const ready = storageReady && botState === 'running';
+                return sendJson(res, ready ? 200 : 503, {
+                    status: ready ? 'ready' : 'unavailable',
+                    bot: botState,
+                    storage: storageReady ? 'ok' : 'unreachable',
+                    backend: storage?.name,
+                    mode: WEBHOOK_URL ? 'webhook' : 'polling'
+                });
+            }
             
-            if (pendingReferral) {
-                // Complete the referral
-                await trackReferral(pendingReferral.referrerId, member.id, groupId);
-                
-                await referralsCollection.updateOne(
-                    { _id: pendingReferral._id }, 
-                    { $set: { status: 'completed' } }
-                );
-                
-                let welcomeMsg = group.settings?.welcomeMessage || 'Welcome to the group!';
-                const referrer = await usersCollection.findOne({ userId: pendingReferral.referrerId });
-                
-                if (referrer) {
-                    welcomeMsg = welcomeMsg.replace('{referrer}', referrer.firstName || referrer.username || 'someone');
-                } else {
-                    welcomeMsg = welcomeMsg.replace('{referrer}', 'someone');
-                }
-                
-                await ctx.reply(`${welcomeMsg} @${member.username || ''}`);
+            if (!webhookCallback) {
+                return sendJson(res, 404, { error: 'not_found' });
+            }
+            
+            // Telegram retries failed deliveries, so refuse new updates while shutting down
+            if (botState === 'stopping') {
+                return sendJson(res, 503, { error: 'shutting_down' });
             }
+            
+            // Wrong path or secret token header gets a 403 from Telegraf
+            await webhookCallback(req, res);
+        } catch (error) {
+            console.error('Error handling HTTP request:', error);
+            if (!res.headersSent) sendJson(res, 500, { error: 'internal_error' });
+        }
+    });
+    
+    return new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(HTTP_PORT, () => {
+            console.log(`HTTP server listening on port ${HTTP_PORT}`);
+            resolve();
+        });
+    });
+}
+
+// Admin API
+// JSON over HTTP for internal tooling, enabled by ADMIN_API_TOKEN and bound to localhost by default.
+// Every request needs "Authorization: Bearer <token>"; errors look like { error: { code, message } }.
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || null;
+const ADMIN_API_PORT = parseInt(process.env.ADMIN_API_PORT, 10) || 3001;
+const ADMIN_API_HOST = process.env.ADMIN_API_HOST || '127.0.0.1';
+const ADMIN_API_MAX_BODY_BYTES = 64 * 1024;
+const ADMIN_API_MAX_LIMIT = 100;
+const REFERRAL_STATUS_FILTERS = {
+    valid: { valid: true },
+    invalid: { valid: false, held: { $ne: true } },
+    held: { held: true },
+    flagged: { flagged: true }
+};
+
+let adminApiServer = null;
+
+function apiError(status, code, message) {
+    return Object.assign(new Error(message), { status, code });
+}
+
+function isAuthorized(req) {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (!match) return false;
+    // Hash both sides so the comparison is constant time whatever the lengths
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(match[1].trim()), digest(ADMIN_API_TOKEN));
+}
+
+async function readJsonBody(req) {
+    if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+        throw apiError(415, 'unsupported_media_type', 'Request body must be application/json');
+    }
+    
+    let body = '';
+    for await (const chunk of req) {
+        body += chunk;
+        if (body.length > ADMIN_API_MAX_BODY_BYTES) {
+            throw apiError(413, 'payload_too_large', `Request body is limited to ${ADMIN_API_MAX_BODY_BYTES} bytes`);
         }
+    }
+    
+    try {
+        const parsed = body ? JSON.parse(body) : {};
+        if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('not an object');
+        return parsed;
     } catch (error) {
-        console.error('Error handling new chat members:', error);
+        throw apiError(400, 'invalid_json', 'Request body must be a JSON object');
     }
-});
+}
+
+// Query and body validators; each throws a 400 naming the offending field
+function parseChatIdParam(value, field) {
+    if (!/^-?\d+$/.test(String(value ?? ''))) {
+        throw apiError(400, 'invalid_parameter', `${field} must be a Telegram chat ID`);
+    }
+    return Number(value);
+}
+
+function parseIntParam(value, field, min, max, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw apiError(400, 'invalid_parameter', `${field} must be an integer from ${min} to ${max}`);
+    }
+    return number;
+}
+
+function parseObjectIdParam(value, field) {
+    if (!/^[0-9a-f]{24}$/i.test(value || '')) {
+        throw apiError(400, 'invalid_parameter', `${field} must be a 24 character hex ID`);
+    }
+    return new ObjectId(value);
+}
+
+function serializeGroup(group) {
+    return {
+        groupId: group.groupId,
+        title: group.title,
+        chatType: group.chatType || 'group',
+        createdAt: group.createdAt,
+        activeGiveaway: group.activeGiveaway || null,
+        settings: getGroupSettings(group)
+    };
+}
+
+function serializeGiveaway(giveaway) {
+    // The draw seed stays secret until the draw (it is published in `draw` afterwards)
+    const { _id, participants, drawSeed, ...rest } = giveaway;
+    return {
+        id: _id,
+        ...rest,
+        participantCount: Object.keys(participants || {}).length,
+        settings: {
+            ...giveaway.settings,
+            // Infinity (no target) does not survive JSON
+            targetReferrals: hasReferralTarget(giveaway.settings) ? giveaway.settings.targetReferrals : null
+        }
+    };
+}
+
+function serializeReferral(referral) {
+    const { _id, ...rest } = referral;
+    return { id: _id, ...rest };
+}
+
+async function findGroupOr404(groupId) {
+    const group = await groupsCollection.findOne({ groupId });
+    if (!group) throw apiError(404, 'group_not_found', `Group ${groupId} is not known to the bot`);
+    return group;
+}
+
+async function apiListGroups(query) {
+    const limit = parseIntParam(query.get('limit'), 'limit', 1, ADMIN_API_MAX_LIMIT, 50);
+    const offset = parseIntParam(query.get('offset'), 'offset', 0, Number.MAX_SAFE_INTEGER, 0);
+    
+    const [groups, total] = await Promise.all([
+        groupsCollection.find({}).sort({ createdAt: 1, groupId: 1 }).skip(offset).limit(limit).toArray(),
+        groupsCollection.countDocuments({})
+    ]);
+    return { status: 200, body: { total, offset, limit, groups: groups.map(serializeGroup) } };
+}
+
+async function apiGetGroup(groupId) {
+    return { status: 200, body: { group: serializeGroup(await findGroupOr404(groupId)) } };
+}
+
+async function apiGetLeaderboard(query) {
+    const type = query.get('type') || 'global';
+    if (!['global', 'group', 'network'].includes(type)) {
+        throw apiError(400, 'invalid_parameter', 'type must be global, group or network');
+    }
+    
+    const groupId = type === 'group' ? parseChatIdParam(query.get('groupId'), 'groupId') : null;
+    if (groupId !== null) await findGroupOr404(groupId);
+    
+    const window = type === 'network' ? null : (query.get('window') || await getDefaultLeaderboardWindow(type, groupId));
+    if (type !== 'network' && (!LEADERBOARD_WINDOWS.includes(window) || (window === 'giveaway' && type !== 'group'))) {
+        throw apiError(400, 'invalid_parameter', `window must be one of ${LEADERBOARD_WINDOWS.join(', ')} (giveaway needs type=group)`);
+    }
+    
+    const limit = parseIntParam(query.get('limit'), 'limit', 1, ADMIN_API_MAX_LIMIT, 10);
+    const offset = parseIntParam(query.get('offset'), 'offset', 0, Number.MAX_SAFE_INTEGER, 0);
+    const entries = await getLeaderboard(type, groupId, limit, { window, offset });
+    
+    return { status: 200, body: { type, groupId, window, offset, limit, entries } };
+}
+
+// Same options as /startgiveaway: prize (tiers allowed), duration, maxWinners, draw, target, startsAt
+async function apiCreateGiveaway(groupId, body) {
+    const group = await findGroupOr404(groupId);
+    const settings = getGroupSettings(group);
+    const lang = getGroupLanguage(group);
+    
+    if (body.prize !== undefined && (typeof body.prize !== 'string' || !body.prize.trim())) {
+        throw apiError(400, 'invalid_parameter', 'prize must be a non-empty string');
+    }
+    const prize = body.prize ? body.prize.trim() : t(lang, 'startGiveaway.defaultPrize');
+    const { tiers: prizeTiers, error: prizeError } = parsePrizeTiers(prize);
+    if (prizeError) throw apiError(400, 'invalid_parameter', `prize: ${prizeError}`);
+    
+    const duration = body.duration === undefined ? parseDuration(settings.defaultDuration) : parseDuration(String(body.duration));
+    if (!duration) throw apiError(400, 'invalid_parameter', 'duration must look like 3d, 24h or 30m');
+    
+    const defaultMaxWinners = prizeTiers ? prizeTiers[prizeTiers.length - 1].toRank : settings.defaultMaxWinners;
+    const maxWinners = parseIntParam(body.maxWinners, 'maxWinners', 1, 1000, defaultMaxWinners);
+    const targetReferrals = parseIntParam(body.target, 'target', 1, 100000, Infinity);
+    if (body.draw !== undefined && typeof body.draw !== 'boolean') {
+        throw apiError(400, 'invalid_parameter', 'draw must be a boolean');
+    }
+    
+    let startsAt = null;
+    if (body.startsAt !== undefined && body.startsAt !== null) {
+        startsAt = typeof body.startsAt === 'string' ? parseStartTime(body.startsAt) : null;
+        if (!startsAt || startsAt <= new Date()) {
+            throw apiError(400, 'invalid_parameter', 'startsAt must be a future time like 2h or 2026-11-01T18:00Z');
+        }
+    }
+    
+    if (!startsAt && group.activeGiveaway) {
+        throw apiError(409, 'giveaway_active', 'The group already has an active giveaway');
+    }
+    
+    const giveaway = await createGiveaway(groupId, null, {
+        prizes: prizeTiers ? prizeTiers.map(tier => tier.prize) : [prize],
+        prizeTiers,
+        targetReferrals,
+        durationDays: duration.ms / DAY_MS,
+        maxWinners,
+        drawMode: body.draw ? 'weighted' : 'top',
+        endDate: startsAt ? null : new Date(Date.now() + duration.ms)
+    }, startsAt);
+    if (!giveaway && !startsAt && (await groupsCollection.findOne({ groupId }))?.activeGiveaway) {
+        throw apiError(409, 'giveaway_active', 'The group already has an active giveaway');
+    }
+    if (!giveaway) throw apiError(500, 'internal_error', 'Could not create the giveaway');
+    
+    // Announce it in the group like /startgiveaway does
+    try {
+        if (startsAt) {
+            await bot.telegram.sendMessage(groupId, t(lang, 'giveaway.scheduled', {
+                prizeSeparator: prizeTiers ? '\n' : ' ',
+                prizes: escapeMarkdown(formatPrizeTiers(giveaway.settings, lang)),
+                startsAt: startsAt.toUTCString(),
+                startsIn: formatTimeLeft(startsAt, lang),
+                duration: formatDurationMs(duration.ms, lang),
+                id: shortGiveawayId(giveaway)
+            }), { parse_mode: 'Markdown' });
+        } else {
+            await postGiveawayStarted(group, giveaway);
+        }
+    } catch (error) {
+        console.error('Error announcing giveaway created through the API:', error);
+    }
+    
+    return { status: 201, body: { giveaway: serializeGiveaway(giveaway) } };
+}
+
+async function apiEndGiveaway(giveawayId) {
+    const giveaway = await giveawaysCollection.findOne({ _id: giveawayId });
+    if (!giveaway) throw apiError(404, 'giveaway_not_found', 'No giveaway with that ID');
+    
+    const winners = await endGiveaway(giveaway.groupId, giveawayId);
+    if (!winners) throw apiError(409, 'giveaway_not_active', 'The giveaway is not running');
+    
+    await announceGiveawayResults(giveawayId);
+    return { status: 200, body: { giveaway: serializeGiveaway(await giveawaysCollection.findOne({ _id: giveawayId })) } };
+}
+
+async function apiListReferrals(query) {
+    const filter = {};
+    if (query.has('groupId')) filter.groupId = parseChatIdParam(query.get('groupId'), 'groupId');
+    if (query.has('referrerId')) filter.referrerId = parseChatIdParam(query.get('referrerId'), 'referrerId');
+    
+    const status = query.get('status');
+    if (status) {
+        if (!REFERRAL_STATUS_FILTERS[status]) {
+            throw apiError(400, 'invalid_parameter', `status must be one of ${Object.keys(REFERRAL_STATUS_FILTERS).join(', ')}`);
+        }
+        Object.assign(filter, REFERRAL_STATUS_FILTERS[status]);
+    }
+    
+    const limit = parseIntParam(query.get('limit'), 'limit', 1, ADMIN_API_MAX_LIMIT, 50);
+    const offset = parseIntParam(query.get('offset'), 'offset', 0, Number.MAX_SAFE_INTEGER, 0);
+    
+    const [referrals, total] = await Promise.all([
+        referralsCollection.find(filter).sort({ timestamp: -1, _id: -1 }).skip(offset).limit(limit).toArray(),
+        referralsCollection.countDocuments(filter)
+    ]);
+    return { status: 200, body: { total, offset, limit, referrals: referrals.map(serializeReferral) } };
+}
+
+// Goes through the moderation path, so credit, counters and giveaway progress follow
+async function apiInvalidateReferral(referralId, body) {
+    if (body.reason !== undefined && typeof body.reason !== 'string') {
+        throw apiError(400, 'invalid_parameter', 'reason must be a string');
+    }
+    
+    const referral = await referralsCollection.findOne({ _id: referralId });
+    if (!referral) throw apiError(404, 'referral_not_found', 'No referral with that ID');
+    if (referral.type !== 'group_referral') {
+        throw apiError(409, 'unsupported_referral', 'Only group referrals can be invalidated');
+    }
+    
+    if (!await rejectReferral(referral, 'api', body.reason || null)) {
+        throw apiError(409, 'referral_not_valid', 'The referral is already invalid');
+    }
+    return { status: 200, body: { referral: serializeReferral(await referralsCollection.findOne({ _id: referralId })) } };
+}
+
+async function routeAdminApi(req, url) {
+    const path = url.pathname.replace(/\/+$/, '');
+    const method = req.method;
+    let match;
+    
+    if (method === 'GET' && path === '/api/groups') return apiListGroups(url.searchParams);
+    if (method === 'GET' && (match = path.match(/^\/api\/groups\/([^/]+)$/))) {
+        return apiGetGroup(parseChatIdParam(match[1], 'groupId'));
+    }
+    if (method === 'POST' && (match = path.match(/^\/api\/groups\/([^/]+)\/giveaways$/))) {
+        const groupId = parseChatIdParam(match[1], 'groupId');
+        return apiCreateGiveaway(groupId, await readJsonBody(req));
+    }
+    if (method === 'POST' && (match = path.match(/^\/api\/giveaways\/([^/]+)\/end$/))) {
+        return apiEndGiveaway(parseObjectIdParam(match[1], 'giveawayId'));
+    }
+    if (method === 'GET' && path === '/api/leaderboard') return apiGetLeaderboard(url.searchParams);
+    if (method === 'GET' && path === '/api/referrals') return apiListReferrals(url.searchParams);
+    if (method === 'POST' && (match = path.match(/^\/api\/referrals\/([^/]+)\/invalidate$/))) {
+        const referralId = parseObjectIdParam(match[1], 'referralId');
+        return apiInvalidateReferral(referralId, await readJsonBody(req));
+    }
+    
+    throw apiError(404, 'not_found', `No route for ${method} ${url.pathname}`);
+}
+
+function startAdminApi() {
+    adminApiServer = http.createServer(async (req, res) => {
+        try {
+            if (!isAuthorized(req)) {
+                res.setHeader('WWW-Authenticate', 'Bearer');
+                throw apiError(401, 'unauthorized', 'Missing or invalid bearer token');
+            }
+            if (botState === 'stopping') {
+                throw apiError(503, 'shutting_down', 'The bot is shutting down');
+            }
+            
+            const { status, body } = await routeAdminApi(req, new URL(req.url, 'http://localhost'));
+            sendJson(res, status, body);
+        } catch (error) {
+            if (!error.status) console.error('Error in admin API:', error);
+            sendJson(res, error.status || 500, {
+                error: { code: error.code || 'internal_error', message: error.status ? error.message : 'Internal error' }
+            });
+        }
+    });
+    
+    return new Promise((resolve, reject) => {
+        adminApiServer.once('error', reject);
+        adminApiServer.listen(ADMIN_API_PORT, ADMIN_API_HOST, () => {
+            console.log(`Admin API listening on ${ADMIN_API_HOST}:${ADMIN_API_PORT}`);
+            resolve();
+        });
+    });
+}
 
 async function startBot() {
     try {
-        await connectToMongoDB();
-        await bot.launch();
-        console.log('Bot started successfully');
+        // Receivers can't tell our events from forged ones without a signing secret
+        if (EVENT_WEBHOOK_URLS.length > 0 && !EVENT_WEBHOOK_SECRET) {
+            throw new Error('EVENT_WEBHOOK_URLS is set but EVENT_WEBHOOK_SECRET is empty');
+        }
+        
+        await connectToStorage();
+        
+        // First start with counters: build them from the existing referral log
+        if (await referralCountersCollection.estimatedDocumentCount() === 0 &&
+            await referralsCollection.estimatedDocumentCount() > 0) {
+            await rebuildReferralCounters();
+        }
+        
+        // Rehydrate giveaway timers and end anything that expired while offline
+        await sweepGiveaways();
+        sweepIntervals.push(
+            setInterval(sweepGiveaways, GIVEAWAY_SWEEP_INTERVAL_MS),
+            setInterval(sweepJoinChallenges, GIVEAWAY_SWEEP_INTERVAL_MS),
+            setInterval(sweepPrizeClaims, GIVEAWAY_SWEEP_INTERVAL_MS)
+        );
+        if (EVENT_WEBHOOK_URLS.length > 0) {
+            sweepIntervals.push(setInterval(sweepEventDeliveries, EVENT_DELIVERY_SWEEP_INTERVAL_MS));
+        }
+        
+        if (HTTP_PORT) {
+            await startHttpServer();
+        }
+        if (ADMIN_API_TOKEN) {
+            await startAdminApi();
+        }
+        
+        if (WEBHOOK_URL) {
+            bot.botInfo = await bot.telegram.getMe();
+            await bot.telegram.setWebhook(`${WEBHOOK_URL}${WEBHOOK_PATH}`, {
+                allowed_updates: ALLOWED_UPDATES,
+                ...(WEBHOOK_SECRET_TOKEN ? { secret_token: WEBHOOK_SECRET_TOKEN } : {})
+            });
+            botState = 'running';
+            console.log(`Bot started with webhook at ${WEBHOOK_URL}/telegraf/...`);
+        } else {
+            // launch() only settles once polling stops, and its callback fires before the webhook is
+            // removed, so take its steps here and report running once the poll loop has started
+            bot.botInfo = await bot.telegram.getMe();
+            await bot.telegram.deleteWebhook();
+            bot.startPolling(ALLOWED_UPDATES).catch(error => {
+                console.error('Error while polling:', error);
+                shutdown('polling error');
+            });
+            botState = 'running';
+            console.log('Bot started successfully');
+        }
     } catch (error) {
         console.error('Error starting bot:', error);
         process.exit(1);
     }
 }
 
-startBot();
+// Stop taking updates, let the ones in progress finish, then close the storage
+async function shutdown(reason) {
+    if (botState === 'stopping') return;
+    botState = 'stopping';
+    console.log(`Shutting down (${reason}), ${inFlightUpdates} update(s) in progress`);
+    
+    sweepIntervals.forEach(clearInterval);
+    if (!WEBHOOK_URL && bot.polling) {
+        bot.stop(reason);
+    }
+    if (httpServer) {
+        httpServer.close();
+    }
+    if (adminApiServer) {
+        adminApiServer.close();
+    }
+    
+    const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+    while (inFlightUpdates > 0 && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    if (inFlightUpdates > 0) {
+        console.error(`Shutdown timed out with ${inFlightUpdates} update(s) still in progress`);
+    }
+    
+    try {
+        // closeAllConnections is Node 18.2+; on older versions process.exit drops them anyway
+        for (const server of [httpServer, adminApiServer]) {
+            if (server && typeof server.closeAllConnections === 'function') server.closeAllConnections();
+        }
+        if (storage) await storage.close();
+    } catch (error) {
+        console.error('Error closing connections:', error);
+    }
+    process.exit(inFlightUpdates > 0 ? 1 : 0);
+}
+
+// Run the bot when started directly; the simulator loads it as a module instead
+if (require.main === module) {
+    startBot();
+    
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+}
 
-process.once('SIGINT', () => bot.stop('SIGINT'));
-process.once('SIGTERM', () => bot.stop('SIGTERM'));
+module.exports = { bot, connectToStorage };
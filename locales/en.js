@@ -0,0 +1,545 @@
+// English messages. Placeholders in {braces} are filled in by t() in index.js;
+// other catalogs fall back to these for any key they do not define.
+module.exports = {
+    'language.name': 'English',
+
+    // Shared errors and notices
+    'error.generic': 'Sorry, an error occurred while processing your request.',
+    'error.retry': 'Sorry, an error occurred. Please try again.',
+    'error.groupOnly': 'This command can only be used in groups.',
+    'error.groupsOnly': 'This command is for groups only.',
+    'error.privateOnly': 'Please use this command in private chat with the bot.',
+    'error.noActiveGiveaway': 'There is no active giveaway in this group.',
+
+    // Units and ordinals
+    'unit.day.one': '{count} day',
+    'unit.day.other': '{count} days',
+    'unit.hour.one': '{count} hour',
+    'unit.hour.other': '{count} hours',
+    'unit.minute.one': '{count} minute',
+    'unit.minute.other': '{count} minutes',
+    'ordinal.one': '{n}st',
+    'ordinal.two': '{n}nd',
+    'ordinal.few': '{n}rd',
+    'ordinal.other': '{n}th',
+    'anonymous': 'Anonymous',
+    'someone': 'someone',
+    'aUser': 'a user',
+    'aGroup': 'a group',
+
+    // Start menu
+    'menu.welcome': 'Welcome to the Wolp Referral Bot! 👋\n\nUse this bot to create referral links, track invites, and participate in giveaways.',
+    'menu.getReferral': '📨 Get My Referral Link',
+    'menu.leaderboard': '🏆 View Leaderboard',
+    'menu.help': 'ℹ️ Help',
+    'menu.back': '🔙 Back to Menu',
+    'menu.refreshLeaderboard': '🔄 Refresh Leaderboard',
+    'menu.networkLeaderboard': '🌳 Network Leaderboard',
+    'menu.directLeaderboard': '👤 Direct Leaderboard',
+    'menu.myStats': '📊 My Stats',
+    'start.referred': 'Welcome! You joined via {name}\'s referral link.',
+    'start.groupInvite': `
+You were invited to join a group by {name}!
+
+Click the link below to join:
+{link}
+
+After joining, your participation will be counted for the referral program.
+`,
+    'start.joinGroup': 'Join Group',
+    'start.inviteLinkFailed': 'Sorry, I was unable to generate a group invite link.',
+
+    // Help
+    'help.private': `
+*Wolp Referral Bot - Help*
+
+*User Commands:*
+/start - Start the bot
+/help - Show this help message
+/referral - Get your personal referral link
+/leaderboard - View the global referral leaderboard
+/claim - Claim giveaway prizes you have won
+/pastgiveaways - See how you placed in past giveaways
+/mytree - See the people in your referral network
+/mystats - Your referral stats across all groups
+/language - Choose the language the bot uses
+
+*Channels:*
+/channelreferral @channel - Get your invite link for a channel
+/addchannel @channel - Register a channel you administer
+/startgiveaway @channel, /endgiveaway @channel - Run a channel giveaway
+
+*How it works:*
+1. Generate your personal referral link
+2. Share it with friends
+3. When they join using your link, you get credit
+4. Participate in giveaways by referring new users
+`,
+    'help.useHelpGroup': 'Please use /helpgroup for group-specific commands.',
+    'help.group': `
+*Referral Bot - Group Help*
+
+*Group Commands:*
+/helpgroup - Show this help message
+/groupreferral - Get group invite link that tracks referrals
+/leaderboard - View group-specific leaderboard
+/giveaway - View active giveaway in this group
+/pastgiveaways - Browse finished giveaways
+/drawproof - Verify the latest random winner draw
+
+*Admin Commands:*
+/startgiveaway - Start or schedule a new giveaway
+/upcoming - Edit or cancel scheduled giveaways
+/endgiveaway - End the current giveaway manually
+/winners - Show prize claims for the last giveaway
+/export - Export referral and giveaway data
+/review - Review flagged and held referrals
+/approve, /reject - Decide on referrals by ID
+/disqualify - Remove a referrer from the current giveaway
+/rebuildcounters - Recount the leaderboard from the referral log
+/delivered - Mark a winner's prize as delivered
+/reroll - Pass expired prizes to the next referrers
+/configgroup - Configure group settings
+/joingate - Require a challenge for referred joins
+/language - Set the group language
+/startgiveaway channel, /endgiveaway channel - Run a giveaway in the linked channel
+
+*Setup:*
+1. Make sure the bot is an admin with invite permissions
+2. Use /groupreferral to generate a tracking link
+3. Share the link to track who invites the most people
+`,
+    'help.usePrivateHelp': 'This command is for groups only. Use /help for personal commands.',
+    'help.error': 'Error displaying help',
+
+    // Referral links
+    'referral.personal': `
+*Your Personal Referral Link*
+
+{link}
+
+You've invited *{count}* people so far.
+
+Share this link with friends. When they start the bot using your link, you'll get credit for the referral.
+`,
+    'referral.linkFailed': 'Sorry, I was unable to generate a referral link. Please try again later.',
+    'referral.botNotAdmin': 'Please make me an administrator with invite permissions first.',
+    'referral.noGiveaway': 'There is no active giveaway event at this time.',
+    'referral.group': `
+<b>Your Group Invite Link</b>
+
+{link}
+
+{progress}
+
+Share this link with friends. When they join the group through it, you'll get credit for the referral.
+`,
+    'referral.channel': `
+<b>Your Invite Link for {title}</b>
+
+{link}
+
+{progress}
+
+Share this link with friends. When they subscribe to the channel through it, you'll get credit for the referral.
+`,
+    'progress.html': '<b>Your Progress:</b> {count} referrals',
+    'progress.htmlTarget': '<b>Your Progress:</b> {count}/{target} referrals {icon}',
+    'progress.markdown': '*Your Progress:* {count} referrals 📊',
+    'progress.markdownTarget': '*Your Progress:* {count}/{target} referrals {icon}',
+
+    // Leaderboard
+    'leaderboard.empty': 'No referrals recorded yet. Be the first to invite someone!',
+    'leaderboard.groupTitle': '*Group Referral Leaderboard*',
+    'leaderboard.globalTitle': '*Global Referral Leaderboard*',
+    'leaderboard.entry': '{medal} {name}: *{count}* referrals{churned}',
+    'leaderboard.churned': ' ({count} left)',
+    'leaderboard.networkTitle': '*Network Leaderboard*',
+    'leaderboard.networkEntry': '{medal} {name}: *{count}* network credit',
+    'leaderboard.period': '_{period}_',
+    'leaderboard.page': 'Page {page}/{pages}',
+    'leaderboard.position': '📍 {name}: #{position} of {total} ({count})',
+    'leaderboard.notRanked': '📍 {name}: not on this leaderboard yet',
+    'leaderboard.window.giveaway': '🎁 Giveaway',
+    'leaderboard.window.day': 'Today',
+    'leaderboard.window.week': 'This week',
+    'leaderboard.window.month': 'This month',
+    'leaderboard.window.all': 'All time',
+    'rebuildCounters.adminOnly': 'Only group administrators can rebuild the leaderboard counters.',
+    'rebuildCounters.done': 'Leaderboard counters rebuilt from the referral log ({count} entries).',
+
+    // Referral tree
+    'tree.empty': 'Nobody has joined through your referral link yet. Get it with /referral and share it!',
+    'tree.title': '<b>Your Referral Network</b>',
+    'tree.upline': 'You were referred by {name}.',
+    'tree.level': 'Level {level}: {count} people',
+    'tree.levelWeight': 'Level {level}: {count} people (×{weight} credit each)',
+    'tree.credit': '🌳 Network credit: <b>{credit}</b>',
+    'tree.directTitle': '<b>People you referred</b>',
+    'tree.directEntry': '• {name}{downline}',
+    'tree.downline': ' (+{count} in their network)',
+    'tree.more': '…and {count} more',
+
+    // Personal stats
+    'stats.tab.overview': 'Overview',
+    'stats.tab.groups': 'Groups',
+    'stats.tab.giveaways': 'Giveaways',
+    'stats.tab.people': 'People',
+    'stats.title': '<b>Your Referral Stats</b>',
+    'stats.personal': '📨 Personal referrals: <b>{count}</b>',
+    'stats.group': '👥 Group referrals: <b>{count}</b>',
+    'stats.heldCount': '⏸ Waiting for admin review: <b>{count}</b>',
+    'stats.network': '🌳 People in your network: <b>{count}</b>',
+    'stats.groupsTitle': '<b>Referrals per Group</b>',
+    'stats.groupCounts': '✅ {valid} counted · ❌ {invalid} not counted',
+    'stats.noGroups': 'You have not referred anyone to a group yet. Use /groupreferral in a group to get your link.',
+    'stats.giveawaysTitle': '<b>Your Active Giveaways</b>',
+    'stats.rank': '🏅 Rank: {rank} of {total}',
+    'stats.endsIn': '⏱ Ends in: {timeLeft}',
+    'stats.noGiveaways': 'You are not taking part in any active giveaway yet.',
+    'stats.peopleTitle': '<b>People You Referred</b> (page {page})',
+    'stats.person': '• {name} - {where}: {status} ({date})',
+    'stats.viaBot': 'bot',
+    'stats.noPeople': 'Nobody yet.',
+    'stats.status.started': 'started the bot',
+    'stats.status.joined': 'joined ✅',
+    'stats.status.notJoined': 'has not joined yet',
+    'stats.status.held': 'waiting for review ⏸',
+    'stats.status.left': 'left the group',
+    'stats.status.previouslyJoined': 'was already a member',
+    'stats.status.failedCheck': 'failed the join check',
+    'stats.status.rejected': 'rejected by an admin',
+    'stats.status.invalid': 'not counted',
+
+    // Giveaways
+    'giveaway.unlimited': 'Unlimited',
+    'giveaway.andMore': '{prize} and more',
+    'giveaway.upcomingLine': '🗓 {prize} - starts in {startsIn}, runs {duration}',
+    'giveaway.upcomingTitle': '*Upcoming Giveaways*',
+    'giveaway.noneActiveWithUpcoming': 'There is no active giveaway in this group right now.',
+    'giveaway.noneInGroup': 'There are no active giveaways in this group.',
+    'giveaway.notFound': 'Giveaway information not found.',
+    'giveaway.active': `
+*Active Giveaway*
+
+🎁 *Prizes:*{prizeSeparator}{prizes}
+⏱ *Ends in:* {timeLeft}
+🎯 *Target:* {target} referrals
+👥 *Max Winners:* {maxWinners}
+🎲 *Winner Selection:* {selection}{qualified}
+
+{progress}
+
+Invite more people using the group referral link to qualify!
+{upcoming}`,
+    'giveaway.qualifiedSoFar': '\n✅ *Qualified so far:* {count}',
+    'giveaway.noneAnywhere': 'There are no active giveaways right now.',
+    'giveaway.activeTitle': '*Active Giveaways*',
+    'giveaway.activeEntry': `
+*{group}*
+🎁 Prize: {prize}
+⏱ Ends in: {timeLeft}
+🎯 Target: {target} referrals
+
+`,
+    'giveaway.joinGroups': 'Join these groups and use your referral link to participate!',
+    'giveaway.started': `
+🎉 *New Giveaway Started\\!* 🎉
+
+🎁 *Prize:*{prizeSeparator}{prizes}
+⏱️ *Duration:* {duration}
+🔄 *Target:* {target} referrals
+👑 *Max Winners:* {maxWinners}
+🎲 *Winner Selection:* {selection}{commitment}
+
+{howToJoin}
+`,
+    'giveaway.drawCommitment': '\n🔐 *Draw seed hash:* `{hash}`',
+    'giveaway.howToJoin.group': '📲 Use /groupreferral to get your invite link and start referring people\\!',
+    'giveaway.howToJoin.channel': '📲 Tap the button below to get your invite link and start referring people\\!',
+    'giveaway.getInviteLink': '🔗 Get my invite link',
+    'giveaway.scheduled': `
+🗓 *Giveaway Scheduled* 🗓
+
+🎁 *Prize:*{prizeSeparator}{prizes}
+🚀 *Starts:* {startsAt} (in {startsIn})
+⏱️ *Duration:* {duration}
+🆔 *ID:* {id}
+
+If another giveaway is still running then, this one starts as soon as it ends.
+Use /upcoming to edit or cancel scheduled giveaways.
+`,
+    'giveaway.qualified': '🎯 {name} reached {target} referrals and qualified for the giveaway!',
+    'selection.thresholdDraw': 'Random draw among everyone with {target}+ referrals',
+    'selection.threshold': 'Everyone with {target}+ referrals, first come first served',
+    'selection.draw': 'Random draw (1 ticket per referral)',
+    'selection.top': 'Top referrers',
+
+    // Starting and ending giveaways
+    'startGiveaway.adminOnly': 'Only group administrators can start giveaways.',
+    'startGiveaway.usage': `
+🎁 *Start a New Giveaway* 🎁
+*Format:* /startgiveaway "prize description" duration maxWinners [draw] [target=N] [start=TIME]
+*Examples:*
+/startgiveaway "$5 gift" 3d 5
+/startgiveaway "kaos wibu" 24h 3
+/startgiveaway "spaceship" 30m 1
+/startgiveaway "$10 gift" 7d 3 draw
+/startgiveaway "1: $50; 2-3: $20; 4-10: sticker pack" 7d
+/startgiveaway "$5 gift" 7d 20 target=5
+/startgiveaway "$5 gift" 3d 5 start=2026-11-01T18:00
+*Duration formats:*
+🗓️ 3d = 3 days
+🕒 3h = 3 hours
+⏱️ 3m = 3 minutes
+*Prize tiers:* Give ranks a prize each, separated by semicolons
+*Max Winners:* Number of winners to select (defaults to the last prize rank)
+*draw:* Pick winners by random draw, one ticket per referral
+*target=N:* Everyone with N referrals qualifies; with draw, winners are drawn among them
+*start=TIME:* Schedule for later, as a delay (2h) or a UTC time (2026-11-01T18:00)
+Without a target, top referrers win prizes and there is no referral limit.
+`,
+    'channel.giveawayUsage': `
+📣 *Channel Giveaways*
+In a private chat, name the channel first:
+/startgiveaway @channel "prize description" duration maxWinners
+/endgiveaway @channel
+In the channel's discussion group, use \`channel\` instead:
+/startgiveaway channel "prize description" duration maxWinners
+/endgiveaway channel
+/upcoming, /cancelgiveaway, /editgiveaway, /winners, /delivered, /reroll, /drawproof and /configgroup take the channel the same way.
+`,
+    'channel.usage': 'Usage: /addchannel @channel (or the channel ID). Add me to the channel as an administrator first.',
+    'channel.referralUsage': 'Usage: /channelreferral @channel',
+    'channel.notFound': 'I could not find that channel. Check the username and make sure I am a member.',
+    'channel.notChannel': 'That chat is not a channel.',
+    'channel.botNotAdmin': 'Please make me an administrator of the channel with permission to invite users first.',
+    'channel.adminOnly': 'Only channel administrators can do this.',
+    'channel.registered': '✅ {title} is registered. Subscribers who join through referral links are now tracked. Start a giveaway with /startgiveaway {ref}.',
+    'channel.notRegistered': 'That channel is not registered yet. An admin can register it with /addchannel.',
+    'channel.noLinkedChannel': 'This group is not the discussion group of a channel.',
+    'channel.giveawayStarted': '✅ The giveaway was announced in {title}.',
+    'channel.giveawayEnded': '✅ The giveaway in {title} has ended. Results were posted to the channel.',
+    'channel.giveawayEndedQuietly': '✅ The giveaway in {title} has ended. Result announcements are turned off in /configgroup, so nothing was posted; the winners were sent their claim messages.',
+    'channel.giveawayAnnounceFailed': '⚠️ The giveaway in {title} has ended, but the results could not be posted to the channel. Check that I can still post there, then see /winners.',
+    'startGiveaway.defaultPrize': 'Special Prize for Top Referrers',
+    'startGiveaway.prizeFormat': '{error} Use a format like "1: $50; 2-3: $20; 4-10: sticker pack".',
+    'prizeTiers.unreadable': 'Could not read the prize tier "{segment}".',
+    'prizeTiers.invalidRange': 'Invalid rank range in "{segment}".',
+    'prizeTiers.overlap': 'Prize tiers must not overlap.',
+    'startGiveaway.invalidStart': 'Please give a start time in the future, e.g. start=2h or start=2026-11-01T18:00 (UTC).',
+    'startGiveaway.alreadyActive': 'There is already an active giveaway in this group. End it first with /endgiveaway, or schedule this one with start=TIME.',
+    'startGiveaway.failed': 'Failed to start giveaway. Please try again later.',
+    'endGiveaway.adminOnly': 'Only group administrators can end giveaways.',
+    'endGiveaway.alreadyEnded': 'This giveaway has already ended.',
+    'endGiveaway.noParticipants': 'Giveaway ended. There were no participants.',
+    'endGiveaway.finalLeaderboard': `
+🏆 *Giveaway Ended* 🏆
+
+Final leaderboard:
+{standings}
+
+Thank you to everyone who participated!
+The leaderboard has been reset for the next giveaway.
+`,
+    'endGiveaway.standingsEntry': '{medal} {name} - {count} referrals',
+    'endGiveaway.ended': `
+🏆 *Giveaway Ended* 🏆
+
+Congratulations to the winners:
+{winners}
+{drawNote}
+Winners: check your private messages from the bot and claim your prize within {hours} hours. If the bot could not reach you, start it and send /claim.
+
+Thank you to everyone who participated!
+The leaderboard has been reset for the next giveaway.
+`,
+    'endGiveaway.drawNote': '\nWinners were picked by {selection}. Use /drawproof to verify the draw.\n',
+    'endGiveaway.winnerEntry': '{medal} {name} - {count} referrals{prize}',
+
+    // Prize claims
+    'claim.notification': `
+🎉 *Congratulations!* 🎉
+
+You placed *{rank}* in the giveaway in *{group}* with {count} referrals.
+{prize}
+Claim your prize before {deadline}, or it will go to the next eligible referrer.
+`,
+    'claim.prizeLine': '\n🎁 *Prize:* {prize}\n',
+    'claim.button': '🎁 Claim Prize',
+    'claim.none': 'You have no prizes waiting to be claimed.',
+    'claim.pending': '🎁 *{prize}* from *{group}* ({rank} place)\nClaim before {deadline}.',
+    'claim.defaultPrize': 'Giveaway prize',
+    'claim.expired': 'This prize can no longer be claimed.',
+    'claim.claimed': '✅ Prize claimed! The group admins will contact you to deliver it.',
+    'claim.error': 'Sorry, an error occurred while claiming your prize.',
+
+    // Giveaway history
+    'past.previous': '⬅️ Previous',
+    'past.next': 'Next ➡️',
+    'past.groupTitle': '<b>Past Giveaways</b> (page {page}/{pages})',
+    'past.groupStats': '👥 {participants} participants, {referrals} referrals',
+    'past.winnerReferrals': ' ({count} referrals)',
+    'past.userTitle': '<b>Your Past Giveaways</b> (page {page}/{pages})',
+    'past.unknownGroup': 'Unknown group',
+    'past.placed': '📊 Placed {position} of {total} with {count} referrals',
+    'past.won': '🏆 Won',
+    'past.noneForUser': 'You have not taken part in any finished giveaways yet.',
+    'past.noneForGroup': 'There are no finished giveaways in this group yet.',
+    'past.error': 'Error loading past giveaways',
+
+    // Scheduled giveaways
+    'upcoming.adminOnly': 'Only group administrators can manage scheduled giveaways.',
+    'upcoming.none': 'There are no scheduled giveaways in this group.',
+    'upcoming.notFound': 'Scheduled giveaway not found. Use /upcoming to see the IDs.',
+    'upcoming.title': '*Scheduled Giveaways*',
+    'upcoming.hint': `
+/editgiveaway ID "prize" duration=3d winners=5 target=N draw=on|off start=TIME
+/cancelgiveaway ID`,
+    'cancelGiveaway.adminOnly': 'Only group administrators can cancel scheduled giveaways.',
+    'cancelGiveaway.done': 'Scheduled giveaway {id} has been cancelled.',
+    'editGiveaway.adminOnly': 'Only group administrators can edit scheduled giveaways.',
+    'editGiveaway.invalidDuration': 'Please give a duration like 3d, 24h or 30m.',
+    'editGiveaway.invalidWinners': 'Please give a positive number of winners.',
+    'editGiveaway.nothingToChange': 'Nothing to change. Usage: /editgiveaway ID "prize" duration=3d winners=5 target=N draw=on|off start=TIME',
+    'editGiveaway.notScheduled': 'This giveaway has already started or was cancelled.',
+    'editGiveaway.updated': 'Scheduled giveaway *{id}* updated.',
+
+    // Winners and prize delivery
+    'winners.adminOnly': 'Only group administrators can view prize claims.',
+    'winners.none': 'There are no giveaway winners yet.',
+    'winners.title': '<b>Giveaway Winners</b>',
+    'winners.status.notified': '📨 Notified',
+    'winners.status.claimed': '🙋 Claimed',
+    'winners.status.delivered': '✅ Delivered',
+    'winners.status.expired': '⌛ Expired',
+    'winners.status.rerolled': '🔁 Rerolled',
+    'winners.status.pending': '⏳ Pending',
+    'winners.noPrize': 'No prize',
+    'winners.hint': 'Use /delivered &lt;rank&gt; to mark a prize delivered, or /reroll to pass expired prizes on.',
+    'delivered.adminOnly': 'Only group administrators can mark prizes delivered.',
+    'delivered.usage': 'Usage: /delivered <rank>',
+    'delivered.notOpen': 'There is no open prize for {rank} place.',
+    'delivered.done': 'Prize for {rank} place marked as delivered.',
+    'reroll.adminOnly': 'Only group administrators can reroll prizes.',
+    'reroll.noEnded': 'There are no ended giveaways in this group.',
+    'reroll.none': 'There are no expired prizes to reroll, or no eligible referrers left.',
+    'reroll.title': '🔁 *Prizes Rerolled*',
+    'reroll.entry': '{rank}: {name} - {count} referrals',
+    'reroll.footer': 'The new winners have been notified to claim their prizes.',
+
+    // Data export
+    'export.adminOnly': 'Only group administrators can export data.',
+    'export.usage': `Usage: /export {datasets} [csv|json] [from=YYYY-MM-DD] [to=YYYY-MM-DD] [giveaway=ID]
+
+referrals - every referral, valid and invalid, with the reason
+giveaway - participants and winners of a giveaway (latest if no ID)
+pending - referral invites that never turned into a join`,
+    'export.invalidDate': 'Dates must look like 2026-10-01.',
+    'export.giveawayNotFound': 'Giveaway not found. /pastgiveaways shows the IDs.',
+    'export.noGiveaways': 'There are no giveaways to export in this group.',
+    'export.caption': '{count} {dataset} rows from {group}',
+    'export.sendFailed': 'I could not send you the file. Please start a private chat with me first.',
+    'export.sent': 'Export sent to your private chat.',
+
+    // Draw proof
+    'drawProof.noDraw': 'No random draw has been held in this group yet.',
+    'drawProof.none': 'None',
+    'drawProof.commitment': '<b>Seed hash:</b> <code>{hash}</code> (published when the giveaway started, {startedAt})',
+    'drawProof.noCommitment': '<b>Seed hash:</b> not published (giveaway started before seeds were committed)',
+    'drawProof.ticketsCaption': 'Ticket table (user ID, tickets), walked in this order',
+    'drawProof.summary': `
+<b>Draw Proof</b>
+
+<b>Ended:</b> {endedAt}
+<b>Algorithm:</b> {algorithm}
+<b>Seed:</b> <code>{seed}</code>
+{commitment}
+<b>Winners:</b> {winners}
+
+<b>Selection:</b> {selection}
+<b>Tickets:</b> {ticketCount} among {entrants} referrers
+
+Check that SHA-256 of the seed equals the seed hash. Then for each round r = 0, 1, ..., take the first 6 bytes of SHA-256("seed:r") as a big-endian number modulo the remaining tickets, walk the table in order to find the winner, then remove that entry. Rerolled prizes go to the next rounds of the same sequence.
+`,
+
+    // Referral review
+    'review.adminOnly': 'Only group administrators can review referrals.',
+    'review.empty': 'There are no flagged or held referrals to review.',
+    'review.queueEmpty': 'The review queue is empty.',
+    'review.title': '<b>Referral Review Queue</b> ({total})',
+    'review.held': '⏸ Held',
+    'review.flagged': '🚩 Flagged',
+    'review.score': 'Score {score}',
+    'review.more': '…and {count} more.',
+    'review.hint': 'Use /approve or /reject with IDs (or "all") and an optional reason.',
+    'moderation.adminOnly': 'Only group administrators can moderate referrals.',
+    'moderation.usage': 'Usage: /{command} <id...|all> [reason]\n\nUse /review to see the queue, or /export referrals for the IDs of rejected ones.',
+    'moderation.approved.one': 'Approved {changed} of {count} matching referral.',
+    'moderation.approved.other': 'Approved {changed} of {count} matching referrals.',
+    'moderation.rejected.one': 'Rejected {changed} of {count} matching referral.',
+    'moderation.rejected.other': 'Rejected {changed} of {count} matching referrals.',
+    'moderation.approvedOne': 'Approved',
+    'moderation.rejectedOne': 'Rejected',
+    'moderation.alreadyHandled': 'Already handled',
+    'disqualify.adminOnly': 'Only group administrators can disqualify referrers.',
+    'disqualify.usage': 'Usage: /disqualify <@username|user ID> [reason], or reply to one of their messages.',
+    'disqualify.done': 'The referrer has been disqualified from the current giveaway.',
+    'disqualify.already': 'That referrer is already disqualified.',
+
+    // Join challenge
+    'challenge.question': 'To join *{group}*, please answer within {minutes} minutes:\n\nWhat is {question}?',
+    'challenge.notFound': 'Challenge not found.',
+    'challenge.closed': 'This challenge has already been answered or has expired.',
+    'challenge.passed': '✅ Correct! Your request to join has been approved.',
+    'challenge.failed': '❌ Wrong answer. Your request to join has been declined.',
+    'challenge.error': 'Sorry, an error occurred while processing your answer.',
+
+    'joinGate.adminOnly': 'Only group administrators can change the join gate.',
+    'joinGate.usage': 'Usage: /joingate on|off\n\nWhen on, people joining through referral links must pass a quick challenge before they are approved.',
+    'joinGate.enabled': 'Join gate enabled. Referred users now have to pass a challenge before joining.',
+    'joinGate.disabled': 'Join gate disabled. Referred users can join directly.',
+
+    // Group settings
+    'settings.title': '<b>Group Settings</b>',
+    'settings.choose': 'Choose a setting to change:',
+    'settings.on': 'On',
+    'settings.off': 'Off',
+    'settings.done': '✔️ Done',
+    'settings.saved': 'Group settings saved.',
+    'settings.cancelHint': 'Send /cancel to stop editing.',
+    'settings.closed': 'Closed the group settings editor.',
+    'settings.cancelled': 'Editing cancelled.',
+    'settings.defaultWelcomeMessage': 'Welcome to the group! You were invited by {referrer}.',
+    'settings.welcomePreview': 'Welcome message saved. Preview:\n\n{preview}',
+    'settings.otherAdmin': 'Only the admin who opened /configgroup can use these buttons.',
+    'settings.adminOnly': 'Only group administrators can configure group settings.',
+    'settings.field.welcomeMessage.label': 'Welcome Message',
+    'settings.field.welcomeMessage.prompt': 'Send the new welcome message. Use {referrer} where the referrer\'s name should appear.',
+    'settings.field.welcomeMessage.error': 'The welcome message must be between 1 and 1000 characters.',
+    'settings.field.leaderboardSize.label': 'Leaderboard Size',
+    'settings.field.leaderboardSize.prompt': 'Send the number of leaderboard entries to show (1-50).',
+    'settings.field.leaderboardSize.error': 'Please send a whole number between 1 and 50.',
+    'settings.field.defaultDuration.label': 'Default Giveaway Duration',
+    'settings.field.defaultDuration.prompt': 'Send the default giveaway duration, e.g. 3d, 24h or 30m.',
+    'settings.field.defaultDuration.error': 'Please send a duration like 3d, 24h or 30m.',
+    'settings.field.defaultMaxWinners.label': 'Default Max Winners',
+    'settings.field.defaultMaxWinners.prompt': 'Send the default number of giveaway winners (1-100).',
+    'settings.field.defaultMaxWinners.error': 'Please send a whole number between 1 and 100.',
+    'settings.field.retentionHours.label': 'Retention Window (hours)',
+    'settings.field.retentionHours.prompt': 'Send how many hours an invitee must stay for the referral to count (0-720).',
+    'settings.field.retentionHours.error': 'Please send a whole number between 0 and 720.',
+    'settings.toggle.announceReferralJoins': 'Welcome Referred Members',
+    'settings.toggle.announceGiveawayResults': 'Announce Giveaway Results',
+    'settings.toggle.requireJoinApproval': 'Join Gate',
+
+    // Language selection
+    'language.currentUser': 'The bot talks to you in {language}. Choose another language:',
+    'language.currentGroup': 'This group uses {language}. Choose another language:',
+    'language.auto': '🌐 Use my Telegram language',
+    'language.usage': 'Usage: /language [{codes}]',
+    'language.adminOnly': 'Only group administrators can change the group language.',
+    'language.setUser': 'Done! The bot will talk to you in {language}.',
+    'language.setAuto': 'Done! The bot will follow your Telegram language.',
+    'language.setGroup': 'Done! This group now uses {language}.'
+};
@@ -0,0 +1,544 @@
+// Indonesian messages (Bahasa Indonesia)
+module.exports = {
+    'language.name': 'Bahasa Indonesia',
+
+    // Shared errors and notices
+    'error.generic': 'Maaf, terjadi kesalahan saat memproses permintaanmu.',
+    'error.retry': 'Maaf, terjadi kesalahan. Silakan coba lagi.',
+    'error.groupOnly': 'Perintah ini hanya bisa digunakan di grup.',
+    'error.groupsOnly': 'Perintah ini khusus untuk grup.',
+    'error.privateOnly': 'Silakan gunakan perintah ini di chat pribadi dengan bot.',
+    'error.noActiveGiveaway': 'Tidak ada giveaway aktif di grup ini.',
+
+    // Units and ordinals
+    'unit.day.one': '{count} hari',
+    'unit.day.other': '{count} hari',
+    'unit.hour.one': '{count} jam',
+    'unit.hour.other': '{count} jam',
+    'unit.minute.one': '{count} menit',
+    'unit.minute.other': '{count} menit',
+    'ordinal.one': 'ke-{n}',
+    'ordinal.two': 'ke-{n}',
+    'ordinal.few': 'ke-{n}',
+    'ordinal.other': 'ke-{n}',
+    'anonymous': 'Anonim',
+    'someone': 'seseorang',
+    'aUser': 'seorang pengguna',
+    'aGroup': 'sebuah grup',
+
+    // Start menu
+    'menu.welcome': 'Selamat datang di Wolp Referral Bot! 👋\n\nGunakan bot ini untuk membuat link referral, melacak undangan, dan ikut giveaway.',
+    'menu.getReferral': '📨 Ambil Link Referral Saya',
+    'menu.leaderboard': '🏆 Lihat Leaderboard',
+    'menu.help': 'ℹ️ Bantuan',
+    'menu.back': '🔙 Kembali ke Menu',
+    'menu.refreshLeaderboard': '🔄 Perbarui Leaderboard',
+    'menu.networkLeaderboard': '🌳 Leaderboard Jaringan',
+    'menu.directLeaderboard': '👤 Leaderboard Langsung',
+    'menu.myStats': '📊 Statistik Saya',
+    'start.referred': 'Selamat datang! Kamu bergabung lewat link referral {name}.',
+    'start.groupInvite': `
+Kamu diundang bergabung ke grup oleh {name}!
+
+Klik link di bawah untuk bergabung:
+{link}
+
+Setelah bergabung, kamu akan dihitung dalam program referral.
+`,
+    'start.joinGroup': 'Gabung Grup',
+    'start.inviteLinkFailed': 'Maaf, saya tidak bisa membuat link undangan grup.',
+
+    // Help
+    'help.private': `
+*Wolp Referral Bot - Bantuan*
+
+*Perintah Pengguna:*
+/start - Mulai bot
+/help - Tampilkan pesan bantuan ini
+/referral - Ambil link referral pribadimu
+/leaderboard - Lihat leaderboard referral global
+/claim - Klaim hadiah giveaway yang kamu menangkan
+/pastgiveaways - Lihat peringkatmu di giveaway sebelumnya
+/mytree - Lihat orang-orang di jaringan referralmu
+/mystats - Statistik referralmu di semua grup
+/language - Pilih bahasa yang dipakai bot
+
+*Channel:*
+/channelreferral @channel - Ambil link undanganmu untuk sebuah channel
+/addchannel @channel - Daftarkan channel yang kamu kelola
+/startgiveaway @channel, /endgiveaway @channel - Jalankan giveaway channel
+
+*Cara kerja:*
+1. Buat link referral pribadimu
+2. Bagikan ke teman-teman
+3. Saat mereka bergabung lewat linkmu, kamu mendapat poin
+4. Ikuti giveaway dengan mengajak pengguna baru
+`,
+    'help.useHelpGroup': 'Silakan gunakan /helpgroup untuk perintah khusus grup.',
+    'help.group': `
+*Referral Bot - Bantuan Grup*
+
+*Perintah Grup:*
+/helpgroup - Tampilkan pesan bantuan ini
+/groupreferral - Ambil link undangan grup yang melacak referral
+/leaderboard - Lihat leaderboard grup
+/giveaway - Lihat giveaway aktif di grup ini
+/pastgiveaways - Lihat giveaway yang sudah selesai
+/drawproof - Verifikasi undian pemenang terakhir
+
+*Perintah Admin:*
+/startgiveaway - Mulai atau jadwalkan giveaway baru
+/upcoming - Ubah atau batalkan giveaway terjadwal
+/endgiveaway - Akhiri giveaway saat ini secara manual
+/winners - Tampilkan klaim hadiah giveaway terakhir
+/export - Ekspor data referral dan giveaway
+/review - Tinjau referral yang ditandai dan ditahan
+/approve, /reject - Putuskan referral berdasarkan ID
+/disqualify - Keluarkan pengajak dari giveaway saat ini
+/rebuildcounters - Hitung ulang leaderboard dari log referral
+/delivered - Tandai hadiah pemenang sudah dikirim
+/reroll - Berikan hadiah kedaluwarsa ke pengajak berikutnya
+/configgroup - Atur pengaturan grup
+/joingate - Wajibkan tantangan untuk anggota yang diajak
+/language - Atur bahasa grup
+/startgiveaway channel, /endgiveaway channel - Jalankan giveaway di channel yang terhubung
+
+*Persiapan:*
+1. Pastikan bot adalah admin dengan izin mengundang
+2. Gunakan /groupreferral untuk membuat link pelacak
+3. Bagikan link untuk melihat siapa yang paling banyak mengajak
+`,
+    'help.usePrivateHelp': 'Perintah ini khusus untuk grup. Gunakan /help untuk perintah pribadi.',
+    'help.error': 'Gagal menampilkan bantuan',
+
+    // Referral links
+    'referral.personal': `
+*Link Referral Pribadimu*
+
+{link}
+
+Kamu sudah mengajak *{count}* orang sejauh ini.
+
+Bagikan link ini ke teman-teman. Saat mereka memulai bot lewat linkmu, kamu mendapat poin referral.
+`,
+    'referral.linkFailed': 'Maaf, saya tidak bisa membuat link referral. Silakan coba lagi nanti.',
+    'referral.botNotAdmin': 'Jadikan saya administrator dengan izin mengundang terlebih dahulu.',
+    'referral.noGiveaway': 'Saat ini tidak ada event giveaway yang aktif.',
+    'referral.group': `
+<b>Link Undangan Grupmu</b>
+
+{link}
+
+{progress}
+
+Bagikan link ini ke teman-teman. Saat mereka bergabung ke grup lewat link ini, kamu mendapat poin referral.
+`,
+    'referral.channel': `
+<b>Link Undanganmu untuk {title}</b>
+
+{link}
+
+{progress}
+
+Bagikan link ini ke teman-teman. Saat mereka berlangganan channel lewat link ini, kamu mendapat poin referral.
+`,
+    'progress.html': '<b>Progresmu:</b> {count} referral',
+    'progress.htmlTarget': '<b>Progresmu:</b> {count}/{target} referral {icon}',
+    'progress.markdown': '*Progresmu:* {count} referral 📊',
+    'progress.markdownTarget': '*Progresmu:* {count}/{target} referral {icon}',
+
+    // Leaderboard
+    'leaderboard.empty': 'Belum ada referral. Jadilah yang pertama mengajak seseorang!',
+    'leaderboard.groupTitle': '*Leaderboard Referral Grup*',
+    'leaderboard.globalTitle': '*Leaderboard Referral Global*',
+    'leaderboard.entry': '{medal} {name}: *{count}* referral{churned}',
+    'leaderboard.churned': ' ({count} keluar)',
+    'leaderboard.networkTitle': '*Leaderboard Jaringan*',
+    'leaderboard.networkEntry': '{medal} {name}: *{count}* poin jaringan',
+    'leaderboard.period': '_{period}_',
+    'leaderboard.page': 'Halaman {page}/{pages}',
+    'leaderboard.position': '📍 {name}: #{position} dari {total} ({count})',
+    'leaderboard.notRanked': '📍 {name}: belum masuk leaderboard ini',
+    'leaderboard.window.giveaway': '🎁 Giveaway',
+    'leaderboard.window.day': 'Hari ini',
+    'leaderboard.window.week': 'Minggu ini',
+    'leaderboard.window.month': 'Bulan ini',
+    'leaderboard.window.all': 'Sepanjang waktu',
+    'rebuildCounters.adminOnly': 'Hanya admin grup yang dapat membangun ulang penghitung leaderboard.',
+    'rebuildCounters.done': 'Penghitung leaderboard dibangun ulang dari log referral ({count} entri).',
+
+    // Referral tree
+    'tree.empty': 'Belum ada yang bergabung lewat link referralmu. Ambil linknya dengan /referral lalu bagikan!',
+    'tree.title': '<b>Jaringan Referralmu</b>',
+    'tree.upline': 'Kamu diajak oleh {name}.',
+    'tree.level': 'Level {level}: {count} orang',
+    'tree.levelWeight': 'Level {level}: {count} orang (×{weight} poin per orang)',
+    'tree.credit': '🌳 Poin jaringan: <b>{credit}</b>',
+    'tree.directTitle': '<b>Orang yang kamu ajak</b>',
+    'tree.directEntry': '• {name}{downline}',
+    'tree.downline': ' (+{count} di jaringan mereka)',
+    'tree.more': '…dan {count} lainnya',
+
+    // Personal stats
+    'stats.tab.overview': 'Ringkasan',
+    'stats.tab.groups': 'Grup',
+    'stats.tab.giveaways': 'Giveaway',
+    'stats.tab.people': 'Orang',
+    'stats.title': '<b>Statistik Referralmu</b>',
+    'stats.personal': '📨 Referral pribadi: <b>{count}</b>',
+    'stats.group': '👥 Referral grup: <b>{count}</b>',
+    'stats.heldCount': '⏸ Menunggu tinjauan admin: <b>{count}</b>',
+    'stats.network': '🌳 Orang di jaringanmu: <b>{count}</b>',
+    'stats.groupsTitle': '<b>Referral per Grup</b>',
+    'stats.groupCounts': '✅ {valid} dihitung · ❌ {invalid} tidak dihitung',
+    'stats.noGroups': 'Kamu belum mengajak siapa pun ke grup. Gunakan /groupreferral di grup untuk mengambil linkmu.',
+    'stats.giveawaysTitle': '<b>Giveaway Aktifmu</b>',
+    'stats.rank': '🏅 Peringkat: {rank} dari {total}',
+    'stats.endsIn': '⏱ Berakhir dalam: {timeLeft}',
+    'stats.noGiveaways': 'Kamu belum ikut giveaway aktif mana pun.',
+    'stats.peopleTitle': '<b>Orang yang Kamu Ajak</b> (halaman {page})',
+    'stats.person': '• {name} - {where}: {status} ({date})',
+    'stats.viaBot': 'bot',
+    'stats.noPeople': 'Belum ada.',
+    'stats.status.started': 'memulai bot',
+    'stats.status.joined': 'bergabung ✅',
+    'stats.status.notJoined': 'belum bergabung',
+    'stats.status.held': 'menunggu tinjauan ⏸',
+    'stats.status.left': 'keluar dari grup',
+    'stats.status.previouslyJoined': 'sudah pernah jadi anggota',
+    'stats.status.failedCheck': 'gagal cek bergabung',
+    'stats.status.rejected': 'ditolak admin',
+    'stats.status.invalid': 'tidak dihitung',
+
+    // Giveaways
+    'giveaway.unlimited': 'Tanpa batas',
+    'giveaway.andMore': '{prize} dan lainnya',
+    'giveaway.upcomingLine': '🗓 {prize} - mulai dalam {startsIn}, berlangsung {duration}',
+    'giveaway.upcomingTitle': '*Giveaway Mendatang*',
+    'giveaway.noneActiveWithUpcoming': 'Saat ini tidak ada giveaway aktif di grup ini.',
+    'giveaway.noneInGroup': 'Tidak ada giveaway aktif di grup ini.',
+    'giveaway.notFound': 'Informasi giveaway tidak ditemukan.',
+    'giveaway.active': `
+*Giveaway Aktif*
+
+🎁 *Hadiah:*{prizeSeparator}{prizes}
+⏱ *Berakhir dalam:* {timeLeft}
+🎯 *Target:* {target} referral
+👥 *Maks. Pemenang:* {maxWinners}
+🎲 *Pemilihan Pemenang:* {selection}{qualified}
+
+{progress}
+
+Ajak lebih banyak orang dengan link referral grup untuk lolos!
+{upcoming}`,
+    'giveaway.qualifiedSoFar': '\n✅ *Sudah lolos:* {count}',
+    'giveaway.noneAnywhere': 'Saat ini tidak ada giveaway aktif.',
+    'giveaway.activeTitle': '*Giveaway Aktif*',
+    'giveaway.activeEntry': `
+*{group}*
+🎁 Hadiah: {prize}
+⏱ Berakhir dalam: {timeLeft}
+🎯 Target: {target} referral
+
+`,
+    'giveaway.joinGroups': 'Gabung ke grup-grup ini dan gunakan link referralmu untuk ikut serta!',
+    'giveaway.started': `
+🎉 *Giveaway Baru Dimulai\\!* 🎉
+
+🎁 *Hadiah:*{prizeSeparator}{prizes}
+⏱️ *Durasi:* {duration}
+🔄 *Target:* {target} referral
+👑 *Maks. Pemenang:* {maxWinners}
+🎲 *Pemilihan Pemenang:* {selection}{commitment}
+
+{howToJoin}
+`,
+    'giveaway.drawCommitment': '\n🔐 *Hash seed undian:* `{hash}`',
+    'giveaway.howToJoin.group': '📲 Gunakan /groupreferral untuk mengambil link undanganmu dan mulai mengajak orang\\!',
+    'giveaway.howToJoin.channel': '📲 Ketuk tombol di bawah untuk mengambil link undanganmu dan mulai mengajak orang\\!',
+    'giveaway.getInviteLink': '🔗 Ambil link undanganku',
+    'giveaway.scheduled': `
+🗓 *Giveaway Dijadwalkan* 🗓
+
+🎁 *Hadiah:*{prizeSeparator}{prizes}
+🚀 *Mulai:* {startsAt} (dalam {startsIn})
+⏱️ *Durasi:* {duration}
+🆔 *ID:* {id}
+
+Jika giveaway lain masih berjalan saat itu, giveaway ini dimulai begitu yang lain selesai.
+Gunakan /upcoming untuk mengubah atau membatalkan giveaway terjadwal.
+`,
+    'giveaway.qualified': '🎯 {name} mencapai {target} referral dan lolos ke giveaway!',
+    'selection.thresholdDraw': 'Undian acak di antara semua yang punya {target}+ referral',
+    'selection.threshold': 'Semua yang punya {target}+ referral, siapa cepat dia dapat',
+    'selection.draw': 'Undian acak (1 tiket per referral)',
+    'selection.top': 'Pengajak teratas',
+
+    // Starting and ending giveaways
+    'startGiveaway.adminOnly': 'Hanya administrator grup yang bisa memulai giveaway.',
+    'startGiveaway.usage': `
+🎁 *Mulai Giveaway Baru* 🎁
+*Format:* /startgiveaway "deskripsi hadiah" durasi maksPemenang [draw] [target=N] [start=WAKTU]
+*Contoh:*
+/startgiveaway "hadiah $5" 3d 5
+/startgiveaway "kaos wibu" 24h 3
+/startgiveaway "pesawat luar angkasa" 30m 1
+/startgiveaway "hadiah $10" 7d 3 draw
+/startgiveaway "1: $50; 2-3: $20; 4-10: paket stiker" 7d
+/startgiveaway "hadiah $5" 7d 20 target=5
+/startgiveaway "hadiah $5" 3d 5 start=2026-11-01T18:00
+*Format durasi:*
+🗓️ 3d = 3 hari
+🕒 3h = 3 jam
+⏱️ 3m = 3 menit
+*Tingkatan hadiah:* Beri setiap peringkat hadiah, dipisahkan titik koma
+*Maks. Pemenang:* Jumlah pemenang yang dipilih (bawaan: peringkat hadiah terakhir)
+*draw:* Pilih pemenang lewat undian acak, satu tiket per referral
+*target=N:* Semua yang punya N referral lolos; dengan draw, pemenang diundi di antara mereka
+*start=WAKTU:* Jadwalkan untuk nanti, sebagai jeda (2h) atau waktu UTC (2026-11-01T18:00)
+Tanpa target, pengajak teratas memenangkan hadiah dan tidak ada batas referral.
+`,
+    'channel.giveawayUsage': `
+📣 *Giveaway Channel*
+Di chat pribadi, sebutkan channel-nya terlebih dahulu:
+/startgiveaway @channel "deskripsi hadiah" durasi maksPemenang
+/endgiveaway @channel
+Di grup diskusi channel, gunakan \`channel\` sebagai gantinya:
+/startgiveaway channel "deskripsi hadiah" durasi maksPemenang
+/endgiveaway channel
+/upcoming, /cancelgiveaway, /editgiveaway, /winners, /delivered, /reroll, /drawproof dan /configgroup menerima channel dengan cara yang sama.
+`,
+    'channel.usage': 'Cara pakai: /addchannel @channel (atau ID channel). Tambahkan aku ke channel sebagai administrator terlebih dahulu.',
+    'channel.referralUsage': 'Cara pakai: /channelreferral @channel',
+    'channel.notFound': 'Aku tidak menemukan channel itu. Periksa username-nya dan pastikan aku sudah menjadi anggota.',
+    'channel.notChannel': 'Chat itu bukan channel.',
+    'channel.botNotAdmin': 'Jadikan aku administrator channel dengan izin mengundang pengguna terlebih dahulu.',
+    'channel.adminOnly': 'Hanya administrator channel yang bisa melakukan ini.',
+    'channel.registered': '✅ {title} sudah terdaftar. Pelanggan yang bergabung lewat link referral kini dilacak. Mulai giveaway dengan /startgiveaway {ref}.',
+    'channel.notRegistered': 'Channel itu belum terdaftar. Admin bisa mendaftarkannya dengan /addchannel.',
+    'channel.noLinkedChannel': 'Grup ini bukan grup diskusi sebuah channel.',
+    'channel.giveawayStarted': '✅ Giveaway sudah diumumkan di {title}.',
+    'channel.giveawayEnded': '✅ Giveaway di {title} sudah berakhir. Hasilnya sudah diposting ke channel.',
+    'channel.giveawayEndedQuietly': '✅ Giveaway di {title} sudah berakhir. Pengumuman hasil dimatikan di /configgroup, jadi tidak ada yang diposting; pemenang sudah dikirimi pesan klaim.',
+    'channel.giveawayAnnounceFailed': '⚠️ Giveaway di {title} sudah berakhir, tetapi hasilnya tidak dapat diposting ke channel. Pastikan saya masih bisa memposting di sana, lalu lihat /winners.',
+    'startGiveaway.defaultPrize': 'Hadiah Spesial untuk Pengajak Teratas',
+    'startGiveaway.prizeFormat': '{error} Gunakan format seperti "1: $50; 2-3: $20; 4-10: paket stiker".',
+    'prizeTiers.unreadable': 'Tidak dapat membaca tingkat hadiah "{segment}".',
+    'prizeTiers.invalidRange': 'Rentang peringkat tidak valid di "{segment}".',
+    'prizeTiers.overlap': 'Tingkat hadiah tidak boleh tumpang tindih.',
+    'startGiveaway.invalidStart': 'Berikan waktu mulai di masa depan, misalnya start=2h atau start=2026-11-01T18:00 (UTC).',
+    'startGiveaway.alreadyActive': 'Sudah ada giveaway aktif di grup ini. Akhiri dulu dengan /endgiveaway, atau jadwalkan yang ini dengan start=WAKTU.',
+    'startGiveaway.failed': 'Gagal memulai giveaway. Silakan coba lagi nanti.',
+    'endGiveaway.adminOnly': 'Hanya administrator grup yang bisa mengakhiri giveaway.',
+    'endGiveaway.alreadyEnded': 'Giveaway ini sudah berakhir.',
+    'endGiveaway.noParticipants': 'Giveaway berakhir. Tidak ada peserta.',
+    'endGiveaway.finalLeaderboard': `
+🏆 *Giveaway Berakhir* 🏆
+
+Leaderboard akhir:
+{standings}
+
+Terima kasih untuk semua yang sudah ikut!
+Leaderboard sudah direset untuk giveaway berikutnya.
+`,
+    'endGiveaway.standingsEntry': '{medal} {name} - {count} referral',
+    'endGiveaway.ended': `
+🏆 *Giveaway Berakhir* 🏆
+
+Selamat kepada para pemenang:
+{winners}
+{drawNote}
+Pemenang: cek pesan pribadi dari bot dan klaim hadiahmu dalam {hours} jam. Jika bot tidak bisa menghubungimu, mulai bot lalu kirim /claim.
+
+Terima kasih untuk semua yang sudah ikut!
+Leaderboard sudah direset untuk giveaway berikutnya.
+`,
+    'endGiveaway.drawNote': '\nPemenang dipilih dengan {selection}. Gunakan /drawproof untuk memverifikasi undian.\n',
+    'endGiveaway.winnerEntry': '{medal} {name} - {count} referral{prize}',
+
+    // Prize claims
+    'claim.notification': `
+🎉 *Selamat!* 🎉
+
+Kamu meraih peringkat *{rank}* di giveaway grup *{group}* dengan {count} referral.
+{prize}
+Klaim hadiahmu sebelum {deadline}, atau hadiah akan diberikan ke pengajak berikutnya.
+`,
+    'claim.prizeLine': '\n🎁 *Hadiah:* {prize}\n',
+    'claim.button': '🎁 Klaim Hadiah',
+    'claim.none': 'Tidak ada hadiah yang menunggu untuk diklaim.',
+    'claim.pending': '🎁 *{prize}* dari *{group}* (peringkat {rank})\nKlaim sebelum {deadline}.',
+    'claim.defaultPrize': 'Hadiah giveaway',
+    'claim.expired': 'Hadiah ini sudah tidak bisa diklaim.',
+    'claim.claimed': '✅ Hadiah diklaim! Admin grup akan menghubungimu untuk pengirimannya.',
+    'claim.error': 'Maaf, terjadi kesalahan saat mengklaim hadiahmu.',
+
+    // Giveaway history
+    'past.previous': '⬅️ Sebelumnya',
+    'past.next': 'Berikutnya ➡️',
+    'past.groupTitle': '<b>Giveaway Sebelumnya</b> (halaman {page}/{pages})',
+    'past.groupStats': '👥 {participants} peserta, {referrals} referral',
+    'past.winnerReferrals': ' ({count} referral)',
+    'past.userTitle': '<b>Giveaway Sebelumnya</b> (halaman {page}/{pages})',
+    'past.unknownGroup': 'Grup tidak dikenal',
+    'past.placed': '📊 Peringkat {position} dari {total} dengan {count} referral',
+    'past.won': '🏆 Menang',
+    'past.noneForUser': 'Kamu belum pernah ikut giveaway yang sudah selesai.',
+    'past.noneForGroup': 'Belum ada giveaway yang selesai di grup ini.',
+    'past.error': 'Gagal memuat giveaway sebelumnya',
+
+    // Scheduled giveaways
+    'upcoming.adminOnly': 'Hanya admin grup yang dapat mengelola giveaway terjadwal.',
+    'upcoming.none': 'Tidak ada giveaway terjadwal di grup ini.',
+    'upcoming.notFound': 'Giveaway terjadwal tidak ditemukan. Gunakan /upcoming untuk melihat ID-nya.',
+    'upcoming.title': '*Giveaway Terjadwal*',
+    'upcoming.hint': `
+/editgiveaway ID "hadiah" duration=3d winners=5 target=N draw=on|off start=WAKTU
+/cancelgiveaway ID`,
+    'cancelGiveaway.adminOnly': 'Hanya admin grup yang dapat membatalkan giveaway terjadwal.',
+    'cancelGiveaway.done': 'Giveaway terjadwal {id} telah dibatalkan.',
+    'editGiveaway.adminOnly': 'Hanya admin grup yang dapat mengubah giveaway terjadwal.',
+    'editGiveaway.invalidDuration': 'Berikan durasi seperti 3d, 24h atau 30m.',
+    'editGiveaway.invalidWinners': 'Berikan jumlah pemenang yang positif.',
+    'editGiveaway.nothingToChange': 'Tidak ada yang diubah. Penggunaan: /editgiveaway ID "hadiah" duration=3d winners=5 target=N draw=on|off start=WAKTU',
+    'editGiveaway.notScheduled': 'Giveaway ini sudah dimulai atau dibatalkan.',
+    'editGiveaway.updated': 'Giveaway terjadwal *{id}* diperbarui.',
+
+    // Winners and prize delivery
+    'winners.adminOnly': 'Hanya admin grup yang dapat melihat klaim hadiah.',
+    'winners.none': 'Belum ada pemenang giveaway.',
+    'winners.title': '<b>Pemenang Giveaway</b>',
+    'winners.status.notified': '📨 Diberi tahu',
+    'winners.status.claimed': '🙋 Diklaim',
+    'winners.status.delivered': '✅ Terkirim',
+    'winners.status.expired': '⌛ Kedaluwarsa',
+    'winners.status.rerolled': '🔁 Dialihkan',
+    'winners.status.pending': '⏳ Menunggu',
+    'winners.noPrize': 'Tanpa hadiah',
+    'winners.hint': 'Gunakan /delivered &lt;peringkat&gt; untuk menandai hadiah terkirim, atau /reroll untuk mengalihkan hadiah yang kedaluwarsa.',
+    'delivered.adminOnly': 'Hanya admin grup yang dapat menandai hadiah terkirim.',
+    'delivered.usage': 'Penggunaan: /delivered <peringkat>',
+    'delivered.notOpen': 'Tidak ada hadiah terbuka untuk peringkat {rank}.',
+    'delivered.done': 'Hadiah untuk peringkat {rank} ditandai terkirim.',
+    'reroll.adminOnly': 'Hanya admin grup yang dapat mengalihkan hadiah.',
+    'reroll.noEnded': 'Tidak ada giveaway yang sudah berakhir di grup ini.',
+    'reroll.none': 'Tidak ada hadiah kedaluwarsa untuk dialihkan, atau tidak ada pengajak yang memenuhi syarat.',
+    'reroll.title': '🔁 *Hadiah Dialihkan*',
+    'reroll.entry': '{rank}: {name} - {count} referral',
+    'reroll.footer': 'Pemenang baru telah diberi tahu untuk mengklaim hadiahnya.',
+
+    // Data export
+    'export.adminOnly': 'Hanya administrator grup yang bisa mengekspor data.',
+    'export.usage': `Cara pakai: /export {datasets} [csv|json] [from=YYYY-MM-DD] [to=YYYY-MM-DD] [giveaway=ID]
+
+referrals - semua referral, valid dan tidak valid, beserta alasannya
+giveaway - peserta dan pemenang sebuah giveaway (terbaru jika tanpa ID)
+pending - undangan referral yang tidak pernah berujung bergabung`,
+    'export.invalidDate': 'Tanggal harus berformat seperti 2026-10-01.',
+    'export.giveawayNotFound': 'Giveaway tidak ditemukan. /pastgiveaways menampilkan ID-nya.',
+    'export.noGiveaways': 'Tidak ada giveaway untuk diekspor di grup ini.',
+    'export.caption': '{count} baris {dataset} dari {group}',
+    'export.sendFailed': 'Aku tidak bisa mengirim file-nya. Mulai chat pribadi denganku terlebih dahulu.',
+    'export.sent': 'Ekspor sudah dikirim ke chat pribadimu.',
+
+    // Draw proof
+    'drawProof.noDraw': 'Belum ada undian acak di grup ini.',
+    'drawProof.none': 'Tidak ada',
+    'drawProof.commitment': '<b>Hash seed:</b> <code>{hash}</code> (diumumkan saat giveaway dimulai, {startedAt})',
+    'drawProof.noCommitment': '<b>Hash seed:</b> tidak diumumkan (giveaway dimulai sebelum seed dikunci)',
+    'drawProof.ticketsCaption': 'Tabel tiket (ID pengguna, tiket), ditelusuri sesuai urutan ini',
+    'drawProof.summary': `
+<b>Bukti Undian</b>
+
+<b>Berakhir:</b> {endedAt}
+<b>Algoritma:</b> {algorithm}
+<b>Seed:</b> <code>{seed}</code>
+{commitment}
+<b>Pemenang:</b> {winners}
+
+<b>Pemilihan:</b> {selection}
+<b>Tiket:</b> {ticketCount} dari {entrants} pengajak
+
+Pastikan SHA-256 dari seed sama dengan hash seed. Lalu untuk setiap putaran r = 0, 1, ..., ambil 6 byte pertama SHA-256("seed:r") sebagai angka big-endian modulo sisa tiket, telusuri tabel secara berurutan untuk menemukan pemenang, lalu hapus entri tersebut. Hadiah yang dialihkan diberikan ke putaran berikutnya dari urutan yang sama.
+`,
+
+    // Referral review
+    'review.adminOnly': 'Hanya admin grup yang dapat meninjau referral.',
+    'review.empty': 'Tidak ada referral yang ditandai atau ditahan untuk ditinjau.',
+    'review.queueEmpty': 'Antrean tinjauan kosong.',
+    'review.title': '<b>Antrean Tinjauan Referral</b> ({total})',
+    'review.held': '⏸ Ditahan',
+    'review.flagged': '🚩 Ditandai',
+    'review.score': 'Skor {score}',
+    'review.more': '…dan {count} lainnya.',
+    'review.hint': 'Gunakan /approve atau /reject dengan ID (atau "all") dan alasan opsional.',
+    'moderation.adminOnly': 'Hanya admin grup yang dapat memoderasi referral.',
+    'moderation.usage': 'Penggunaan: /{command} <id...|all> [alasan]\n\nGunakan /review untuk melihat antrean, atau /export referrals untuk ID referral yang ditolak.',
+    'moderation.approved.one': '{changed} dari {count} referral yang cocok disetujui.',
+    'moderation.approved.other': '{changed} dari {count} referral yang cocok disetujui.',
+    'moderation.rejected.one': '{changed} dari {count} referral yang cocok ditolak.',
+    'moderation.rejected.other': '{changed} dari {count} referral yang cocok ditolak.',
+    'moderation.approvedOne': 'Disetujui',
+    'moderation.rejectedOne': 'Ditolak',
+    'moderation.alreadyHandled': 'Sudah ditangani',
+    'disqualify.adminOnly': 'Hanya admin grup yang dapat mendiskualifikasi pengajak.',
+    'disqualify.usage': 'Penggunaan: /disqualify <@username|ID pengguna> [alasan], atau balas salah satu pesannya.',
+    'disqualify.done': 'Pengajak telah didiskualifikasi dari giveaway saat ini.',
+    'disqualify.already': 'Pengajak tersebut sudah didiskualifikasi.',
+
+    // Join challenge
+    'challenge.question': 'Untuk bergabung ke *{group}*, jawab dalam {minutes} menit:\n\nBerapa {question}?',
+    'challenge.notFound': 'Tantangan tidak ditemukan.',
+    'challenge.closed': 'Tantangan ini sudah dijawab atau sudah kedaluwarsa.',
+    'challenge.passed': '✅ Benar! Permintaan bergabungmu sudah disetujui.',
+    'challenge.failed': '❌ Jawaban salah. Permintaan bergabungmu ditolak.',
+    'challenge.error': 'Maaf, terjadi kesalahan saat memproses jawabanmu.',
+
+    'joinGate.adminOnly': 'Hanya admin grup yang dapat mengubah gerbang bergabung.',
+    'joinGate.usage': 'Penggunaan: /joingate on|off\n\nJika aktif, orang yang bergabung melalui tautan referral harus lolos tantangan singkat sebelum disetujui.',
+    'joinGate.enabled': 'Gerbang bergabung diaktifkan. Pengguna yang diajak sekarang harus lolos tantangan sebelum bergabung.',
+    'joinGate.disabled': 'Gerbang bergabung dinonaktifkan. Pengguna yang diajak dapat langsung bergabung.',
+
+    // Group settings
+    'settings.title': '<b>Pengaturan Grup</b>',
+    'settings.choose': 'Pilih pengaturan yang ingin diubah:',
+    'settings.on': 'Aktif',
+    'settings.off': 'Nonaktif',
+    'settings.done': '✔️ Selesai',
+    'settings.saved': 'Pengaturan grup disimpan.',
+    'settings.cancelHint': 'Kirim /cancel untuk berhenti mengedit.',
+    'settings.closed': 'Editor pengaturan grup ditutup.',
+    'settings.cancelled': 'Pengeditan dibatalkan.',
+    'settings.defaultWelcomeMessage': 'Selamat datang di grup! Kamu diundang oleh {referrer}.',
+    'settings.welcomePreview': 'Pesan sambutan disimpan. Pratinjau:\n\n{preview}',
+    'settings.otherAdmin': 'Hanya admin yang membuka /configgroup yang bisa memakai tombol ini.',
+    'settings.adminOnly': 'Hanya administrator grup yang bisa mengatur pengaturan grup.',
+    'settings.field.welcomeMessage.label': 'Pesan Sambutan',
+    'settings.field.welcomeMessage.prompt': 'Kirim pesan sambutan yang baru. Gunakan {referrer} di tempat nama pengajak.',
+    'settings.field.welcomeMessage.error': 'Pesan sambutan harus antara 1 dan 1000 karakter.',
+    'settings.field.leaderboardSize.label': 'Ukuran Leaderboard',
+    'settings.field.leaderboardSize.prompt': 'Kirim jumlah entri leaderboard yang ditampilkan (1-50).',
+    'settings.field.leaderboardSize.error': 'Kirim bilangan bulat antara 1 dan 50.',
+    'settings.field.defaultDuration.label': 'Durasi Giveaway Bawaan',
+    'settings.field.defaultDuration.prompt': 'Kirim durasi giveaway bawaan, misalnya 3d, 24h atau 30m.',
+    'settings.field.defaultDuration.error': 'Kirim durasi seperti 3d, 24h atau 30m.',
+    'settings.field.defaultMaxWinners.label': 'Maks. Pemenang Bawaan',
+    'settings.field.defaultMaxWinners.prompt': 'Kirim jumlah pemenang giveaway bawaan (1-100).',
+    'settings.field.defaultMaxWinners.error': 'Kirim bilangan bulat antara 1 dan 100.',
+    'settings.field.retentionHours.label': 'Masa Retensi (jam)',
+    'settings.field.retentionHours.prompt': 'Kirim berapa jam anggota yang diajak harus bertahan agar referral dihitung (0-720).',
+    'settings.field.retentionHours.error': 'Kirim bilangan bulat antara 0 dan 720.',
+    'settings.toggle.announceReferralJoins': 'Sambut Anggota yang Diajak',
+    'settings.toggle.announceGiveawayResults': 'Umumkan Hasil Giveaway',
+    'settings.toggle.requireJoinApproval': 'Gerbang Bergabung',
+
+    // Language selection
+    'language.currentUser': 'Bot berbicara denganmu dalam {language}. Pilih bahasa lain:',
+    'language.currentGroup': 'Grup ini memakai {language}. Pilih bahasa lain:',
+    'language.auto': '🌐 Ikuti bahasa Telegram saya',
+    'language.usage': 'Cara pakai: /language [{codes}]',
+    'language.adminOnly': 'Hanya administrator grup yang bisa mengubah bahasa grup.',
+    'language.setUser': 'Selesai! Bot akan berbicara denganmu dalam {language}.',
+    'language.setAuto': 'Selesai! Bot akan mengikuti bahasa Telegram-mu.',
+    'language.setGroup': 'Selesai! Grup ini sekarang memakai {language}.'
+};
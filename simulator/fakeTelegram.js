@@ -0,0 +1,107 @@
+const { Telegram } = require('telegraf');
+
+const SIMULATED_BOT = { id: 999000, is_bot: true, first_name: 'Referral Bot', username: 'SimulatedReferralBot' };
+
+// Stands in for the Bot API while a scenario runs: every call the bot makes goes through
+// Telegram.prototype.callApi, so installing here covers ctx.telegram and bot.telegram alike.
+// Calls are recorded and answered with plausible results; scenarios can override answers
+// with respond(method, when, result), where `when` is a subset of the call's payload.
+function createFakeTelegram() {
+    const calls = [];
+    const overrides = [];
+    let messageId = 0;
+    let inviteLinkId = 0;
+    let inFlight = 0;
+    let original = null;
+
+    function matchesPayload(payload, when = {}) {
+        return Object.entries(when).every(([key, value]) => String(payload?.[key]) === String(value));
+    }
+
+    function defaultResult(method, payload) {
+        const now = Math.floor(Date.now() / 1000);
+        switch (method) {
+            case 'getMe':
+                return SIMULATED_BOT;
+            case 'sendMessage':
+            case 'sendDocument':
+            case 'sendPhoto':
+                return { message_id: ++messageId, date: now, chat: { id: payload.chat_id }, from: SIMULATED_BOT, text: payload.text };
+            case 'editMessageText':
+            case 'editMessageReplyMarkup':
+                return { message_id: payload.message_id || ++messageId, date: now, chat: { id: payload.chat_id }, text: payload.text };
+            case 'getChatMember':
+                return { status: 'member', user: { id: payload.user_id, is_bot: false, first_name: `User${payload.user_id}` } };
+            case 'getChat':
+                return { id: payload.chat_id, type: payload.chat_id > 0 ? 'private' : 'supergroup', title: `Group ${payload.chat_id}` };
+            case 'getUserProfilePhotos':
+                return { total_count: 1, photos: [[{ file_id: 'photo', file_unique_id: 'photo', width: 160, height: 160 }]] };
+            case 'exportChatInviteLink':
+                return `https://t.me/+sim${++inviteLinkId}`;
+            case 'createChatInviteLink':
+                return {
+                    invite_link: `https://t.me/+sim${++inviteLinkId}`,
+                    creator: SIMULATED_BOT,
+                    name: payload.name,
+                    creates_join_request: Boolean(payload.creates_join_request),
+                    is_primary: false,
+                    is_revoked: false
+                };
+            default:
+                return true;
+        }
+    }
+
+    async function callApi(method, payload = {}) {
+        inFlight++;
+        try {
+            return await answer(method, payload);
+        } finally {
+            inFlight--;
+        }
+    }
+
+    async function answer(method, payload) {
+        const override = [...overrides].reverse().find(candidate => candidate.method === method && matchesPayload(payload, candidate.when));
+        const base = defaultResult(method, payload);
+        const result = !override ? base :
+            override.result !== null && typeof override.result === 'object' && typeof base === 'object' ?
+                { ...base, ...override.result } : override.result;
+
+        calls.push({ method, payload, result });
+
+        if (override?.error) {
+            throw Object.assign(new Error(`400: ${override.error}`), {
+                code: 400,
+                response: { ok: false, error_code: 400, description: override.error },
+                on: { method, payload }
+            });
+        }
+        return result;
+    }
+
+    return {
+        calls,
+        botInfo: SIMULATED_BOT,
+        // Calls that have started but not yet returned to the bot
+        get inFlight() {
+            return inFlight;
+        },
+        respond(method, when, result, error = null) {
+            overrides.push({ method, when, result, error });
+        },
+        install() {
+            original = Object.getOwnPropertyDescriptor(Telegram.prototype, 'callApi') || null;
+            Telegram.prototype.callApi = callApi;
+        },
+        uninstall() {
+            if (original) {
+                Object.defineProperty(Telegram.prototype, 'callApi', original);
+            } else {
+                delete Telegram.prototype.callApi;
+            }
+        }
+    };
+}
+
+module.exports = { createFakeTelegram, SIMULATED_BOT };
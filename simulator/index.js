@@ -0,0 +1,277 @@
+// Update replay simulator
+// Feeds recorded or scripted Telegram updates through the bot's own handlers, with the
+// memory storage and a fake Bot API client, and checks the calls the bot made.
+//
+//   node simulator <scenario.jsonl> [--verbose]
+//
+// Each scenario line is one of:
+//   a Telegram update. update_id, message_id, dates and command entities are filled in when
+//     missing, and users and chats may be bare IDs (negative IDs are groups). chat_member
+//     updates also accept { chat, user, old, new, invite_link } with statuses and a link URL; a
+//     chat given as an object (e.g. with "type": "channel") overrides the defaults.
+//   {"respond": {"method", "when", "result" | "error"}}  answer matching Bot API calls differently
+//   {"expect": {"method", ...payload fields, "absent"}}  a call made by the updates since the
+//     previous group of expects matches (strings match as substrings); with "absent": true none may
+//   {"comment": "..."}  printed in the transcript
+const fs = require('fs');
+const path = require('path');
+
+// Must be set before the bot module loads its configuration
+process.env.STORAGE_BACKEND = 'memory';
+process.env.TELEGRAM_TOKEN = process.env.TELEGRAM_TOKEN || '000000:simulated';
+process.env.EVENT_WEBHOOK_URLS = '';
+process.env.WEBHOOK_URL = '';
+
+const { createFakeTelegram } = require('./fakeTelegram');
+
+function toUser(user) {
+    if (typeof user === 'number') {
+        return { id: user, is_bot: false, first_name: `User${user}`, username: `user${user}` };
+    }
+    return { is_bot: false, ...user };
+}
+
+function toChat(chat, from) {
+    const id = typeof chat === 'number' ? chat : chat?.id ?? from?.id;
+    const base = id > 0 ?
+        { id, type: 'private', first_name: from?.first_name || `User${id}` } :
+        { id, type: 'supergroup', title: `Group ${id}` };
+    return typeof chat === 'object' && chat !== null ? { ...base, ...chat } : base;
+}
+
+function toChatMember(member, user) {
+    return typeof member === 'string' ? { status: member, user } : { ...member, user: toUser(member.user ?? user) };
+}
+
+function toInviteLink(link) {
+    return typeof link === 'string' ?
+        { invite_link: link, creator: toUser(1), creates_join_request: false, is_primary: false, is_revoked: false } : link;
+}
+
+// Fills in what a scripted update leaves out
+function normalizeUpdate(update, counters) {
+    const now = Math.floor(Date.now() / 1000);
+    const normalized = { update_id: ++counters.updateId, ...update };
+
+    for (const kind of ['message', 'edited_message', 'channel_post']) {
+        const message = normalized[kind];
+        if (!message) continue;
+        const from = message.from !== undefined ? toUser(message.from) : undefined;
+        normalized[kind] = {
+            message_id: ++counters.messageId,
+            date: now,
+            ...message,
+            ...(from ? { from } : {}),
+            chat: toChat(message.chat, from),
+            ...(message.new_chat_members ? { new_chat_members: message.new_chat_members.map(toUser) } : {}),
+            ...(message.left_chat_member ? { left_chat_member: toUser(message.left_chat_member) } : {})
+        };
+        const text = normalized[kind].text;
+        if (text && text.startsWith('/') && !normalized[kind].entities) {
+            normalized[kind].entities = [{ type: 'bot_command', offset: 0, length: text.split(/\s/)[0].length }];
+        }
+    }
+
+    if (normalized.callback_query) {
+        const query = normalized.callback_query;
+        const from = toUser(query.from);
+        normalized.callback_query = {
+            id: String(++counters.callbackId),
+            chat_instance: 'simulated',
+            ...query,
+            from,
+            message: {
+                message_id: ++counters.messageId,
+                date: now,
+                text: '',
+                ...query.message,
+                chat: toChat(query.message?.chat, from)
+            }
+        };
+    }
+
+    for (const kind of ['chat_member', 'my_chat_member']) {
+        const change = normalized[kind];
+        if (!change) continue;
+        const { user, old: oldStatus, new: newStatus, ...rest } = change;
+        const member = toUser(user ?? change.new_chat_member?.user);
+        normalized[kind] = {
+            date: now,
+            ...rest,
+            from: rest.from !== undefined ? toUser(rest.from) : member,
+            chat: toChat(change.chat),
+            old_chat_member: toChatMember(change.old_chat_member ?? oldStatus ?? 'left', member),
+            new_chat_member: toChatMember(change.new_chat_member ?? newStatus ?? 'member', member),
+            ...(change.invite_link ? { invite_link: toInviteLink(change.invite_link) } : {})
+        };
+    }
+
+    if (normalized.chat_join_request) {
+        const request = normalized.chat_join_request;
+        const from = toUser(request.from);
+        normalized.chat_join_request = {
+            date: now,
+            user_chat_id: from.id,
+            ...request,
+            from,
+            chat: toChat(request.chat),
+            ...(request.invite_link ? { invite_link: toInviteLink(request.invite_link) } : {})
+        };
+    }
+
+    return normalized;
+}
+
+function describeUpdate(update) {
+    const message = update.message || update.edited_message || update.channel_post;
+    if (message) {
+        const content = message.text ?? (message.new_chat_members ? `joined: ${message.new_chat_members.map(user => user.id).join(', ')}` :
+            message.left_chat_member ? `left: ${message.left_chat_member.id}` : '(message)');
+        return `message from ${message.from?.id} in ${message.chat.id}: ${content}`;
+    }
+    if (update.callback_query) {
+        return `button from ${update.callback_query.from.id}: ${update.callback_query.data}`;
+    }
+    const change = update.chat_member || update.my_chat_member;
+    if (change) {
+        const via = change.invite_link ? ` via ${change.invite_link.invite_link}` : '';
+        return `member ${change.new_chat_member.user.id} in ${change.chat.id}: ${change.old_chat_member.status} -> ${change.new_chat_member.status}${via}`;
+    }
+    if (update.chat_join_request) {
+        return `join request from ${update.chat_join_request.from.id} to ${update.chat_join_request.chat.id}`;
+    }
+    return Object.keys(update).filter(key => key !== 'update_id').join(', ');
+}
+
+function describeCall(call) {
+    const target = call.payload?.chat_id ?? call.payload?.user_id ?? '';
+    const text = typeof call.payload?.text === 'string' ? ` "${call.payload.text.trim().split('\n')[0].substring(0, 70)}"` : '';
+    return `${call.method}${target !== '' ? ` ${target}` : ''}${text}`;
+}
+
+function callMatches(call, expected) {
+    return Object.entries(expected).every(([key, value]) => {
+        if (key === 'absent') return true;
+        if (key === 'method') return call.method === value;
+        const actual = call.payload?.[key];
+        if (typeof value === 'string' && typeof actual === 'string') return actual.includes(value);
+        return String(actual) === String(value);
+    });
+}
+
+const SETTLE_QUIET_TURNS = 10;
+const SETTLE_TIMEOUT_MS = 2000;
+
+// Lets handlers finish work they started without awaiting (replies, notifications): waits
+// until no Bot API call is in flight and no new one was made for a few event loop turns
+async function settle(fakeTelegram) {
+    const deadline = Date.now() + SETTLE_TIMEOUT_MS;
+    let callCount = fakeTelegram.calls.length;
+    let quietTurns = 0;
+    while (quietTurns < SETTLE_QUIET_TURNS && Date.now() < deadline) {
+        await new Promise(resolve => setImmediate(resolve));
+        const quiet = fakeTelegram.inFlight === 0 && fakeTelegram.calls.length === callCount;
+        quietTurns = quiet ? quietTurns + 1 : 0;
+        callCount = fakeTelegram.calls.length;
+    }
+}
+
+// lines are { line, entry } as read by readScenario; line numbers appear in failures
+async function runScenario(lines, { output = process.stdout, verbose = false } = {}) {
+    const fakeTelegram = createFakeTelegram();
+    const failures = [];
+    const counters = { updateId: 0, messageId: 0, callbackId: 0 };
+    const print = text => output.write(`${text}\n`);
+    const log = console.log;
+    let windowStart = 0;
+    let expecting = false;
+
+    fakeTelegram.install();
+    if (!verbose) console.log = () => {};
+
+    try {
+        const { bot, connectToStorage } = require('..');
+        await connectToStorage();
+        bot.botInfo = fakeTelegram.botInfo;
+
+        for (const { line, entry } of lines) {
+            const step = `line ${line}`;
+
+            if (entry.comment) {
+                print(`# ${entry.comment}`);
+            } else if (entry.respond) {
+                const { method, when = {}, result = null, error = null } = entry.respond;
+                fakeTelegram.respond(method, when, result, error);
+            } else if (entry.expect) {
+                const recent = fakeTelegram.calls.slice(windowStart);
+                const found = recent.some(call => callMatches(call, entry.expect));
+                const ok = entry.expect.absent ? !found : found;
+                print(`  ${ok ? '✓' : '✗'} expect ${JSON.stringify(entry.expect)}`);
+                if (!ok) failures.push(`${step}: expected ${entry.expect.absent ? 'no ' : ''}call matching ${JSON.stringify(entry.expect)}`);
+                expecting = true;
+            } else {
+                const update = normalizeUpdate(entry, counters);
+                const firstCall = fakeTelegram.calls.length;
+                if (expecting) {
+                    windowStart = firstCall;
+                    expecting = false;
+                }
+                print(`> ${describeUpdate(update)}`);
+                try {
+                    await bot.handleUpdate(update);
+                } catch (error) {
+                    failures.push(`${step}: handler threw ${error.message}`);
+                    print(`  ! ${error.message}`);
+                }
+                await settle(fakeTelegram);
+                fakeTelegram.calls.slice(firstCall).forEach(call => print(`  < ${describeCall(call)}`));
+            }
+        }
+    } finally {
+        console.log = log;
+        fakeTelegram.uninstall();
+    }
+
+    return { calls: fakeTelegram.calls, failures };
+}
+
+// Scenario entries with their line numbers in the file
+function readScenario(file) {
+    return fs.readFileSync(file, 'utf8').split('\n')
+        .map((text, index) => ({ text: text.trim(), line: index + 1 }))
+        .filter(({ text }) => text && !text.startsWith('//'))
+        .map(({ text, line }) => {
+            try {
+                return { line, entry: JSON.parse(text) };
+            } catch (error) {
+                throw new Error(`${file}:${line}: ${error.message}`);
+            }
+        });
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const file = args.find(arg => !arg.startsWith('--'));
+    if (!file) {
+        console.error('Usage: node simulator <scenario.jsonl> [--verbose]');
+        process.exit(2);
+    }
+
+    const { failures } = await runScenario(readScenario(path.resolve(file)), { verbose: args.includes('--verbose') });
+    if (failures.length) {
+        console.error(`\n${failures.length} failure(s):\n${failures.map(failure => `  ${failure}`).join('\n')}`);
+    } else {
+        console.log('\nScenario passed');
+    }
+    // Giveaway timers would keep the process alive
+    process.exit(failures.length ? 1 : 0);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Simulation failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { runScenario, readScenario, normalizeUpdate };
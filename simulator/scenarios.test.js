@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// Replays every scenario through the simulator. Each one gets its own process, like
+// `npm run simulate`, since the bot module keeps its state and giveaway timers alive
+// for as long as the process runs
+
+const SCENARIO_DIR = path.join(__dirname, 'scenarios');
+const SCENARIO_TIMEOUT_MS = 60 * 1000;
+
+function simulate(file) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [__dirname, file], { timeout: SCENARIO_TIMEOUT_MS }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code ?? error.signal : 0, output: stdout + stderr });
+        });
+    });
+}
+
+for (const name of fs.readdirSync(SCENARIO_DIR).filter(name => name.endsWith('.jsonl')).sort()) {
+    test(`scenario ${name}`, async () => {
+        const { code, output } = await simulate(path.join(SCENARIO_DIR, name));
+        assert.equal(code, 0, output);
+    });
+}
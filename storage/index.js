@@ -0,0 +1,37 @@
+// Storage backends
+// The bot reads and writes users, groups, referrals, giveaways, join history and its
+// bookkeeping collections through objects with the MongoDB driver's collection API. A
+// backend provides:
+//   name               'mongo' or 'memory'
+//   connect()          open the connection (resolves when ready)
+//   collection(name)   a collection: find, findOne, insertOne, insertMany, updateOne,
+//                      updateMany, findOneAndUpdate, deleteOne, deleteMany, countDocuments,
+//                      estimatedDocumentCount, createIndex, bulkWrite (updateOne and
+//                      replaceOne), aggregate
+//   ping()             rejects when the store is unreachable
+//   close()            release the connection
+//
+// The interface is the driver's rather than one method per query: the bot's queries,
+// positional updates and pipelines are written once and run unchanged on either backend,
+// instead of being kept in step in two implementations. The price is that the memory
+// backend is not a general MongoDB: it covers only the operators those queries use (listed
+// in memory.js) and throws on anything else, so a query using a new operator fails there
+// until the operator is added. memory.test.js pins the MongoDB behaviour the queries depend
+// on; extend it along with the backend.
+const { createMongoStorage } = require('./mongo');
+const { createMemoryStorage } = require('./memory');
+
+const STORAGE_BACKENDS = ['mongo', 'memory'];
+
+function createStorage(backend = 'mongo', options = {}) {
+    switch (backend) {
+        case 'mongo':
+            return createMongoStorage(options.uri);
+        case 'memory':
+            return createMemoryStorage();
+        default:
+            throw new Error(`Unknown storage backend "${backend}", expected one of ${STORAGE_BACKENDS.join(', ')}`);
+    }
+}
+
+module.exports = { createStorage, STORAGE_BACKENDS };
@@ -0,0 +1,832 @@
+const { ObjectId } = require('mongodb');
+
+// In-memory backend for local demos and tests. Implements only the operators the bot's
+// queries use, with MongoDB's semantics: documents are copied in and out, queries descend
+// into arrays, unique indexes reject duplicates with code 11000 and TTL indexes expire
+// documents.
+//   queries      $ne $gt $gte $lt $lte $in $nin $exists $not $elemMatch $and $or
+//   updates      $set $setOnInsert $unset $inc $push $pull, "$" and "$[identifier]" paths
+//   aggregate()  $match $group ($sum) $sort $skip $limit $project ($literal $cond)
+//                $unwind $lookup
+// Anything else throws, so a gap shows up as an error rather than a silently different
+// result; add the operator (and a case in memory.test.js) when a query needs it.
+
+function isObjectId(value) {
+    return value instanceof ObjectId || value?._bsontype === 'ObjectId';
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        !(value instanceof Date) && !isObjectId(value);
+}
+
+function isOperatorObject(value) {
+    const keys = isPlainObject(value) ? Object.keys(value) : [];
+    return keys.length > 0 && keys.every(key => key.startsWith('$'));
+}
+
+// Copies a value the way a round trip through BSON would: undefined fields become null
+function clone(value) {
+    if (value === undefined) return null;
+    if (Array.isArray(value)) return value.map(clone);
+    if (value instanceof Date) return new Date(value.getTime());
+    if (isPlainObject(value)) {
+        const copy = {};
+        for (const [key, field] of Object.entries(value)) {
+            copy[key] = clone(field);
+        }
+        return copy;
+    }
+    return value;
+}
+
+// BSON comparison order: null, numbers, strings, objects, arrays, ObjectIds, booleans, dates
+function typeRank(value) {
+    if (value === null || value === undefined) return 1;
+    if (typeof value === 'number') return 2;
+    if (typeof value === 'string') return 3;
+    if (Array.isArray(value)) return 5;
+    if (isObjectId(value)) return 7;
+    if (typeof value === 'boolean') return 8;
+    if (value instanceof Date) return 9;
+    return 4;
+}
+
+function compareValues(a, b) {
+    const rankA = typeRank(a);
+    const rankB = typeRank(b);
+    if (rankA !== rankB) return rankA - rankB;
+
+    switch (rankA) {
+        case 1:
+            return 0;
+        case 2:
+        case 3:
+            return a < b ? -1 : a > b ? 1 : 0;
+        case 5:
+            for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                const result = compareValues(a[i], b[i]);
+                if (result !== 0) return result;
+            }
+            return a.length - b.length;
+        case 7:
+            return compareValues(a.toHexString(), b.toHexString());
+        case 8:
+            return Number(a) - Number(b);
+        case 9:
+            return a.getTime() - b.getTime();
+        default: {
+            const entriesA = Object.entries(a);
+            const entriesB = Object.entries(b);
+            for (let i = 0; i < Math.min(entriesA.length, entriesB.length); i++) {
+                const result = compareValues(entriesA[i][0], entriesB[i][0]) ||
+                    compareValues(entriesA[i][1], entriesB[i][1]);
+                if (result !== 0) return result;
+            }
+            return entriesA.length - entriesB.length;
+        }
+    }
+}
+
+function valuesEqual(a, b) {
+    return typeRank(a) === typeRank(b) && compareValues(a, b) === 0;
+}
+
+// Stable string for grouping and de-duplicating values
+function valueKey(value) {
+    if (value === null || value === undefined) return 'null';
+    if (isObjectId(value)) return `oid:${value.toHexString()}`;
+    if (value instanceof Date) return `date:${value.getTime()}`;
+    if (Array.isArray(value)) return `[${value.map(valueKey).join(',')}]`;
+    if (isPlainObject(value)) {
+        return `{${Object.entries(value).map(([key, field]) => `${JSON.stringify(key)}:${valueKey(field)}`).join(',')}}`;
+    }
+    return `${typeof value}:${String(value)}`;
+}
+
+// Values a dotted path refers to, descending into arrays of subdocuments like MongoDB
+function resolvePath(value, parts) {
+    if (parts.length === 0) return [value];
+
+    if (Array.isArray(value)) {
+        const [head, ...rest] = parts;
+        const results = [];
+        if (/^\d+$/.test(head) && Number(head) < value.length) {
+            results.push(...resolvePath(value[Number(head)], rest));
+        }
+        for (const element of value) {
+            if (isPlainObject(element)) {
+                results.push(...resolvePath(element, parts).filter(result => result !== undefined));
+            }
+        }
+        return results.length ? results : [undefined];
+    }
+
+    if (!isPlainObject(value)) return [undefined];
+    const next = value[parts[0]];
+    if (parts.length === 1) return [next];
+    if (next === undefined || next === null) return [undefined];
+    return resolvePath(next, parts.slice(1));
+}
+
+// Single value at a path (arrays only by numeric index), for updates, sorting and expressions
+function getValue(value, parts) {
+    for (const part of parts) {
+        if (Array.isArray(value) && /^\d+$/.test(part)) {
+            value = value[Number(part)];
+        } else if (Array.isArray(value)) {
+            return value.map(element => getValue(element, [part]));
+        } else if (isPlainObject(value)) {
+            value = value[part];
+        } else {
+            return undefined;
+        }
+    }
+    return value;
+}
+
+// A field matches if it, or any element of it when it is an array, does
+function expandArrays(values) {
+    return values.flatMap(value => Array.isArray(value) ? [value, ...value] : [value]);
+}
+
+function matchesEquality(values, expected) {
+    return expandArrays(values).some(value => valuesEqual(value, expected === undefined ? null : expected));
+}
+
+function matchOperator(values, operator, argument) {
+    switch (operator) {
+        case '$ne':
+            return !matchesEquality(values, argument);
+        case '$gt':
+        case '$gte':
+        case '$lt':
+        case '$lte':
+            return expandArrays(values).some(value => {
+                if (value === undefined || typeRank(value) !== typeRank(argument)) return false;
+                const result = compareValues(value, argument);
+                return operator === '$gt' ? result > 0 :
+                    operator === '$gte' ? result >= 0 :
+                    operator === '$lt' ? result < 0 : result <= 0;
+            });
+        case '$in':
+            return argument.some(expected => matchesEquality(values, expected));
+        case '$nin':
+            return !argument.some(expected => matchesEquality(values, expected));
+        case '$exists':
+            return argument ? values.some(value => value !== undefined) : values.every(value => value === undefined);
+        case '$not':
+            return !matchCondition(values, argument);
+        case '$elemMatch':
+            return values.some(value => Array.isArray(value) &&
+                value.some(element => isPlainObject(element) && matchQuery(element, argument)));
+        default:
+            throw new Error(`Query operator ${operator} is not supported by the memory storage`);
+    }
+}
+
+function matchCondition(values, condition) {
+    if (isOperatorObject(condition)) {
+        return Object.entries(condition).every(([operator, argument]) => matchOperator(values, operator, argument));
+    }
+    return matchesEquality(values, condition);
+}
+
+function matchQuery(document, query = {}) {
+    for (const [key, condition] of Object.entries(query)) {
+        if (key === '$or') {
+            if (!condition.some(subquery => matchQuery(document, subquery))) return false;
+        } else if (key === '$and') {
+            if (!condition.every(subquery => matchQuery(document, subquery))) return false;
+        } else if (key.startsWith('$')) {
+            throw new Error(`Query operator ${key} is not supported by the memory storage`);
+        } else if (!matchCondition(resolvePath(document, key.split('.')), condition)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function sortDocuments(documents, sort) {
+    const fields = Object.entries(sort || {});
+    if (fields.length === 0) return documents;
+    return [...documents].sort((a, b) => {
+        for (const [path, direction] of fields) {
+            const result = compareValues(getValue(a, path.split('.')) ?? null, getValue(b, path.split('.')) ?? null);
+            if (result !== 0) return direction < 0 ? -result : result;
+        }
+        return 0;
+    });
+}
+
+function setValue(document, parts, value) {
+    let target = document;
+    for (const part of parts.slice(0, -1)) {
+        const key = Array.isArray(target) ? Number(part) : part;
+        if (target[key] === undefined || target[key] === null) {
+            target[key] = {};
+        } else if (!isPlainObject(target[key]) && !Array.isArray(target[key])) {
+            throw new Error(`Cannot create field '${parts.join('.')}' in element ${JSON.stringify(target[key])}`);
+        }
+        target = target[key];
+    }
+    const last = parts[parts.length - 1];
+    target[Array.isArray(target) ? Number(last) : last] = value;
+}
+
+function unsetValue(document, parts) {
+    const parent = getValue(document, parts.slice(0, -1));
+    const last = parts[parts.length - 1];
+    if (Array.isArray(parent) && /^\d+$/.test(last)) {
+        if (Number(last) < parent.length) parent[Number(last)] = null;
+    } else if (isPlainObject(parent)) {
+        delete parent[last];
+    }
+}
+
+// Top level conditions of a filter, with $and flattened
+function filterConditions(filter) {
+    return Object.entries(filter || {}).flatMap(([key, condition]) =>
+        key === '$and' ? condition.flatMap(filterConditions) : [[key, condition]]);
+}
+
+// Whether one array element satisfies a condition written against the whole array
+function elementMatches(element, condition) {
+    if (isOperatorObject(condition) && '$elemMatch' in condition) {
+        return isPlainObject(element) && matchQuery(element, condition.$elemMatch);
+    }
+    return isOperatorObject(condition) ? matchCondition([element], condition) : valuesEqual(element, condition);
+}
+
+// Index of the first array element the filter matched, for "field.$" updates
+function positionalIndex(document, prefix, filter) {
+    const array = getValue(document, prefix.split('.'));
+    const conditions = filterConditions(filter).filter(([key]) => key === prefix || key.startsWith(`${prefix}.`));
+
+    if (Array.isArray(array) && conditions.length > 0) {
+        const index = array.findIndex(element => conditions.every(([key, condition]) => key === prefix ?
+            elementMatches(element, condition) :
+            matchCondition(resolvePath(element, key.slice(prefix.length + 1).split('.')), condition)));
+        if (index !== -1) return index;
+    }
+    throw new Error('The positional operator did not find the match needed from the query.');
+}
+
+// Concrete paths for an update path, resolving "$" and "$[identifier]"
+function expandUpdatePath(document, path, context) {
+    let paths = [[]];
+    for (const part of path.split('.')) {
+        const next = [];
+        for (const prefix of paths) {
+            const identifier = part.match(/^\$\[(\w+)\]$/);
+            if (part === '$') {
+                next.push([...prefix, String(positionalIndex(document, prefix.join('.'), context.filter))]);
+            } else if (identifier) {
+                const arrayFilter = (context.arrayFilters || []).find(candidate =>
+                    Object.keys(candidate).some(key => key === identifier[1] || key.startsWith(`${identifier[1]}.`)));
+                if (!arrayFilter) {
+                    throw new Error(`No array filter found for identifier '${identifier[1]}' in path '${path}'`);
+                }
+                const array = getValue(document, prefix);
+                (Array.isArray(array) ? array : []).forEach((element, index) => {
+                    const matches = Object.entries(arrayFilter).every(([key, condition]) => key === identifier[1] ?
+                        matchCondition([element], condition) :
+                        matchCondition(resolvePath(element, key.slice(identifier[1].length + 1).split('.')), condition));
+                    if (matches) next.push([...prefix, String(index)]);
+                });
+            } else {
+                next.push([...prefix, part]);
+            }
+        }
+        paths = next;
+    }
+    return paths;
+}
+
+function applyUpdate(document, update, context) {
+    // "$" and "$[identifier]" refer to the document as it was before this update
+    const original = clone(document);
+    for (const [operator, fields] of Object.entries(update)) {
+        if (operator === '$setOnInsert' && !context.isInsert) continue;
+
+        for (const [path, argument] of Object.entries(fields)) {
+            for (const parts of expandUpdatePath(original, path, context)) {
+                const current = getValue(document, parts);
+                switch (operator) {
+                    case '$set':
+                    case '$setOnInsert':
+                        setValue(document, parts, clone(argument));
+                        break;
+                    case '$unset':
+                        unsetValue(document, parts);
+                        break;
+                    case '$inc':
+                        if (current !== undefined && current !== null && typeof current !== 'number') {
+                            throw new Error(`Cannot apply $inc to a value of non-numeric type at '${path}'`);
+                        }
+                        setValue(document, parts, (current ?? 0) + argument);
+                        break;
+                    case '$push': {
+                        if (current !== undefined && current !== null && !Array.isArray(current)) {
+                            throw new Error(`The field '${path}' must be an array for $push`);
+                        }
+                        setValue(document, parts, [...(current || []), clone(argument)]);
+                        break;
+                    }
+                    case '$pull':
+                        // Only the subdocument form, e.g. { qualifiers: { userId } }
+                        if (!isPlainObject(argument) || isOperatorObject(argument)) {
+                            throw new Error('Only $pull with a subdocument query is supported by the memory storage');
+                        }
+                        if (Array.isArray(current)) {
+                            setValue(document, parts, current.filter(element => !(isPlainObject(element) && matchQuery(element, argument))));
+                        }
+                        break;
+                    default:
+                        throw new Error(`Update operator ${operator} is not supported by the memory storage`);
+                }
+            }
+        }
+    }
+}
+
+// Starting document for an upsert: the filter's equality conditions
+function upsertBase(filter) {
+    const document = {};
+    for (const [key, condition] of filterConditions(filter)) {
+        if (!key.startsWith('$') && !isOperatorObject(condition)) {
+            setValue(document, key.split('.'), clone(condition));
+        }
+    }
+    return document;
+}
+
+// Inclusion projections only, optionally leaving out _id
+function checkInclusion(fields) {
+    if (fields.some(([key, value]) => key !== '_id' && (value === 0 || value === false))) {
+        throw new Error('Exclusion projections are not supported by the memory storage');
+    }
+}
+
+function applyProjection(document, projection) {
+    const fields = Object.entries(projection || {});
+    if (fields.length === 0) return document;
+    checkInclusion(fields);
+
+    const result = {};
+    if (projection._id !== 0 && projection._id !== false && document._id !== undefined) {
+        result._id = document._id;
+    }
+    for (const [key, value] of fields) {
+        if (key === '_id' || !value) continue;
+        const field = getValue(document, key.split('.'));
+        if (field !== undefined) setValue(result, key.split('.'), field);
+    }
+    return result;
+}
+
+// Aggregation expressions
+function isTruthy(value) {
+    return !(value === false || value === null || value === undefined || value === 0);
+}
+
+// Field paths, literals, objects of expressions, $literal and $cond
+
+function evaluate(expression, document) {
+    if (typeof expression === 'string' && expression.startsWith('$') && !expression.startsWith('$$')) {
+        return getValue(document, expression.slice(1).split('.'));
+    }
+    if (Array.isArray(expression)) {
+        return expression.map(element => evaluate(element, document));
+    }
+    if (!isPlainObject(expression)) {
+        return expression;
+    }
+
+    const keys = Object.keys(expression);
+    if (keys.length !== 1 || !keys[0].startsWith('$')) {
+        const result = {};
+        for (const [key, value] of Object.entries(expression)) {
+            result[key] = evaluate(value, document);
+        }
+        return result;
+    }
+
+    const [operator] = keys;
+    const argument = expression[operator];
+    switch (operator) {
+        case '$literal':
+            return argument;
+        case '$cond': {
+            const [condition, then, otherwise] = Array.isArray(argument) ?
+                argument : [argument.if, argument.then, argument.else];
+            return isTruthy(evaluate(condition, document)) ? evaluate(then, document) : evaluate(otherwise, document);
+        }
+        default:
+            throw new Error(`Expression operator ${operator} is not supported by the memory storage`);
+    }
+}
+
+// $group with $sum, the only accumulator the bot uses
+function groupDocuments(documents, spec) {
+    const groups = new Map();
+    const accumulators = Object.entries(spec).filter(([key]) => key !== '_id');
+    for (const [field, accumulator] of accumulators) {
+        const operators = Object.keys(accumulator);
+        if (operators.length !== 1 || operators[0] !== '$sum') {
+            throw new Error(`Accumulator ${operators.join(', ')} for '${field}' is not supported by the memory storage`);
+        }
+    }
+
+    for (const document of documents) {
+        const id = evaluate(spec._id, document) ?? null;
+        const key = valueKey(id);
+        if (!groups.has(key)) {
+            groups.set(key, { _id: id, ...Object.fromEntries(accumulators.map(([field]) => [field, 0])) });
+        }
+        const group = groups.get(key);
+        for (const [field, accumulator] of accumulators) {
+            const value = evaluate(accumulator.$sum, document);
+            if (typeof value === 'number') group[field] += value;
+        }
+    }
+
+    return [...groups.values()];
+}
+
+function projectDocument(document, spec) {
+    const fields = Object.entries(spec);
+    checkInclusion(fields);
+
+    const result = {};
+    if (spec._id === undefined && document._id !== undefined) {
+        result._id = document._id;
+    }
+    for (const [key, value] of fields) {
+        if (value === 0 || value === false) continue;
+        const field = value === 1 || value === true ? getValue(document, key.split('.')) : evaluate(value, document);
+        if (field !== undefined) setValue(result, key.split('.'), field);
+    }
+    return result;
+}
+
+function unwindDocuments(documents, spec) {
+    const { path, preserveNullAndEmptyArrays = false } = spec;
+    const parts = path.slice(1).split('.');
+
+    return documents.flatMap(document => {
+        const value = getValue(document, parts);
+        if (Array.isArray(value) && value.length > 0) {
+            return value.map(element => {
+                const copy = clone(document);
+                setValue(copy, parts, clone(element));
+                return copy;
+            });
+        }
+        if (value === undefined || value === null || Array.isArray(value)) {
+            if (!preserveNullAndEmptyArrays) return [];
+            const copy = clone(document);
+            if (Array.isArray(value)) unsetValue(copy, parts);
+            return [copy];
+        }
+        return [document];
+    });
+}
+
+function lookupDocuments(documents, spec, storage) {
+    const foreign = storage.documents(spec.from);
+    return documents.map(document => {
+        const local = expandArrays(resolvePath(document, spec.localField.split('.')));
+        const matches = foreign.filter(candidate => expandArrays(resolvePath(candidate, spec.foreignField.split('.')))
+            .some(value => local.some(localValue => valuesEqual(value ?? null, localValue ?? null))));
+        const copy = clone(document);
+        setValue(copy, spec.as.split('.'), matches.map(clone));
+        return copy;
+    });
+}
+
+function runPipeline(documents, pipeline, storage) {
+    let results = documents;
+    for (const stage of pipeline) {
+        const [operator, ...extra] = Object.keys(stage);
+        if (extra.length) throw new Error('A pipeline stage specification object must contain exactly one field.');
+        const spec = stage[operator];
+
+        switch (operator) {
+            case '$match':
+                results = results.filter(document => matchQuery(document, spec));
+                break;
+            case '$sort':
+                results = sortDocuments(results, spec);
+                break;
+            case '$skip':
+                results = results.slice(spec);
+                break;
+            case '$limit':
+                results = results.slice(0, spec);
+                break;
+            case '$group':
+                results = groupDocuments(results, spec);
+                break;
+            case '$project':
+                results = results.map(document => projectDocument(document, spec));
+                break;
+            case '$unwind':
+                results = unwindDocuments(results, spec);
+                break;
+            case '$lookup':
+                results = lookupDocuments(results, spec, storage);
+                break;
+            default:
+                throw new Error(`Pipeline stage ${operator} is not supported by the memory storage`);
+        }
+    }
+    return results;
+}
+
+// Read-only cursor over a result computed when it is consumed
+function createCursor(compute) {
+    const options = { sort: null, skip: 0, limit: 0 };
+    const cursor = {
+        sort(sort) { options.sort = sort; return cursor; },
+        skip(count) { options.skip = count; return cursor; },
+        limit(count) { options.limit = count; return cursor; },
+        async toArray() {
+            return compute(options);
+        }
+    };
+    return cursor;
+}
+
+function indexName(key) {
+    return Object.entries(key).map(([field, direction]) => `${field}_${direction}`).join('_');
+}
+
+function createMemoryCollection(name, storage) {
+    let documents = [];
+    const indexes = [{ name: '_id_', key: { _id: 1 }, unique: true }];
+
+    // TTL indexes drop a document once its date field plus expireAfterSeconds has passed
+    function removeExpired() {
+        const ttl = indexes.filter(index => index.expireAfterSeconds !== undefined);
+        if (ttl.length === 0) return;
+        const now = Date.now();
+        documents = documents.filter(document => ttl.every(index => {
+            const dates = expandArrays([getValue(document, Object.keys(index.key)[0].split('.'))])
+                .filter(value => value instanceof Date);
+            return dates.length === 0 || Math.min(...dates.map(date => date.getTime())) + index.expireAfterSeconds * 1000 > now;
+        }));
+    }
+
+    function indexKey(document, index) {
+        return Object.keys(index.key).map(field => resolvePath(document, field.split('.'))[0] ?? null);
+    }
+
+    function checkUnique(document, replacing = null) {
+        for (const index of indexes.filter(candidate => candidate.unique)) {
+            const key = indexKey(document, index);
+            const duplicate = documents.find(other => other !== replacing &&
+                indexKey(other, index).every((value, i) => valuesEqual(value, key[i])));
+            if (duplicate) {
+                const fields = Object.keys(index.key).map((field, i) => `${field}: ${JSON.stringify(key[i])}`).join(', ');
+                throw Object.assign(
+                    new Error(`E11000 duplicate key error collection: ${name} index: ${index.name} dup key: { ${fields} }`),
+                    { code: 11000, keyPattern: index.key, keyValue: Object.fromEntries(Object.keys(index.key).map((field, i) => [field, key[i]])) }
+                );
+            }
+        }
+    }
+
+    function matching(filter, sort = null) {
+        removeExpired();
+        const matches = documents.filter(document => matchQuery(document, filter));
+        return sort ? sortDocuments(matches, sort) : matches;
+    }
+
+    function insert(document) {
+        if (document._id === undefined) {
+            document._id = new ObjectId();
+        }
+        const stored = clone(document);
+        checkUnique(stored);
+        documents.push(stored);
+        return document._id;
+    }
+
+    function replaceStored(current, next) {
+        checkUnique(next, current);
+        documents[documents.indexOf(current)] = next;
+        return !valuesEqual(current, next);
+    }
+
+    function upsert(filter, update, options, replacement = false) {
+        const document = replacement ? { ...upsertBase(filter), ...clone(update) } : upsertBase(filter);
+        if (!replacement) {
+            applyUpdate(document, update, { filter, arrayFilters: options.arrayFilters, isInsert: true });
+        }
+        return { id: insert(document), document };
+    }
+
+    function update(filter, changes, options = {}, multi = false) {
+        const targets = matching(filter, options.sort);
+        if (targets.length === 0) {
+            if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+            const { id } = upsert(filter, changes, options);
+            return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: id };
+        }
+
+        let modifiedCount = 0;
+        for (const current of multi ? targets : targets.slice(0, 1)) {
+            const next = clone(current);
+            applyUpdate(next, changes, { filter, arrayFilters: options.arrayFilters, isInsert: false });
+            if (replaceStored(current, next)) modifiedCount++;
+        }
+        return { acknowledged: true, matchedCount: multi ? targets.length : 1, modifiedCount, upsertedCount: 0, upsertedId: null };
+    }
+
+    function replace(filter, replacement, options = {}) {
+        const [current] = matching(filter, options.sort);
+        if (!current) {
+            if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+            const { id } = upsert(filter, replacement, options, true);
+            return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: id };
+        }
+        const next = { ...clone(replacement), _id: current._id };
+        const modified = replaceStored(current, next);
+        return { acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedCount: 0, upsertedId: null };
+    }
+
+    function remove(filter, multi) {
+        const targets = matching(filter);
+        const removed = new Set(multi ? targets : targets.slice(0, 1));
+        documents = documents.filter(document => !removed.has(document));
+        return { acknowledged: true, deletedCount: removed.size };
+    }
+
+    const collection = {
+        collectionName: name,
+
+        find(filter = {}, options = {}) {
+            const cursor = createCursor(cursorOptions => {
+                const sort = cursorOptions.sort || options.sort;
+                const skip = cursorOptions.skip || options.skip || 0;
+                const limit = cursorOptions.limit || options.limit || 0;
+                const projection = options.projection;
+                const results = matching(filter, sort).slice(skip, limit ? skip + limit : undefined);
+                return results.map(document => applyProjection(clone(document), projection));
+            });
+            return cursor;
+        },
+
+        async findOne(filter = {}, options = {}) {
+            const [document] = matching(filter, options.sort);
+            return document ? applyProjection(clone(document), options.projection) : null;
+        },
+
+        async insertOne(document) {
+            removeExpired();
+            return { acknowledged: true, insertedId: insert(document) };
+        },
+
+        async insertMany(newDocuments) {
+            removeExpired();
+            const insertedIds = {};
+            newDocuments.forEach((document, index) => {
+                insertedIds[index] = insert(document);
+            });
+            return { acknowledged: true, insertedCount: newDocuments.length, insertedIds };
+        },
+
+        async updateOne(filter, changes, options = {}) {
+            return update(filter, changes, options, false);
+        },
+
+        async updateMany(filter, changes, options = {}) {
+            return update(filter, changes, options, true);
+        },
+
+        // Returns the document (before the update unless returnDocument is 'after') or null
+        async findOneAndUpdate(filter, changes, options = {}) {
+            const [current] = matching(filter, options.sort);
+            if (!current) {
+                if (!options.upsert) return null;
+                const { id } = upsert(filter, changes, options);
+                const inserted = documents.find(document => valuesEqual(document._id, id));
+                return options.returnDocument === 'after' ? applyProjection(clone(inserted), options.projection) : null;
+            }
+
+            const next = clone(current);
+            applyUpdate(next, changes, { filter, arrayFilters: options.arrayFilters, isInsert: false });
+            replaceStored(current, next);
+            return applyProjection(clone(options.returnDocument === 'after' ? next : current), options.projection);
+        },
+
+        async deleteOne(filter = {}) {
+            return remove(filter, false);
+        },
+
+        async deleteMany(filter = {}) {
+            return remove(filter, true);
+        },
+
+        async countDocuments(filter = {}) {
+            return matching(filter).length;
+        },
+
+        async estimatedDocumentCount() {
+            removeExpired();
+            return documents.length;
+        },
+
+        async createIndex(key, options = {}) {
+            const newIndexName = options.name || indexName(key);
+            if (indexes.some(index => index.name === newIndexName)) return newIndexName;
+
+            const index = { name: newIndexName, key, unique: Boolean(options.unique), expireAfterSeconds: options.expireAfterSeconds };
+            if (index.unique) {
+                const seen = new Set();
+                for (const document of documents) {
+                    const value = valueKey(indexKey(document, index));
+                    if (seen.has(value)) {
+                        throw Object.assign(new Error(`E11000 duplicate key error collection: ${name} index: ${index.name}`), { code: 11000 });
+                    }
+                    seen.add(value);
+                }
+            }
+            indexes.push(index);
+            return newIndexName;
+        },
+
+        async bulkWrite(operations, options = {}) {
+            const result = { matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedIds: {} };
+            const errors = [];
+
+            operations.forEach((operation, index) => {
+                const [type] = Object.keys(operation);
+                const spec = operation[type];
+                try {
+                    let outcome;
+                    switch (type) {
+                        case 'updateOne':
+                            outcome = update(spec.filter, spec.update, spec, false);
+                            break;
+                        case 'replaceOne':
+                            outcome = replace(spec.filter, spec.replacement, spec);
+                            break;
+                        default:
+                            throw new Error(`Bulk operation ${type} is not supported by the memory storage`);
+                    }
+                    result.matchedCount += outcome.matchedCount;
+                    result.modifiedCount += outcome.modifiedCount;
+                    if (outcome.upsertedId) {
+                        result.upsertedCount++;
+                        result.upsertedIds[index] = outcome.upsertedId;
+                    }
+                } catch (error) {
+                    if (options.ordered !== false) throw error;
+                    errors.push(Object.assign(error, { index }));
+                }
+            });
+
+            if (errors.length) throw Object.assign(errors[0], { writeErrors: errors, result });
+            return result;
+        },
+
+        aggregate(pipeline = []) {
+            return createCursor(() => {
+                removeExpired();
+                return runPipeline(documents.map(clone), pipeline, storage);
+            });
+        },
+
+        // Raw documents for $lookup from other collections
+        documents() {
+            removeExpired();
+            return documents;
+        }
+    };
+    return collection;
+}
+
+function createMemoryStorage() {
+    const collections = new Map();
+
+    const storage = {
+        name: 'memory',
+        async connect() {},
+        collection(name) {
+            if (!collections.has(name)) {
+                collections.set(name, createMemoryCollection(name, storage));
+            }
+            return collections.get(name);
+        },
+        documents: name => storage.collection(name).documents(),
+        async ping() {
+            return { ok: 1 };
+        },
+        async close() {}
+    };
+    return storage;
+}
+
+module.exports = { createMemoryStorage };
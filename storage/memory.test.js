@@ -0,0 +1,260 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { createMemoryStorage } = require('./memory');
+
+// Pins the MongoDB behaviour the bot's queries rely on, using the shapes it sends
+
+function collection(name = 'test') {
+    return createMemoryStorage().collection(name);
+}
+
+test('unique indexes reject duplicates with code 11000', async () => {
+    const users = collection('users');
+    await users.createIndex({ userId: 1 }, { unique: true });
+    await users.insertOne({ userId: 1 });
+
+    await assert.rejects(users.insertOne({ userId: 1 }), { code: 11000 });
+    await assert.rejects(users.updateOne({ userId: 2 }, { $set: { userId: 1 } }, { upsert: true }), { code: 11000 });
+    assert.equal(await users.countDocuments(), 1);
+});
+
+test('compound unique indexes treat missing and null fields as equal', async () => {
+    const counters = collection('referralCounters');
+    await counters.createIndex({ scope: 1, groupId: 1, period: 1, userId: 1 }, { unique: true });
+    await counters.insertOne({ scope: 'global', groupId: null, period: 'all', userId: 1 });
+
+    await assert.rejects(counters.insertOne({ scope: 'global', period: 'all', userId: 1 }), { code: 11000 });
+    await counters.insertOne({ scope: 'group', groupId: -1001, period: 'all', userId: 1 });
+});
+
+test('creating a unique index over existing duplicates fails', async () => {
+    const links = collection();
+    await links.insertMany([{ inviteLink: 'a' }, { inviteLink: 'a' }]);
+    await assert.rejects(links.createIndex({ inviteLink: 1 }, { unique: true }), { code: 11000 });
+});
+
+test('documents are copied in and out', async () => {
+    const groups = collection();
+    const group = { groupId: 1, settings: { language: 'en' }, missing: undefined };
+    await groups.insertOne(group);
+    group.settings.language = 'id';
+
+    const stored = await groups.findOne({ groupId: 1 });
+    assert.equal(stored.settings.language, 'en');
+    assert.equal(stored.missing, null);
+    assert.ok(stored._id instanceof ObjectId);
+
+    stored.settings.language = 'id';
+    assert.equal((await groups.findOne({ groupId: 1 })).settings.language, 'en');
+});
+
+test('queries descend into arrays of subdocuments', async () => {
+    const giveaways = collection();
+    await giveaways.insertMany([
+        { name: 'a', finalStandings: [{ userId: 1 }, { userId: 2 }], winners: [{ userId: 2, status: 'notified' }] },
+        { name: 'b', finalStandings: [{ userId: 3 }], winners: [{ userId: 3 }] }
+    ]);
+
+    assert.deepEqual((await giveaways.find({ 'finalStandings.userId': 2 }).toArray()).map(g => g.name), ['a']);
+    assert.deepEqual((await giveaways.find({ winners: { $elemMatch: { userId: 3, status: { $exists: false } } } }).toArray()).map(g => g.name), ['b']);
+    assert.equal(await giveaways.countDocuments({ winners: { $elemMatch: { userId: 2, status: { $exists: false } } } }), 0);
+});
+
+test('comparisons only match values of the same type', async () => {
+    const referrals = collection();
+    const now = new Date();
+    await referrals.insertMany([
+        { n: 1, timestamp: new Date(now.getTime() - 1000) },
+        { n: 2, timestamp: now },
+        { n: 3, timestamp: '2099-01-01' },
+        { n: 4 }
+    ]);
+
+    assert.deepEqual((await referrals.find({ timestamp: { $gte: now } }).toArray()).map(r => r.n), [2]);
+    assert.deepEqual((await referrals.find({ timestamp: { $not: { $gte: now } } }).toArray()).map(r => r.n), [1, 3, 4]);
+    assert.deepEqual((await referrals.find({ timestamp: { $exists: false } }).toArray()).map(r => r.n), [4]);
+    assert.deepEqual((await referrals.find({ $or: [{ n: { $in: [1, 4] } }, { n: { $gt: 3 } }] }).toArray()).map(r => r.n), [1, 4]);
+});
+
+test('find applies sort, skip, limit and projection', async () => {
+    const users = collection();
+    await users.insertMany([3, 1, 2, 5, 4].map(userId => ({ userId, networkCredit: userId % 2 })));
+
+    const page = await users.find({}, { projection: { _id: 0, userId: 1 } })
+        .sort({ networkCredit: -1, userId: 1 }).skip(1).limit(2).toArray();
+    assert.deepEqual(page, [{ userId: 3 }, { userId: 5 }]);
+});
+
+test('upserts start from the filter and apply $setOnInsert only on insert', async () => {
+    const referrals = collection();
+    const filter = { type: 'pending_group_referral', referrerId: 1, referredId: 2, status: 'pending' };
+    const first = new Date(0);
+
+    await referrals.updateOne(filter, { $set: { inviteLink: 'a' }, $setOnInsert: { timestamp: first } }, { upsert: true });
+    await referrals.updateOne(filter, { $set: { inviteLink: 'b' }, $setOnInsert: { timestamp: new Date() } }, { upsert: true });
+
+    const [stored] = await referrals.find({}).toArray();
+    assert.equal(stored.referrerId, 1);
+    assert.equal(stored.status, 'pending');
+    assert.equal(stored.inviteLink, 'b');
+    assert.deepEqual(stored.timestamp, first);
+    assert.equal(await referrals.countDocuments(), 1);
+});
+
+test('$inc, $push, $pull and $unset follow MongoDB', async () => {
+    const giveaways = collection();
+    await giveaways.insertOne({ name: 'a', qualifiers: [{ userId: 5 }, { userId: 6 }], lockedUntil: new Date() });
+    await giveaways.updateOne({ name: 'a' }, {
+        $inc: { 'stats.count': 2 },
+        $push: { disqualified: { userId: 7 } },
+        $pull: { qualifiers: { userId: 6 } },
+        $unset: { lockedUntil: '' }
+    });
+
+    const giveaway = await giveaways.findOne({ name: 'a' });
+    assert.equal(giveaway.stats.count, 2);
+    assert.deepEqual(giveaway.disqualified, [{ userId: 7 }]);
+    assert.deepEqual(giveaway.qualifiers, [{ userId: 5 }]);
+    assert.equal('lockedUntil' in giveaway, false);
+    await assert.rejects(giveaways.updateOne({ name: 'a' }, { $inc: { qualifiers: 1 } }));
+});
+
+test('the positional operator updates the element the filter matched', async () => {
+    const giveaways = collection();
+    const { insertedId } = await giveaways.insertOne({
+        winners: [{ userId: 1, status: 'claimed' }, { userId: 2, status: 'notified' }, { userId: 3, status: 'notified' }]
+    });
+
+    const result = await giveaways.updateOne(
+        { _id: insertedId, winners: { $elemMatch: { userId: 2, status: { $in: ['notified', 'claimed'] } } } },
+        { $set: { 'winners.$.status': 'delivered' } }
+    );
+    assert.equal(result.modifiedCount, 1);
+
+    const { winners } = await giveaways.findOne({ _id: insertedId });
+    assert.deepEqual(winners.map(w => w.status), ['claimed', 'delivered', 'notified']);
+});
+
+test('arrayFilters update every matching element', async () => {
+    const giveaways = collection();
+    const now = new Date();
+    const past = new Date(now.getTime() - 1000);
+    await giveaways.insertOne({
+        winners: [
+            { userId: 1, status: 'notified', claimDeadline: past },
+            { userId: 2, status: 'notified', claimDeadline: new Date(now.getTime() + 1000) },
+            { userId: 3, status: 'notified', claimDeadline: past }
+        ]
+    });
+
+    await giveaways.updateOne(
+        { 'winners.status': 'notified' },
+        { $set: { 'winners.$[winner].status': 'expired' } },
+        { arrayFilters: [{ 'winner.status': 'notified', 'winner.claimDeadline': { $lte: now } }] }
+    );
+
+    const { winners } = await giveaways.findOne({});
+    assert.deepEqual(winners.map(w => w.status), ['expired', 'notified', 'expired']);
+});
+
+test('findOneAndUpdate returns the document before the update unless asked for after', async () => {
+    const groups = collection();
+    await groups.insertOne({ groupId: 1, activeGiveaway: null });
+
+    const before = await groups.findOneAndUpdate({ groupId: 1, activeGiveaway: null }, { $set: { activeGiveaway: 'x' } });
+    assert.equal(before.activeGiveaway, null);
+    assert.equal(await groups.findOneAndUpdate({ groupId: 1, activeGiveaway: null }, { $set: { activeGiveaway: 'y' } }), null);
+
+    const after = await groups.findOneAndUpdate({ groupId: 2 }, { $set: { title: 'new' } }, { upsert: true, returnDocument: 'after' });
+    assert.equal(after.groupId, 2);
+    assert.equal(after.title, 'new');
+});
+
+test('unordered bulkWrite carries on past errors and reports their indexes', async () => {
+    const counters = collection();
+    await counters.createIndex({ userId: 1 }, { unique: true });
+    await counters.insertOne({ userId: 1 });
+
+    const operations = [
+        { updateOne: { filter: { userId: 3 }, update: { $set: { userId: 1 } }, upsert: true } },
+        { updateOne: { filter: { userId: 2 }, update: { $inc: { count: 1 } }, upsert: true } },
+        { replaceOne: { filter: { userId: 4 }, replacement: { userId: 1 }, upsert: true } }
+    ];
+    const error = await counters.bulkWrite(operations, { ordered: false }).catch(e => e);
+    assert.equal(error.code, 11000);
+    assert.deepEqual(error.writeErrors.map(e => e.index), [0, 2]);
+    assert.equal((await counters.findOne({ userId: 2 })).count, 1);
+
+    await assert.rejects(counters.bulkWrite([
+        { replaceOne: { filter: { userId: 5 }, replacement: { userId: 1 }, upsert: true } },
+        { replaceOne: { filter: { userId: 3 }, replacement: { userId: 3 }, upsert: true } }
+    ]));
+    assert.equal(await counters.countDocuments({ userId: 3 }), 0);
+});
+
+test('aggregate groups, sorts and projects like the counter rebuild', async () => {
+    const referrals = collection();
+    await referrals.insertMany([
+        { referrerId: 1, groupId: -1, valid: true },
+        { referrerId: 1, groupId: -1, valid: true },
+        { referrerId: 1, groupId: -1, valid: false },
+        { referrerId: 2, groupId: -1, valid: true }
+    ]);
+
+    const counters = await referrals.aggregate([
+        { $match: { groupId: -1 } },
+        { $group: {
+            _id: { groupId: '$groupId', userId: '$referrerId' },
+            count: { $sum: { $cond: ['$valid', 1, 0] } },
+            churned: { $sum: { $cond: ['$valid', 0, 1] } }
+        }},
+        { $project: { _id: 0, scope: { $literal: 'group' }, groupId: '$_id.groupId', userId: '$_id.userId', count: 1, churned: 1 } },
+        { $sort: { count: -1 } }
+    ]).toArray();
+
+    assert.deepEqual(counters, [
+        { scope: 'group', groupId: -1, userId: 1, count: 2, churned: 1 },
+        { scope: 'group', groupId: -1, userId: 2, count: 1, churned: 0 }
+    ]);
+});
+
+test('aggregate joins with $lookup and $unwind like the leaderboard', async () => {
+    const storage = createMemoryStorage();
+    const counters = storage.collection('referralCounters');
+    await storage.collection('users').insertOne({ userId: 1, firstName: 'Ann' });
+    await counters.insertMany([{ userId: 1, count: 1 }, { userId: 2, count: 3 }]);
+
+    const rows = await counters.aggregate([
+        { $sort: { count: -1, userId: 1 } },
+        { $skip: 0 },
+        { $limit: 10 },
+        { $lookup: { from: 'users', localField: 'userId', foreignField: 'userId', as: 'user' } },
+        { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } }
+    ]).toArray();
+
+    assert.deepEqual(rows.map(row => [row.userId, row.user?.firstName ?? null]), [[2, null], [1, 'Ann']]);
+});
+
+test('unsupported operators throw instead of matching differently', async () => {
+    const users = collection();
+    await users.insertOne({ userId: 1 });
+
+    await assert.rejects(users.find({ userId: { $regex: '1' } }).toArray(), /not supported/);
+    await assert.rejects(users.updateOne({ userId: 1 }, { $rename: { userId: 'id' } }), /not supported/);
+    await assert.rejects(users.aggregate([{ $bucket: {} }]).toArray(), /not supported/);
+    await assert.rejects(users.aggregate([{ $group: { _id: null, first: { $first: '$userId' } } }]).toArray(), /not supported/);
+    await assert.rejects(users.find({}, { projection: { userId: 0 } }).toArray(), /not supported/);
+});
+
+test('TTL indexes drop expired documents', async () => {
+    const counters = collection();
+    await counters.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await counters.insertMany([
+        { period: 'day:old', expiresAt: new Date(Date.now() - 1000) },
+        { period: 'day:new', expiresAt: new Date(Date.now() + 60 * 1000) },
+        { period: 'all' }
+    ]);
+
+    assert.deepEqual((await counters.find({}).toArray()).map(c => c.period), ['day:new', 'all']);
+});
@@ -0,0 +1,22 @@
+const { MongoClient } = require('mongodb');
+
+const DATABASE_NAME = 'telegramReferralBot';
+
+// MongoDB backend: collections are the driver's own
+function createMongoStorage(uri) {
+    const client = new MongoClient(uri);
+    let db = null;
+
+    return {
+        name: 'mongo',
+        async connect() {
+            await client.connect();
+            db = client.db(DATABASE_NAME);
+        },
+        collection: name => db.collection(name),
+        ping: () => db.command({ ping: 1 }),
+        close: () => client.close()
+    };
+}
+
+module.exports = { createMongoStorage };